@@ -0,0 +1,205 @@
+// Server configuration, read once from the environment (and .env). Problems are collected rather than
+// thrown, so entry points can call assertValidConfig() and fail at boot with every problem listed.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DATABASE_SSL_MODES = ['disable', 'no-verify', 'verify'];
+const STORAGE_BACKENDS = ['local', 'ipfs'];
+const MIN_JWT_SECRET_LENGTH = 32;
+const PLACEHOLDER_SECRETS = ['your_secret_key', 'secret', 'changeme'];
+
+// Never echoed back in error messages
+const SECRET_VARIABLES = ['DATABASE_URL', 'JWT_SECRET', 'OPERATOR_PRIVATE_KEY', 'IPFS_API_TOKEN'];
+
+const CONTRACT_ADDRESS_VARIABLES = [
+  'PROJECT_LIFECYCLE_ADDRESS',
+  'PROPERTY_BUILD_TOKEN_ADDRESS',
+  'ESCROW_ADDRESS',
+  'LIQUIDITY_POOL_ADDRESS',
+  'PROFIT_DISTRIBUTION_ADDRESS'
+];
+
+const errors = [];
+
+const read = (section, name, parse, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return fallback;
+  }
+
+  const parsed = parse(raw.trim());
+  if (parsed.error) {
+    const got = SECRET_VARIABLES.includes(name) ? '' : ` (got "${raw}")`;
+    errors.push({ section, message: `${name} ${parsed.error}${got}` });
+    return fallback;
+  }
+  return parsed.value;
+};
+
+const required = (section, name, parse) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    errors.push({ section, message: `${name} is required` });
+    return undefined;
+  }
+  return read(section, name, parse);
+};
+
+const text = (value) => ({ value });
+
+const integer = ({ min = -Infinity, max = Infinity } = {}) => (value) => {
+  if (!/^-?\d+$/.test(value)) return { error: 'must be a whole number' };
+  const number = parseInt(value, 10);
+  if (number < min) return { error: `must be at least ${min}` };
+  if (number > max) return { error: `must be at most ${max}` };
+  return { value: number };
+};
+
+const url = (value) => {
+  try {
+    return { value: new URL(value).toString().replace(/\/$/, '') };
+  } catch (error) {
+    return { error: 'must be a URL' };
+  }
+};
+
+const origins = (value) => {
+  const list = value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+  const invalid = list.filter(origin => {
+    try {
+      return new URL(origin).origin !== origin;
+    } catch (error) {
+      return true;
+    }
+  });
+  return invalid.length > 0
+    ? { error: `must be a comma-separated list of origins like https://app.example.com; invalid: ${invalid.join(', ')}` }
+    : { value: list };
+};
+
+const oneOf = (values) => (value) =>
+  values.includes(value) ? { value } : { error: `must be one of: ${values.join(', ')}` };
+
+const address = (value) =>
+  ethers.isAddress(value) ? { value: ethers.getAddress(value) } : { error: 'must be a 0x-prefixed 20-byte address with a valid checksum' };
+
+const privateKey = (value) =>
+  /^0x[0-9a-fA-F]{64}$/.test(value) ? { value } : { error: 'must be a 0x-prefixed 32-byte hex key' };
+
+const existingFile = (value) =>
+  fs.existsSync(value) ? { value: path.resolve(value) } : { error: 'must point to an existing file' };
+
+const duration = (value) =>
+  /^\d+[smhd]?$/.test(value) ? { value } : { error: 'must be a number of seconds or a duration like 15m, 12h or 7d' };
+
+const jwtSecret = (value) => {
+  if (PLACEHOLDER_SECRETS.includes(value.toLowerCase())) return { error: 'is a placeholder; generate a random secret' };
+  if (value.length < MIN_JWT_SECRET_LENGTH) return { error: `must be at least ${MIN_JWT_SECRET_LENGTH} characters` };
+  return { value };
+};
+
+/**
+ * @typedef {Object} Config
+ * @property {number} port
+ * @property {string[]} corsOrigins
+ * @property {string} uploadDir
+ * @property {number} uploadQuotaMb
+ * @property {string} documentDir
+ * @property {{ backend: 'local'|'ipfs', ipfsApiUrl: string, ipfsApiToken: ?string, ipfsGatewayUrl: string,
+ *   ipfsTimeoutMs: number }} storage
+ * @property {{ url: string, ssl: 'disable'|'no-verify'|'verify', sslCaFile: ?string }} database
+ * @property {{ jwtSecret: string, accessTokenTtl: string, refreshTokenTtlDays: number, adminWallet: ?string,
+ *   siweDomain: string, siweNonceTtlMs: number }} auth
+ * @property {{ rpcUrl: string, chainId: ?number, operatorPrivateKey: ?string, paymentTokenDecimals: number,
+ *   confirmations: number, addresses: Object<string, ?string> }} chain
+ * @property {{ investmentPollIntervalMs: number, fundingRecomputeIntervalMs: number, idempotencyKeyTtlHours: number,
+ *   archiveRetentionDays: number, archiveCleanupIntervalMs: number }} jobs
+ * @property {{ startBlock: number, batchSize: number, pollIntervalMs: number }} indexer
+ */
+
+const corsOrigins = read('server', 'CORS_ORIGINS', origins, ['http://localhost:3000']);
+
+/** @type {Config} */
+const config = {
+  port: read('server', 'PORT', integer({ min: 1, max: 65535 }), 3001),
+  corsOrigins,
+  uploadDir: path.resolve(read('server', 'UPLOAD_DIR', text, path.join(__dirname, '../uploads'))),
+  uploadQuotaMb: read('server', 'UPLOAD_QUOTA_MB', integer({ min: 1 }), 100),
+  documentDir: path.resolve(read('server', 'DOCUMENT_DIR', text, path.join(__dirname, '../documents'))),
+
+  storage: {
+    backend: read('storage', 'STORAGE_BACKEND', oneOf(STORAGE_BACKENDS), 'local'),
+    ipfsApiUrl: read('storage', 'IPFS_API_URL', url, 'http://127.0.0.1:5001'),
+    ipfsApiToken: read('storage', 'IPFS_API_TOKEN', text, null),
+    ipfsGatewayUrl: read('storage', 'IPFS_GATEWAY_URL', url, 'https://ipfs.io'),
+    ipfsTimeoutMs: read('storage', 'IPFS_TIMEOUT_MS', integer({ min: 1000 }), 30000)
+  },
+
+  database: {
+    url: required('database', 'DATABASE_URL', text),
+    ssl: read('database', 'DATABASE_SSL', oneOf(DATABASE_SSL_MODES), 'no-verify'),
+    sslCaFile: read('database', 'DATABASE_SSL_CA', existingFile, null)
+  },
+
+  auth: {
+    jwtSecret: required('auth', 'JWT_SECRET', jwtSecret),
+    accessTokenTtl: read('auth', 'ACCESS_TOKEN_TTL', duration, '15m'),
+    refreshTokenTtlDays: read('auth', 'REFRESH_TOKEN_TTL_DAYS', integer({ min: 1 }), 30),
+    adminWallet: read('auth', 'ADMIN_WALLET', address, null),
+    // The frontend signs for the host it is served from, which is normally its CORS origin
+    siweDomain: read('auth', 'SIWE_DOMAIN', text, corsOrigins.length > 0 ? new URL(corsOrigins[0]).host : 'localhost:3000'),
+    siweNonceTtlMs: read('auth', 'SIWE_NONCE_TTL_MS', integer({ min: 1000 }), 600000)
+  },
+
+  chain: {
+    rpcUrl: read('chain', 'RPC_URL', url, 'http://127.0.0.1:8545'),
+    chainId: read('chain', 'CHAIN_ID', integer({ min: 1 }), null),
+    operatorPrivateKey: read('chain', 'OPERATOR_PRIVATE_KEY', privateKey, null),
+    paymentTokenDecimals: read('chain', 'PAYMENT_TOKEN_DECIMALS', integer({ min: 0, max: 36 }), 6),
+    confirmations: read('chain', 'INVESTMENT_CONFIRMATIONS', integer({ min: 0 }), 3),
+    addresses: Object.fromEntries(
+      CONTRACT_ADDRESS_VARIABLES.map(name => [name, read('chain', name, address, null)])
+    )
+  },
+
+  jobs: {
+    investmentPollIntervalMs: read('jobs', 'INVESTMENT_POLL_INTERVAL_MS', integer({ min: 1000 }), 15000),
+    fundingRecomputeIntervalMs: read('jobs', 'FUNDING_RECOMPUTE_INTERVAL_MS', integer({ min: 1000 }), 3600000),
+    idempotencyKeyTtlHours: read('jobs', 'IDEMPOTENCY_KEY_TTL_HOURS', integer({ min: 1 }), 24),
+    archiveRetentionDays: read('jobs', 'ARCHIVE_RETENTION_DAYS', integer({ min: 0 }), 30),
+    archiveCleanupIntervalMs: read('jobs', 'ARCHIVE_CLEANUP_INTERVAL_MS', integer({ min: 1000 }), 86400000)
+  },
+
+  indexer: {
+    startBlock: read('indexer', 'INDEXER_START_BLOCK', integer({ min: 0 }), 0),
+    batchSize: read('indexer', 'INDEXER_BATCH_SIZE', integer({ min: 1 }), 2000),
+    pollIntervalMs: read('indexer', 'INDEXER_POLL_INTERVAL_MS', integer({ min: 100 }), 5000)
+  }
+};
+
+if (config.database.sslCaFile && config.database.ssl !== 'verify') {
+  errors.push({ section: 'database', message: 'DATABASE_SSL_CA is only used with DATABASE_SSL=verify' });
+}
+
+// Sign-in messages are only accepted for this chain
+if (config.chain.chainId === null) {
+  errors.push({ section: 'auth', message: 'CHAIN_ID is required to check sign-in messages' });
+}
+
+// Exits with every configuration problem in the given sections (all by default)
+const assertValidConfig = (sections) => {
+  const problems = errors.filter(error => !sections || sections.includes(error.section));
+  if (problems.length === 0) {
+    return;
+  }
+
+  console.error(`Invalid configuration:\n${problems.map(problem => `  - ${problem.message}`).join('\n')}`);
+  process.exit(1);
+};
+
+module.exports = {
+  config,
+  assertValidConfig
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { assertValidConfig } = require('../config');
+const pool = require('./pool');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary advisory lock key so two deploys never migrate the same database at once
+const MIGRATION_LOCK_ID = 427001;
+
+// Migrations are files named <version>_<name>.js exporting async up(client) and down(client)
+const loadMigrations = () =>
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: file.split('_')[0],
+        name: path.basename(file, '.js'),
+        up,
+        down
+      };
+    });
+
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+const inTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const getApplied = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return result.rows;
+};
+
+const migrateUp = ({ to = null } = {}) => withMigrationLock(async (client) => {
+  const applied = new Set((await getApplied(client)).map(row => row.version));
+  const pending = loadMigrations()
+    .filter(migration => !applied.has(migration.version))
+    .filter(migration => !to || migration.version <= to);
+
+  for (const migration of pending) {
+    await inTransaction(client, async () => {
+      await migration.up(client);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`✓ Applied ${migration.name}`);
+  }
+
+  return pending.map(migration => migration.name);
+});
+
+const migrateDown = ({ steps = 1 } = {}) => withMigrationLock(async (client) => {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const toRevert = (await getApplied(client)).reverse().slice(0, steps);
+
+  for (const { version, name } of toRevert) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Cannot revert ${name}: migration file is missing`);
+    }
+
+    await inTransaction(client, async () => {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    });
+    console.log(`✓ Reverted ${migration.name}`);
+  }
+
+  return toRevert.map(row => row.name);
+});
+
+const getStatus = () => withMigrationLock(async (client) => {
+  const applied = new Map((await getApplied(client)).map(row => [row.version, row]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return [
+    ...migrations.map(migration => ({
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    })),
+    // Applied in the database but no longer on disk, e.g. after switching branches
+    ...[...applied.values()]
+      .filter(row => !known.has(row.version))
+      .map(row => ({ name: row.name, applied_at: row.applied_at, missing: true }))
+  ];
+});
+
+const run = async (command, arg) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp({ to: arg || null });
+      console.log(applied.length > 0 ? `\n${applied.length} migration(s) applied` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const reverted = await migrateDown({ steps });
+      console.log(reverted.length > 0 ? `\n${reverted.length} migration(s) reverted` : 'Nothing to revert');
+      break;
+    }
+    case 'status': {
+      for (const migration of await getStatus()) {
+        const state = migration.missing
+          ? 'missing file'
+          : migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+        console.log(`${migration.name.padEnd(40)} ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Usage: migrate up [version] | down [steps] | status`);
+  }
+};
+
+if (require.main === module) {
+  assertValidConfig(['database']);
+
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  run(command, arg)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Migration error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  getStatus
+};
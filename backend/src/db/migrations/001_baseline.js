@@ -0,0 +1,190 @@
+// Schema as it stood when migrations were introduced. Everything is IF NOT EXISTS so databases
+// created by the old init.js and migrate_*.js scripts can adopt it without losing data.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      wallet VARCHAR(42) UNIQUE NOT NULL,
+      role VARCHAR(20) DEFAULT 'INVESTOR',
+      nonce VARCHAR(100),
+      nonce_expires_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY,
+      wallet VARCHAR(42) NOT NULL REFERENCES users(wallet) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      user_agent TEXT,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_wallet ON sessions (wallet);
+
+    CREATE TABLE IF NOT EXISTS projects (
+      id SERIAL PRIMARY KEY,
+      owner_wallet VARCHAR(42) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      location VARCHAR(255),
+      images TEXT[],
+      price DECIMAL(15, 2),
+      goal DECIMAL(15, 2),
+      current_funding DECIMAL(15, 2) DEFAULT 0,
+      token_price DECIMAL(15, 2),
+      min_investment DECIMAL(15, 2),
+      status VARCHAR(20) DEFAULT 'pending',
+      chain_project_id NUMERIC(78, 0) UNIQUE,
+      token_id NUMERIC(78, 0),
+      hard_cap DECIMAL(15, 2),
+      soft_cap DECIMAL(15, 2),
+      minting_deadline TIMESTAMP,
+      project_deadline TIMESTAMP,
+      contractor_wallet VARCHAR(42),
+      metadata_uri TEXT,
+      chain_tx_hash VARCHAR(66),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_roles (
+      id SERIAL PRIMARY KEY,
+      wallet VARCHAR(42) NOT NULL REFERENCES users(wallet) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL,
+      project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+      granted_by VARCHAR(42),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_user_roles_unique ON user_roles (wallet, role, COALESCE(project_id, 0));
+  `);
+
+  // Investments recorded before on-chain verification were already counted in current_funding
+  const hasStatus = await client.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'investments' AND column_name = 'status'
+  `);
+  const investmentsExist = await client.query(`
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'investments'
+  `);
+  const backfillStatus = investmentsExist.rows.length > 0 && hasStatus.rows.length === 0;
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS investments (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER REFERENCES projects(id),
+      investor_wallet VARCHAR(42) NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      tx_hash VARCHAR(66),
+      status VARCHAR(20) DEFAULT 'pending',
+      block_number BIGINT,
+      log_index INTEGER,
+      failure_reason TEXT,
+      confirmed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS nonce_expires_at TIMESTAMP;
+
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS current_funding DECIMAL(15, 2) DEFAULT 0;
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS chain_project_id NUMERIC(78, 0) UNIQUE;
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS token_id NUMERIC(78, 0);
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS hard_cap DECIMAL(15, 2);
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS soft_cap DECIMAL(15, 2);
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS minting_deadline TIMESTAMP;
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS project_deadline TIMESTAMP;
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS contractor_wallet VARCHAR(42);
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS metadata_uri TEXT;
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS chain_tx_hash VARCHAR(66);
+
+    ALTER TABLE investments ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'pending';
+    ALTER TABLE investments ADD COLUMN IF NOT EXISTS block_number BIGINT;
+    ALTER TABLE investments ADD COLUMN IF NOT EXISTS log_index INTEGER;
+    ALTER TABLE investments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+    ALTER TABLE investments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+  `);
+
+  if (backfillStatus) {
+    await client.query("UPDATE investments SET status = 'confirmed'");
+  }
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS milestones (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+      milestone_index INTEGER NOT NULL,
+      description TEXT NOT NULL,
+      budget_percent DECIMAL(5, 2) NOT NULL,
+      verification_threshold INTEGER DEFAULT 1,
+      status VARCHAR(20) DEFAULT 'pending',
+      documentation_uri TEXT,
+      dispute_reason TEXT,
+      submitted_by VARCHAR(42),
+      disputed_by VARCHAR(42),
+      submitted_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (project_id, milestone_index) DEFERRABLE INITIALLY IMMEDIATE
+    );
+
+    CREATE TABLE IF NOT EXISTS milestone_verifications (
+      id SERIAL PRIMARY KEY,
+      milestone_id INTEGER REFERENCES milestones(id) ON DELETE CASCADE,
+      verifier_wallet VARCHAR(42) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (milestone_id, verifier_wallet)
+    );
+
+    CREATE TABLE IF NOT EXISTS chain_events (
+      id SERIAL PRIMARY KEY,
+      contract_name VARCHAR(50) NOT NULL,
+      contract_address VARCHAR(42) NOT NULL,
+      event_name VARCHAR(100) NOT NULL,
+      project_id NUMERIC(78, 0),
+      block_number BIGINT NOT NULL,
+      block_hash VARCHAR(66) NOT NULL,
+      block_timestamp TIMESTAMP,
+      tx_hash VARCHAR(66) NOT NULL,
+      log_index INTEGER NOT NULL,
+      args JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (tx_hash, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS idx_chain_events_project ON chain_events (project_id, event_name);
+    CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events (block_number);
+
+    CREATE TABLE IF NOT EXISTS indexer_blocks (
+      block_number BIGINT PRIMARY KEY,
+      block_hash VARCHAR(66) NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS indexer_cursors (
+      name VARCHAR(50) PRIMARY KEY,
+      block_number BIGINT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS indexer_cursors;
+    DROP TABLE IF EXISTS indexer_blocks;
+    DROP TABLE IF EXISTS chain_events;
+    DROP TABLE IF EXISTS milestone_verifications;
+    DROP TABLE IF EXISTS milestones;
+    DROP TABLE IF EXISTS investments;
+    DROP TABLE IF EXISTS user_roles;
+    DROP TABLE IF EXISTS projects;
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS users;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// accepted_amount is the part of an investment counted towards current_funding after hard-cap enforcement
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE investments ADD COLUMN accepted_amount DECIMAL(15, 2);
+    UPDATE investments SET accepted_amount = amount WHERE status = 'confirmed';
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE investments DROP COLUMN accepted_amount');
+};
+
+module.exports = { up, down };
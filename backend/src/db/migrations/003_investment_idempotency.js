@@ -0,0 +1,57 @@
+// A transaction hash and log index identify one on-chain investment, so it can only be recorded once.
+// Earlier duplicates are kept as failed rows and the funding totals they inflated are rebuilt.
+
+const up = async (client) => {
+  await client.query(`
+    UPDATE investments SET tx_hash = LOWER(tx_hash) WHERE tx_hash <> LOWER(tx_hash);
+
+    CREATE TEMP TABLE duplicate_investments ON COMMIT DROP AS
+    SELECT id, project_id FROM (
+      SELECT id, project_id,
+             ROW_NUMBER() OVER (
+               PARTITION BY tx_hash
+               ORDER BY (status = 'confirmed') DESC, id ASC
+             ) AS position
+      FROM investments
+      WHERE tx_hash IS NOT NULL AND status <> 'failed'
+    ) ranked
+    WHERE position > 1;
+
+    UPDATE investments
+    SET status = 'failed', failure_reason = 'Duplicate submission'
+    WHERE id IN (SELECT id FROM duplicate_investments);
+
+    UPDATE projects p
+    SET current_funding = (
+      SELECT COALESCE(SUM(COALESCE(i.accepted_amount, i.amount)), 0)
+      FROM investments i
+      WHERE i.project_id = p.id AND i.status = 'confirmed'
+    )
+    WHERE p.id IN (SELECT project_id FROM duplicate_investments);
+
+    CREATE UNIQUE INDEX investments_tx_hash_log_index_key
+      ON investments (tx_hash, COALESCE(log_index, -1))
+      WHERE status <> 'failed';
+
+    CREATE TABLE idempotency_keys (
+      wallet VARCHAR(42) NOT NULL,
+      key VARCHAR(255) NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      path TEXT NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      response_status INTEGER,
+      response_body JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (wallet, key)
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE idempotency_keys;
+    DROP INDEX investments_tx_hash_log_index_key;
+  `);
+};
+
+module.exports = { up, down };
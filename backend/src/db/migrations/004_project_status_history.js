@@ -0,0 +1,27 @@
+// Every project status change is recorded with who made it and why.
+// Existing projects get a single entry for the status they had before history was kept.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE project_status_history (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      actor_wallet VARCHAR(42),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_project_status_history_project ON project_status_history (project_id, created_at);
+
+    INSERT INTO project_status_history (project_id, from_status, to_status, reason, created_at)
+    SELECT id, NULL, status, 'Status before history was recorded', COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+    FROM projects;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE project_status_history');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Review decisions and the discussion between admins and submitters, one thread per project.
+// Decisions already captured by the status history are carried over.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE project_reviews (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      author_wallet VARCHAR(42) NOT NULL,
+      kind VARCHAR(20) NOT NULL,
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_project_reviews_project ON project_reviews (project_id, created_at);
+
+    INSERT INTO project_reviews (project_id, author_wallet, kind, comment, created_at)
+    SELECT project_id, actor_wallet,
+           CASE to_status WHEN 'approved' THEN 'approval' ELSE 'rejection' END,
+           reason, created_at
+    FROM project_status_history
+    WHERE from_status = 'pending' AND to_status IN ('approved', 'rejected') AND actor_wallet IS NOT NULL;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE project_reviews');
+};
+
+module.exports = { up, down };
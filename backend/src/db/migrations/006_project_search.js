@@ -0,0 +1,24 @@
+// Columns and indexes behind marketplace search. The full-text index is on an expression, which
+// must stay identical to SEARCH_DOCUMENT in services/projectSearch.js for Postgres to use it.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE projects ADD COLUMN property_type VARCHAR(20);
+
+    CREATE INDEX idx_projects_search ON projects USING GIN ((
+      setweight(to_tsvector('simple', COALESCE(name, '')), 'A') ||
+      setweight(to_tsvector('simple', COALESCE(description, '')), 'B')
+    ));
+    CREATE INDEX idx_projects_status_created ON projects (status, created_at DESC, id DESC);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX idx_projects_status_created;
+    DROP INDEX idx_projects_search;
+    ALTER TABLE projects DROP COLUMN property_type;
+  `);
+};
+
+module.exports = { up, down };
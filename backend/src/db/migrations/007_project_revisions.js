@@ -0,0 +1,41 @@
+// Each edit to a project's listing is stored as a numbered revision with the changed fields and
+// the resulting terms. Existing projects start at version 1 with their current terms.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE project_revisions (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      editor_wallet VARCHAR(42),
+      changes JSONB NOT NULL,
+      snapshot JSONB NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (project_id, version)
+    );
+
+    INSERT INTO project_revisions (project_id, version, editor_wallet, changes, snapshot, reason, created_at)
+    SELECT id, 1, NULL, '{}'::jsonb,
+           jsonb_build_object(
+             'name', name,
+             'description', description,
+             'location', location,
+             'images', images,
+             'price', price::text,
+             'goal', goal::text,
+             'token_price', token_price::text,
+             'min_investment', min_investment::text,
+             'property_type', property_type
+           ),
+           'Terms before revisions were recorded',
+           COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+    FROM projects;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE project_revisions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Privileged actions are appended to a hash-chained log. The trigger rejects edits made through
+// the application role; anything that bypasses it breaks the chain checked by GET /admin/audit/verify.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_wallet VARCHAR(42),
+      actor_role VARCHAR(20),
+      action VARCHAR(64) NOT NULL,
+      target_type VARCHAR(32),
+      target_id VARCHAR(255),
+      before JSONB,
+      after JSONB,
+      ip VARCHAR(64),
+      request_id VARCHAR(128),
+      created_at TIMESTAMPTZ NOT NULL,
+      prev_hash CHAR(64) NOT NULL,
+      hash CHAR(64) NOT NULL UNIQUE
+    );
+
+    CREATE INDEX idx_audit_log_actor ON audit_log (actor_wallet, id);
+    CREATE INDEX idx_audit_log_action ON audit_log (action, id);
+    CREATE INDEX idx_audit_log_target ON audit_log (target_type, target_id, id);
+
+    CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER audit_log_append_only
+      BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE audit_log;
+    DROP FUNCTION audit_log_append_only();
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Deleted projects are archived rather than removed, so admins can restore them and their
+// history survives. Uploaded images are only removed once the retention window has passed.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE projects
+      ADD COLUMN deleted_at TIMESTAMP,
+      ADD COLUMN deleted_by VARCHAR(42),
+      ADD COLUMN images_purged_at TIMESTAMP;
+
+    CREATE INDEX idx_projects_deleted_at ON projects (deleted_at) WHERE deleted_at IS NOT NULL;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX idx_projects_deleted_at;
+    ALTER TABLE projects
+      DROP COLUMN images_purged_at,
+      DROP COLUMN deleted_by,
+      DROP COLUMN deleted_at;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// Investors are anonymous in public project statistics unless they opt in to being shown.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN investments_public BOOLEAN NOT NULL DEFAULT FALSE;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users DROP COLUMN investments_public;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// Every uploaded file is recorded with its owner, so deletes can be restricted and storage counted
+// against a per-wallet quota. Files already referenced by projects are attributed to the project
+// owner; their size is unknown and counts as zero.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE uploads (
+      id SERIAL PRIMARY KEY,
+      filename VARCHAR(255) UNIQUE NOT NULL,
+      owner_wallet VARCHAR(42) NOT NULL,
+      project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+      content_type VARCHAR(50),
+      size_bytes BIGINT NOT NULL DEFAULT 0,
+      original_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_uploads_owner ON uploads (owner_wallet);
+    CREATE INDEX idx_uploads_project ON uploads (project_id);
+
+    INSERT INTO uploads (filename, owner_wallet, project_id)
+    SELECT DISTINCT ON (filename) filename, owner_wallet, id
+    FROM (
+      SELECT substring(image FROM '/uploads/([^/?#]+)$') AS filename, p.owner_wallet, p.id
+      FROM projects p, unnest(p.images) AS image
+    ) referenced
+    WHERE filename IS NOT NULL
+    ORDER BY filename, id;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE uploads;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Uploaded images are re-encoded without metadata and rendered at several widths. The renditions
+// are listed per upload, and size_bytes now covers them too, so they count towards the quota.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE uploads
+      ADD COLUMN width INTEGER,
+      ADD COLUMN height INTEGER,
+      ADD COLUMN blurhash VARCHAR(100),
+      ADD COLUMN renditions JSONB NOT NULL DEFAULT '[]';
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE uploads
+      DROP COLUMN renditions,
+      DROP COLUMN blurhash,
+      DROP COLUMN height,
+      DROP COLUMN width;
+  `);
+};
+
+module.exports = { up, down };
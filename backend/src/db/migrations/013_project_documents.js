@@ -0,0 +1,31 @@
+// Documents attached to a project (plans, legal and financial papers). Files live outside the
+// public uploads directory and are only served through the API, which checks their visibility.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE project_documents (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      category VARCHAR(30) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      visibility VARCHAR(20) NOT NULL DEFAULT 'investors',
+      filename VARCHAR(255) UNIQUE NOT NULL,
+      original_name VARCHAR(255),
+      content_type VARCHAR(100) NOT NULL,
+      size_bytes BIGINT NOT NULL,
+      sha256 CHAR(64) NOT NULL,
+      uploaded_by VARCHAR(42) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_project_documents_project ON project_documents (project_id, created_at);
+    CREATE INDEX idx_project_documents_uploader ON project_documents (uploaded_by);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE project_documents;
+  `);
+};
+
+module.exports = { up, down };
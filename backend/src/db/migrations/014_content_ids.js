@@ -0,0 +1,44 @@
+// Images and documents are addressed by their IPFS CID, recorded whether or not the storage backend
+// pins them, and each project's ERC-1155 metadata is published as versions. content holds the exact
+// bytes the CID was computed from, so a version can be served or pinned again unchanged.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE uploads
+      ADD COLUMN cid VARCHAR(100),
+      ADD COLUMN pinned_at TIMESTAMP;
+
+    ALTER TABLE project_documents
+      ADD COLUMN cid VARCHAR(100),
+      ADD COLUMN pinned_at TIMESTAMP;
+
+    CREATE TABLE project_metadata (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      cid VARCHAR(100) NOT NULL,
+      content TEXT NOT NULL,
+      pinned_at TIMESTAMP,
+      published_by VARCHAR(42) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      pushed_at TIMESTAMP,
+      push_tx_hash VARCHAR(66)
+    );
+    CREATE INDEX idx_project_metadata_project ON project_metadata (project_id, created_at DESC);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE project_metadata;
+
+    ALTER TABLE project_documents
+      DROP COLUMN pinned_at,
+      DROP COLUMN cid;
+
+    ALTER TABLE uploads
+      DROP COLUMN pinned_at,
+      DROP COLUMN cid;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Investments are confirmed in full once they are on chain. The part above the hard cap is not counted
+// in current_funding; overflow_amount records it and overflow_status stays 'review' until it is refunded.
+// Investments that were failed or cut short at the cap before this are converted the same way.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE investments
+      ADD COLUMN overflow_amount DECIMAL(15, 2),
+      ADD COLUMN overflow_status VARCHAR(20),
+      ADD COLUMN overflow_refund_tx_hash VARCHAR(66);
+    CREATE INDEX idx_investments_overflow_status ON investments (overflow_status) WHERE overflow_status IS NOT NULL;
+
+    -- A transaction refused at the cap could be submitted again and refused again; one row per transaction is kept
+    UPDATE investments i
+    SET status = 'confirmed', accepted_amount = 0, overflow_amount = amount, overflow_status = 'review', failure_reason = NULL
+    WHERE i.status = 'failed' AND i.failure_reason = 'Hard cap reached'
+      AND i.id = (SELECT MIN(d.id) FROM investments d WHERE d.tx_hash = i.tx_hash AND d.failure_reason = 'Hard cap reached')
+      AND NOT EXISTS (SELECT 1 FROM investments o WHERE o.tx_hash = i.tx_hash AND o.status <> 'failed');
+
+    UPDATE investments
+    SET overflow_amount = amount - accepted_amount, overflow_status = 'review', failure_reason = NULL
+    WHERE status = 'confirmed' AND accepted_amount < amount;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    UPDATE investments
+    SET status = 'failed', failure_reason = 'Hard cap reached'
+    WHERE status = 'confirmed' AND accepted_amount = 0 AND overflow_amount > 0;
+
+    UPDATE investments
+    SET failure_reason = 'Partially accepted: hard cap reached'
+    WHERE status = 'confirmed' AND accepted_amount > 0 AND overflow_amount > 0;
+
+    ALTER TABLE investments
+      DROP COLUMN overflow_amount,
+      DROP COLUMN overflow_status,
+      DROP COLUMN overflow_refund_tx_hash;
+  `);
+};
+
+module.exports = { up, down };
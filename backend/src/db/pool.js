@@ -1,10 +1,17 @@
+const fs = require('fs');
 const { Pool } = require('pg');
+const { config } = require('../config');
+
+// DATABASE_SSL: disable, no-verify (encrypted but any certificate is accepted) or verify
+const getSslOptions = ({ ssl, sslCaFile }) => {
+  if (ssl === 'disable') return false;
+  if (ssl === 'no-verify') return { rejectUnauthorized: false };
+  return { rejectUnauthorized: true, ...(sslCaFile ? { ca: fs.readFileSync(sslCaFile, 'utf8') } : {}) };
+};
 
 const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
-  }
+  connectionString: config.database.url,
+  ssl: getSslOptions(config.database)
 });
 
 pool.query('SELECT NOW()', (err, res) => {
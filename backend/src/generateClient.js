@@ -0,0 +1,214 @@
+// Writes the frontend API client from the OpenAPI document: `npm run generate:client`.
+// Run it after adding or changing a route so the React app picks up the new shapes.
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db/pool');
+const mounts = require('./routes');
+const { buildOpenApiDocument } = require('./services/openapi');
+
+const OUTPUT = path.join(__dirname, '../../frontend/src/services/generated/apiClient.js');
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+const propertyKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`);
+
+// JSDoc type expression for a JSON schema
+const toType = (schema) => {
+  let type;
+  if (schema.enum) {
+    type = schema.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join('|');
+  } else if (schema.type === 'array') {
+    type = `Array<${toType(schema.items)}>`;
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.format === 'binary') {
+    type = 'Blob';
+  } else if (schema.type === 'object') {
+    type = 'Object';
+  } else {
+    type = schema.type;
+  }
+  return schema.nullable ? `(${type}|null)` : type;
+};
+
+const inlineObject = (fields) =>
+  `{ ${fields.map(({ name, schema, required }) => `${propertyKey(name)}${required ? '' : '?'}: ${toType(schema)}`).join(', ')} }`;
+
+const typedef = (name, properties) => [
+  '/**',
+  ` * @typedef {Object} ${name}`,
+  ...properties.map(({ name: property, type, required }) => ` * @property {${type}} ${required ? property : `[${property}]`}`),
+  ' */'
+].join('\n');
+
+const describeOperations = (document) => {
+  const operations = [];
+
+  for (const [routePath, methods] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const parameters = operation.parameters || [];
+      const byLocation = (location) => parameters
+        .filter(parameter => parameter.in === location)
+        .map(parameter => ({ name: parameter.name, schema: parameter.schema, required: parameter.required }));
+
+      const content = operation.requestBody ? operation.requestBody.content : {};
+      const bodyType = content['multipart/form-data'] ? 'multipart' : content['application/json'] ? 'json' : null;
+      const bodySchema = bodyType ? content[bodyType === 'json' ? 'application/json' : 'multipart/form-data'].schema : null;
+
+      operations.push({
+        name: operation.operationId,
+        summary: operation.summary,
+        method: method.toUpperCase(),
+        path: routePath,
+        auth: Boolean(operation.security),
+        params: byLocation('path'),
+        query: byLocation('query'),
+        headers: byLocation('header'),
+        bodyType,
+        body: bodySchema && {
+          required: Boolean(operation.requestBody.required),
+          fields: Object.entries(bodySchema.properties).map(([name, schema]) => ({
+            name,
+            schema,
+            required: (bodySchema.required || []).includes(name)
+          }))
+        }
+      });
+    }
+  }
+
+  return operations;
+};
+
+const renderTypes = (operation) => {
+  const blocks = [];
+  const typeName = capitalize(operation.name);
+  const request = [];
+
+  if (operation.params.length > 0) {
+    request.push({ name: 'params', type: inlineObject(operation.params), required: true });
+  }
+  if (operation.query.length > 0) {
+    blocks.push(typedef(`${typeName}Query`, operation.query.map(field => ({ ...field, type: toType(field.schema) }))));
+    request.push({ name: 'query', type: `${typeName}Query`, required: operation.query.some(field => field.required) });
+  }
+  if (operation.body) {
+    blocks.push(typedef(`${typeName}Body`, operation.body.fields.map(field => ({ ...field, type: toType(field.schema) }))));
+    request.push({ name: 'body', type: `${typeName}Body`, required: operation.body.required });
+  }
+  if (operation.headers.length > 0) {
+    request.push({ name: 'headers', type: inlineObject(operation.headers), required: false });
+  }
+
+  if (request.length > 0) {
+    blocks.push(typedef(`${typeName}Request`, request));
+  }
+  return blocks;
+};
+
+const renderMethod = (operation) => {
+  const typeName = capitalize(operation.name);
+  const hasRequest = operation.params.length > 0 || operation.query.length > 0 || operation.body || operation.headers.length > 0;
+  const requestOptional = operation.params.length === 0 && !(operation.body && operation.body.required) &&
+    !operation.query.some(field => field.required);
+  const options = [
+    `auth: ${operation.auth}`,
+    ...(operation.bodyType === 'multipart' ? ['multipart: true'] : [])
+  ];
+
+  return [
+    '    /**',
+    `     * ${operation.summary}`,
+    ...(hasRequest ? [`     * @param {${typeName}Request} ${requestOptional ? '[request]' : 'request'}`] : []),
+    '     * @returns {Promise<Object>}',
+    '     */',
+    `    ${operation.name}: (${hasRequest ? 'request' : ''}) => send('${operation.method}', '${operation.path}', { ${options.join(', ')} }${hasRequest ? ', request' : ''})`
+  ].join('\n');
+};
+
+const RUNTIME = `export class ApiError extends Error {
+  constructor(status, data) {
+    super(data.error || \`Request failed with status \${status}\`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fields = data.fields || [];
+  }
+}
+
+// Lists are sent comma-separated; empty values are left out
+const toQueryString = (query = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    search.set(key, Array.isArray(value) ? value.join(',') : value);
+  });
+  const qs = search.toString();
+  return qs ? \`?\${qs}\` : '';
+};
+
+const toFormData = (body = {}) => {
+  const form = new FormData();
+  Object.entries(body).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    [].concat(value).forEach(item => form.append(key, item));
+  });
+  return form;
+};
+
+/**
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] API origin, e.g. http://localhost:3001
+ * @param {typeof fetch} [config.fetch] fetch implementation, e.g. one that refreshes expired sessions
+ * @param {() => Object} [config.getAuthHeaders] headers added to operations that require a signed-in wallet
+ */
+export const createApiClient = ({ baseUrl = '', fetch: fetchImpl = (...args) => fetch(...args), getAuthHeaders = () => ({}) } = {}) => {
+  const send = async (method, path, { auth, multipart = false }, { params = {}, query, body, headers = {} } = {}) => {
+    const url = baseUrl + path.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(params[name])) + toQueryString(query);
+    const options = { method, headers: { ...headers, ...(auth ? getAuthHeaders() : {}) } };
+
+    if (multipart) {
+      options.body = toFormData(body);
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const res = await fetchImpl(url, options);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new ApiError(res.status, data);
+    }
+    return data;
+  };
+
+  return {
+`;
+
+const render = (document) => {
+  const operations = describeOperations(document);
+  return [
+    `// Generated from the ${document.info.title} ${document.info.version} OpenAPI document by backend/src/generateClient.js.`,
+    '// Do not edit by hand; run `npm run generate:client` in backend/ instead.',
+    '',
+    ...operations.flatMap(renderTypes).map(block => `${block}\n`),
+    RUNTIME + operations.map(renderMethod).join(',\n\n'),
+    '  };',
+    '};',
+    ''
+  ].join('\n');
+};
+
+const main = async () => {
+  try {
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, render(buildOpenApiDocument(mounts)));
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch(error => {
+  console.error('Client generation failed:', error);
+  process.exit(1);
+});
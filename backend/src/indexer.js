@@ -0,0 +1,14 @@
+const { assertValidConfig } = require('./config');
+
+assertValidConfig(['database', 'chain', 'indexer']);
+
+const pool = require('./db/pool');
+const { runIndexer } = require('./services/indexer');
+
+runIndexer()
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Indexer failed to start:', error);
+    process.exit(1);
+  });
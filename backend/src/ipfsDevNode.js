@@ -0,0 +1,82 @@
+// Stand-in for a Kubo node in development and tests: `npm run ipfs:dev`. Listens on the port of
+// IPFS_API_URL and answers the RPC calls the ipfs storage backend makes, plus a read-only gateway
+// at /ipfs/<cid>. Content is kept in memory and lost on exit.
+const express = require('express');
+const multer = require('multer');
+const { config, assertValidConfig } = require('./config');
+
+assertValidConfig(['storage']);
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage() });
+const blocks = new Map();
+
+// CIDs come from the reference UnixFS importer (the one js-ipfs and Helia use), not from services/cid, so
+// the ipfs backend's comparison against its own CID still means something when it talks to this node
+const importCid = async (buffer) => {
+  const { importer } = await import('ipfs-unixfs-importer');
+  const { MemoryBlockstore } = await import('blockstore-core/memory');
+
+  let root;
+  for await (const entry of importer([{ content: buffer }], new MemoryBlockstore(), { cidVersion: 1, rawLeaves: true })) {
+    root = entry.cid;
+  }
+  return root.toString();
+};
+
+// Kubo answers RPC errors with a message object and status 500
+const rpcError = (res, message, status = 500) => res.status(status).json({ Message: message, Code: 0, Type: 'error' });
+
+app.post('/api/v0/version', (req, res) => {
+  res.json({ Version: 'dev', Commit: '', System: 'propertyblock-ipfs-dev-node' });
+});
+
+app.post('/api/v0/add', upload.any(), async (req, res) => {
+  if (req.query['cid-version'] !== '1') {
+    return rpcError(res, 'only cid-version=1 is supported', 400);
+  }
+  if (!req.files || req.files.length === 0) {
+    return rpcError(res, 'file argument \'path\' is required', 400);
+  }
+
+  try {
+    const lines = [];
+    for (const file of req.files) {
+      const cid = await importCid(file.buffer);
+      blocks.set(cid, { buffer: file.buffer, pinned: req.query.pin !== 'false' });
+      lines.push(JSON.stringify({ Name: file.originalname, Hash: cid, Size: String(file.size) }));
+    }
+    res.type('application/json').send(`${lines.join('\n')}\n`);
+  } catch (error) {
+    rpcError(res, error.message);
+  }
+});
+
+app.post('/api/v0/cat', (req, res) => {
+  const block = blocks.get(req.query.arg);
+  if (!block) {
+    return rpcError(res, 'block was not found locally (offline)');
+  }
+  res.type('application/octet-stream').send(block.buffer);
+});
+
+app.post('/api/v0/pin/ls', (req, res) => {
+  const pinned = [...blocks].filter(([cid, block]) => block.pinned && (!req.query.arg || cid === req.query.arg));
+  if (req.query.arg && pinned.length === 0) {
+    return rpcError(res, `path '${req.query.arg}' is not pinned`);
+  }
+  res.json({ Keys: Object.fromEntries(pinned.map(([cid]) => [cid, { Type: 'recursive' }])) });
+});
+
+app.get('/ipfs/:cid', (req, res) => {
+  const block = blocks.get(req.params.cid);
+  if (!block) {
+    return res.status(404).send('Not found');
+  }
+  res.set('Cache-Control', 'public, max-age=29030400, immutable').send(block.buffer);
+});
+
+const { hostname, port } = new URL(config.storage.ipfsApiUrl);
+app.listen(port || 80, hostname, () => {
+  console.log(`IPFS dev node listening on ${config.storage.ipfsApiUrl}`);
+});
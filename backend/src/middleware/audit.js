@@ -0,0 +1,40 @@
+const { appendAuditEntry } = require('../services/auditLog');
+
+// Successful responses are held back until their audit entry is written, and replaced by a 500 when
+// it cannot be, so a change is never reported as done without a record of it. Routes describe the
+// change in res.locals.audit as { before, after, targetId }, or set it to false when nothing
+// changed; the target defaults to req.params.id.
+const audit = (action, targetType) => (req, res, next) => {
+  const send = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 || res.locals.audit === false) {
+      return send(body);
+    }
+
+    const details = res.locals.audit || {};
+    appendAuditEntry({
+      actor: req.user && req.user.wallet,
+      role: req.user && req.user.role,
+      action,
+      targetType,
+      targetId: details.targetId ?? req.params.id ?? (details.after && details.after.id) ?? null,
+      before: details.before,
+      after: details.after,
+      ip: req.ip,
+      requestId: req.id
+    })
+      .then(() => send(body), (error) => {
+        console.error('Audit log error:', error);
+        res.status(500);
+        send({ error: 'Failed to record the change in the audit log' });
+      });
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  audit
+};
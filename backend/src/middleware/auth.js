@@ -1,4 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+const { getUserRoles, hasRole } = require('../services/roles');
+const { isSessionActive } = require('../services/sessions');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -8,15 +11,34 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, config.auth.jwtSecret, async (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      return res.status(401).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      if (!(await isSessionActive(user.sid))) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+    } catch (error) {
+      console.error('Session check error:', error);
+      return res.status(500).json({ error: 'Failed to check session' });
+    }
+
     req.user = user;
     next();
   });
 };
 
+// For routes that are public but show more to signed-in wallets: requests without a token pass
+// through with no req.user, while a token that is sent must be valid
+const optionalAuth = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'ADMIN') {
     return res.status(403).json({ error: 'Admin access required' });
@@ -31,8 +53,29 @@ const requireInvestor = (req, res, next) => {
   next();
 };
 
+// Roles are read from the database rather than the token so revocations apply immediately.
+// Routes with a :projectId param also accept roles scoped to that project.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const userRoles = await getUserRoles(req.user.wallet);
+    const projectId = req.params.projectId || null;
+
+    if (!roles.some(role => hasRole(userRoles, role, projectId))) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+
+    req.user.roles = userRoles;
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Failed to check roles' });
+  }
+};
+
 module.exports = {
   authenticateToken,
+  optionalAuth,
   requireAdmin,
-  requireInvestor
+  requireInvestor,
+  requireRole
 };
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const pool = require('../db/pool');
+const { config } = require('../config');
+
+const MAX_KEY_LENGTH = 255;
+
+const getKeyTtlHours = () => config.jobs.idempotencyKeyTtlHours;
+
+const hashRequest = (req) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || null]))
+    .digest('hex');
+
+const claimKey = async (wallet, key, req, requestHash) => {
+  await pool.query(
+    `DELETE FROM idempotency_keys
+     WHERE wallet = $1 AND key = $2 AND created_at < CURRENT_TIMESTAMP - make_interval(hours => $3)`,
+    [wallet, key, getKeyTtlHours()]
+  );
+
+  const claimed = await pool.query(
+    `INSERT INTO idempotency_keys (wallet, key, method, path, request_hash)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (wallet, key) DO NOTHING
+     RETURNING key`,
+    [wallet, key, req.method, req.originalUrl, requestHash]
+  );
+  if (claimed.rows.length > 0) {
+    return null;
+  }
+
+  const existing = await pool.query(
+    'SELECT * FROM idempotency_keys WHERE wallet = $1 AND key = $2',
+    [wallet, key]
+  );
+  return existing.rows[0];
+};
+
+const releaseKey = (wallet, key) =>
+  pool.query('DELETE FROM idempotency_keys WHERE wallet = $1 AND key = $2', [wallet, key]);
+
+// Requests sent with an Idempotency-Key header run once per wallet and key; retries get the
+// stored response. Server errors release the key so the request can be tried again.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const wallet = req.user.wallet;
+  const requestHash = hashRequest(req);
+
+  let existing;
+  try {
+    existing = await claimKey(wallet, key, req, requestHash);
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+
+  if (existing) {
+    if (existing.request_hash !== requestHash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+    }
+
+    if (existing.response_status === null) {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  }
+
+  let settled = false;
+  const send = res.json.bind(res);
+
+  res.json = (body) => {
+    settled = true;
+    const stored = res.statusCode >= 500
+      ? releaseKey(wallet, key)
+      : pool.query(
+        `UPDATE idempotency_keys SET response_status = $1, response_body = $2
+         WHERE wallet = $3 AND key = $4`,
+        [res.statusCode, JSON.stringify(body), wallet, key]
+      );
+
+    stored
+      .catch(error => console.error('Idempotency key error:', error))
+      .finally(() => send(body));
+    return res;
+  };
+
+  // Responses that never went through res.json cannot be replayed
+  res.on('close', () => {
+    if (!settled) {
+      releaseKey(wallet, key).catch(error => console.error('Idempotency key error:', error));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
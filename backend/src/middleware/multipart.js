@@ -0,0 +1,34 @@
+const multer = require('multer');
+
+// Multipart parsing that keeps files in memory, so their content can be checked before anything
+// is written to disk. Multer's limit errors are answered as client errors instead of reaching the
+// error handler. label names the files in the size error, e.g. "Images".
+const bufferedUpload = ({ maxFileSizeMb, label }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSizeMb * 1024 * 1024
+    }
+  });
+
+  const receive = (parse) => (req, res, next) => {
+    parse(req, res, (error) => {
+      if (!error) return next();
+      if (error instanceof multer.MulterError) {
+        return error.code === 'LIMIT_FILE_SIZE'
+          ? res.status(413).json({ error: `${label} must be at most ${maxFileSizeMb} MB` })
+          : res.status(400).json({ error: error.message });
+      }
+      next(error);
+    });
+  };
+
+  return {
+    single: (field) => receive(upload.single(field)),
+    array: (field, maxCount) => receive(upload.array(field, maxCount))
+  };
+};
+
+module.exports = {
+  bufferedUpload
+};
@@ -0,0 +1,15 @@
+const { v4: uuidv4 } = require('uuid');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Reuses a caller-supplied X-Request-Id when it is safe to log, so entries can be matched across services
+const requestId = (req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
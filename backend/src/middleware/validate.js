@@ -0,0 +1,43 @@
+const { validate } = require('propertyblock-shared');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const sendValidationErrors = (res, errors) => {
+  const [first] = errors;
+  res.status(400).json({
+    error: errors.length > 1 ? `${first.message} (and ${errors.length - 1} more)` : first.message,
+    fields: errors
+  });
+};
+
+// Validates req.params, req.query and req.body against the given schemas and replaces them with
+// the coerced values, so handlers only see declared fields. Invalid requests get a 400 listing
+// every field error as { location, field, message }.
+const validateRequest = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = validate(schemas[location], req[location]);
+      errors.push(...result.errors.map(error => ({ location, ...error })));
+      req[location] = result.value;
+    }
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator to document the request
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = {
+  validateRequest,
+  sendValidationErrors
+};
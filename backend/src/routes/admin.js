@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { describeRoute } = require('../services/openapi');
+const { AUDIT_QUERY_SCHEMA, searchAuditLog, verifyAuditChain } = require('../services/auditLog');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+router.get('/audit', describeRoute('searchAuditLog', 'Search the audit log', { response: 'Entries, newest first, with next_cursor' }), validateRequest({ query: AUDIT_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    res.json(await searchAuditLog(req.query));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
+router.get('/audit/verify', describeRoute('verifyAuditLog', 'Check the hash chain of the audit log', { response: 'valid, checked and broken_at' }), async (req, res) => {
+  try {
+    res.json(await verifyAuditChain());
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,31 @@
 const express = require('express');
-const { ethers } = require('ethers');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const pool = require('../db/pool');
+const { config } = require('../config');
 const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { describeRoute } = require('../services/openapi');
+const { getUserRoles } = require('../services/roles');
+const { createSession, rotateSession, endSession, splitRefreshToken } = require('../services/sessions');
+const { verifyWalletSignature } = require('../services/signatures');
+const {
+  getSiweDomain,
+  getNonceTtlMs,
+  generateNonce,
+  parseSiweMessage,
+  validateSiweMessage
+} = require('../services/siwe');
 
 const router = express.Router();
 
-router.post('/nonce', async (req, res) => {
+const refreshTokenSchema = { refreshToken: { type: 'string', maxLength: 512, required: true } };
+
+router.post('/nonce', describeRoute('getNonce', 'Start a Sign-In with Ethereum login', { response: 'Nonce, chain and domain to sign' }), validateRequest({ body: { wallet: { type: 'address', required: true } } }), async (req, res) => {
   try {
     const { wallet } = req.body;
-    
-    if (!wallet || !ethers.isAddress(wallet)) {
-      return res.status(400).json({ error: 'Valid wallet address required' });
-    }
 
     const walletLower = wallet.toLowerCase();
-    const nonce = `Sign this message to login to BlockByBlock: ${uuidv4()}`;
+    const nonce = generateNonce();
+    const expiresAt = new Date(Date.now() + getNonceTtlMs());
 
     const existingUser = await pool.query(
       'SELECT * FROM users WHERE wallet = $1',
@@ -24,37 +33,50 @@ router.post('/nonce', async (req, res) => {
     );
 
     if (existingUser.rows.length === 0) {
-      const role = walletLower === process.env.ADMIN_WALLET?.toLowerCase() 
+      const role = walletLower === config.auth.adminWallet?.toLowerCase() 
         ? 'ADMIN' 
         : 'INVESTOR';
       
       await pool.query(
-        'INSERT INTO users (wallet, role, nonce) VALUES ($1, $2, $3)',
-        [walletLower, role, nonce]
+        'INSERT INTO users (wallet, role, nonce, nonce_expires_at) VALUES ($1, $2, $3, $4)',
+        [walletLower, role, nonce, expiresAt]
       );
     } else {
       await pool.query(
-        'UPDATE users SET nonce = $1, updated_at = CURRENT_TIMESTAMP WHERE wallet = $2',
-        [nonce, walletLower]
+        'UPDATE users SET nonce = $1, nonce_expires_at = $2, updated_at = CURRENT_TIMESTAMP WHERE wallet = $3',
+        [nonce, expiresAt, walletLower]
       );
     }
 
-    res.json({ nonce });
+    res.json({
+      nonce,
+      domain: getSiweDomain(),
+      chainId: config.chain.chainId,
+      expiresAt
+    });
   } catch (error) {
     console.error('Nonce error:', error);
     res.status(500).json({ error: 'Failed to generate nonce' });
   }
 });
 
-router.post('/verify', async (req, res) => {
+router.post('/verify', describeRoute('verifySignature', 'Sign in with a signed SIWE message', { response: 'Access token, refresh token and user' }), validateRequest({
+  body: {
+    message: { type: 'string', trim: false, maxLength: 4096, required: true },
+    signature: { type: 'string', maxLength: 20000, required: true }
+  }
+}), async (req, res) => {
   try {
-    const { wallet, signature } = req.body;
+    const { message, signature } = req.body;
 
-    if (!wallet || !signature) {
-      return res.status(400).json({ error: 'Wallet and signature required' });
+    let fields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid sign-in message: ${err.message}` });
     }
 
-    const walletLower = wallet.toLowerCase();
+    const walletLower = fields.address.toLowerCase();
 
     const result = await pool.query(
       'SELECT * FROM users WHERE wallet = $1',
@@ -71,43 +93,88 @@ router.post('/verify', async (req, res) => {
       return res.status(400).json({ error: 'No pending nonce. Request nonce first.' });
     }
 
-    const recoveredAddress = ethers.verifyMessage(user.nonce, signature);
-    
-    if (recoveredAddress.toLowerCase() !== walletLower) {
+    if (!user.nonce_expires_at || new Date(user.nonce_expires_at).getTime() <= Date.now()) {
+      return res.status(401).json({ error: 'Nonce has expired. Request a new one.' });
+    }
+
+    const validationError = validateSiweMessage(fields, {
+      domain: getSiweDomain(),
+      chainId: config.chain.chainId,
+      nonce: user.nonce
+    });
+
+    if (validationError) {
+      return res.status(401).json({ error: validationError });
+    }
+
+    const validSignature = await verifyWalletSignature(fields.address, message, signature);
+
+    if (!validSignature) {
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    await pool.query(
-      'UPDATE users SET nonce = NULL, updated_at = CURRENT_TIMESTAMP WHERE wallet = $1',
-      [walletLower]
+    // Clearing the nonce only if it is still the one we checked makes each message single-use
+    const consumed = await pool.query(
+      `UPDATE users SET nonce = NULL, nonce_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE wallet = $1 AND nonce = $2
+       RETURNING id`,
+      [walletLower, user.nonce]
     );
 
-    const token = jwt.sign(
-      { 
-        wallet: walletLower, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (consumed.rows.length === 0) {
+      return res.status(401).json({ error: 'Nonce has already been used' });
+    }
 
-    res.json({
-      token,
-      user: {
-        wallet: walletLower,
-        role: user.role
-      }
+    const session = await createSession(walletLower, {
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip
     });
+
+    res.json(session);
   } catch (error) {
     console.error('Verify error:', error);
     res.status(500).json({ error: 'Failed to verify signature' });
   }
 });
 
-router.get('/me', authenticateToken, async (req, res) => {
+router.post('/refresh', describeRoute('refreshSession', 'Exchange a refresh token for new tokens', { response: 'New access and refresh tokens' }), validateRequest({ body: refreshTokenSchema }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await rotateSession(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+router.post('/logout', describeRoute('logout', 'End the session of a refresh token'), validateRequest({ body: refreshTokenSchema }), async (req, res) => {
+  try {
+    if (!splitRefreshToken(req.body.refreshToken)) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    if (!(await endSession(req.body.refreshToken))) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+router.get('/me', describeRoute('getMe', 'Get the signed-in user', { response: 'User with roles' }), authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT wallet, role, created_at FROM users WHERE wallet = $1',
+      'SELECT wallet, role, investments_public, created_at FROM users WHERE wallet = $1',
       [req.user.wallet]
     );
 
@@ -115,7 +182,12 @@ router.get('/me', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    res.json({
+      user: {
+        ...result.rows[0],
+        roles: await getUserRoles(req.user.wallet)
+      }
+    });
   } catch (error) {
     console.error('Me error:', error);
     res.status(500).json({ error: 'Failed to get user info' });
@@ -0,0 +1,40 @@
+const express = require('express');
+const mounts = require('./index');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+const router = express.Router();
+
+const SWAGGER_UI_VERSION = '5.17.14';
+
+let document = null;
+
+router.get('/openapi.json', (req, res) => {
+  try {
+    // Routes are fixed once the server has started, so the document is built on first request
+    document = document || buildOpenApiDocument(mounts);
+    res.json(document);
+  } catch (error) {
+    console.error('OpenAPI document error:', error);
+    res.status(500).json({ error: 'Failed to build API document' });
+  }
+});
+
+router.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>PropertyBuild API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
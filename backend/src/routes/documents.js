@@ -0,0 +1,151 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { uploadDocumentSchema } = require('propertyblock-shared');
+const pool = require('../db/pool');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validateRequest } = require('../middleware/validate');
+const { bufferedUpload } = require('../middleware/multipart');
+const { config } = require('../config');
+const { describeRoute } = require('../services/openapi');
+const {
+  getDocumentAccess,
+  listDocuments,
+  getDocument,
+  documentPath,
+  storeDocument,
+  deleteDocument
+} = require('../services/projectDocuments');
+
+const router = express.Router({ mergeParams: true });
+
+const projectParams = { projectId: { type: 'integer', min: 1, required: true } };
+const documentParams = { ...projectParams, documentId: { type: 'integer', min: 1, required: true } };
+
+if (!fs.existsSync(config.documentDir)) {
+  fs.mkdirSync(config.documentDir, { recursive: true });
+}
+
+const upload = bufferedUpload({ maxFileSizeMb: 25, label: 'Documents' });
+
+// Resolves the live project and what the requester may do with its documents
+const loadProject = async (req, res) => {
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [req.params.projectId]);
+  const project = result.rows[0];
+
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  return { project, access: await getDocumentAccess(req.user, project) };
+};
+
+router.get('/', describeRoute('getProjectDocuments', 'List the documents of a project', { response: 'Documents visible to the requester, and whether they can manage them', description: 'Public documents are listed for everyone; sign in to also see investors and admin documents you have access to.' }), optionalAuth, validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const loaded = await loadProject(req, res);
+    if (!loaded) return;
+
+    res.json({
+      documents: await listDocuments(loaded.project.id, loaded.access.visibilities),
+      can_manage: loaded.access.manage
+    });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({ error: 'Failed to get documents' });
+  }
+});
+
+router.post('/', describeRoute('uploadProjectDocument', 'Attach a PDF, DWG or XLSX document to a project', { status: 201, upload: { field: 'document' }, response: 'Created document with its SHA-256', description: 'Project owner, project admins and admins only. Counts towards the UPLOAD_QUOTA_MB storage quota of the wallet.' }), authenticateToken, audit('document.create', 'document'), upload.single('document'), validateRequest({ params: projectParams, body: uploadDocumentSchema }), async (req, res) => {
+  try {
+    const loaded = await loadProject(req, res);
+    if (!loaded) return;
+
+    if (!loaded.access.manage) {
+      return res.status(403).json({ error: 'Not authorized to manage the documents of this project' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { category, title, visibility } = req.body;
+    const result = await storeDocument(req.file, { project: loaded.project, user: req.user, category, title, visibility });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { targetId: result.document.id, after: result.document };
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: result.document
+    });
+  } catch (error) {
+    console.error('Upload document error:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+router.get('/:documentId/download', describeRoute('downloadProjectDocument', 'Download a project document', { response: 'The file; its SHA-256 is sent in X-Content-SHA256' }), optionalAuth, validateRequest({ params: documentParams }), async (req, res) => {
+  try {
+    const loaded = await loadProject(req, res);
+    if (!loaded) return;
+
+    const document = await getDocument(loaded.project.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!loaded.access.visibilities.includes(document.visibility)) {
+      return req.user
+        ? res.status(403).json({ error: 'Not authorized to download this document' })
+        : res.status(401).json({ error: 'Sign in to download this document' });
+    }
+
+    const downloadName = document.original_name || `${document.title}${path.extname(document.filename)}`;
+    res.download(documentPath(document), downloadName, {
+      headers: {
+        'Content-Type': document.content_type,
+        'X-Content-SHA256': document.sha256,
+        'Cache-Control': document.visibility === 'public' ? 'public, max-age=3600' : 'private, no-store'
+      }
+    }, (error) => {
+      if (!error) return;
+      console.error('Download document error:', error);
+      if (!res.headersSent) {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: error.code === 'ENOENT' ? 'Document file is missing' : 'Failed to download document' });
+      }
+    });
+  } catch (error) {
+    console.error('Download document error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+router.delete('/:documentId', describeRoute('deleteProjectDocument', 'Delete a project document', { description: 'Project owner, project admins and admins only.' }), authenticateToken, validateRequest({ params: documentParams }), audit('document.delete', 'document'), async (req, res) => {
+  try {
+    const loaded = await loadProject(req, res);
+    if (!loaded) return;
+
+    if (!loaded.access.manage) {
+      return res.status(403).json({ error: 'Not authorized to manage the documents of this project' });
+    }
+
+    const document = await getDocument(loaded.project.id, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await deleteDocument(document);
+
+    const { filename, ...before } = document;
+    res.locals.audit = { targetId: document.id, before };
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
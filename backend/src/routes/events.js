@@ -0,0 +1,196 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const pool = require('../db/pool');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { describeRoute } = require('../services/openapi');
+const { getPaymentTokenDecimals } = require('../services/blockchain');
+
+const router = express.Router();
+
+const TOKEN_DECIMALS = 18;
+
+const eventsQuerySchema = {
+  project_id: { type: 'string', pattern: /^\d{1,78}$/, patternMessage: 'project_id must be a whole number' },
+  event: { type: 'string', maxLength: 100 },
+  contract: { type: 'string', maxLength: 100 },
+  wallet: { type: 'address' },
+  limit: { type: 'integer', min: 1, max: 500, default: 50 },
+  offset: { type: 'integer', min: 0, default: 0 }
+};
+
+const tradesSchema = {
+  params: { projectId: { type: 'integer', min: 1, required: true } },
+  query: { limit: { type: 'integer', min: 1, max: 200, default: 20 } }
+};
+
+router.get('/', describeRoute('getEvents', 'List indexed contract events', { response: 'Events', description: 'Admins see every event; other wallets only the events that name them.' }), authenticateToken, validateRequest({ query: eventsQuerySchema }), async (req, res) => {
+  try {
+    const { project_id, event, contract, limit, offset } = req.query;
+    const isAdmin = req.user.role === 'ADMIN';
+
+    if (!isAdmin && req.query.wallet && req.query.wallet.toLowerCase() !== req.user.wallet) {
+      return res.status(403).json({ error: 'Only admins can list the events of another wallet' });
+    }
+    const wallet = isAdmin ? req.query.wallet : req.user.wallet;
+
+    const conditions = [];
+    const params = [];
+
+    if (project_id) {
+      params.push(project_id);
+      conditions.push(`project_id = $${params.length}`);
+    }
+    if (event) {
+      params.push(event);
+      conditions.push(`event_name = $${params.length}`);
+    }
+    if (contract) {
+      params.push(contract);
+      conditions.push(`contract_name = $${params.length}`);
+    }
+    if (wallet) {
+      params.push(wallet.toLowerCase());
+      conditions.push(`EXISTS (SELECT 1 FROM jsonb_each_text(args) a WHERE a.value = $${params.length})`);
+    }
+
+    let query = 'SELECT * FROM chain_events';
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    params.push(limit, offset);
+    query += ` ORDER BY block_number DESC, log_index DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+    res.json({ events: result.rows });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ error: 'Failed to get events' });
+  }
+});
+
+router.get('/projects/:projectId/trades', describeRoute('getProjectTrades', 'List liquidity pool trades of a project', { response: 'Trades' }), validateRequest(tradesSchema), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { limit } = req.query;
+    const stableDecimals = getPaymentTokenDecimals();
+
+    const result = await pool.query(
+      `SELECT * FROM chain_events
+       WHERE project_id = (SELECT chain_project_id FROM projects WHERE id = $1)
+         AND event_name = 'TokensSwapped'
+       ORDER BY block_number DESC, log_index DESC
+       LIMIT $2`,
+      [projectId, limit]
+    );
+
+    const trades = result.rows.map(row => {
+      const { trader, tokenToStable, amountIn, amountOut, fee } = row.args;
+      return {
+        type: tokenToStable ? 'sell' : 'buy',
+        trader,
+        token_amount: ethers.formatUnits(tokenToStable ? amountIn : amountOut, TOKEN_DECIMALS),
+        stable_amount: ethers.formatUnits(tokenToStable ? amountOut : amountIn, stableDecimals),
+        fee: ethers.formatUnits(fee, stableDecimals),
+        tx_hash: row.tx_hash,
+        log_index: row.log_index,
+        block_number: row.block_number,
+        timestamp: row.block_timestamp
+      };
+    });
+
+    res.json({ trades });
+  } catch (error) {
+    console.error('Get trades error:', error);
+    res.status(500).json({ error: 'Failed to get trades' });
+  }
+});
+
+router.get('/my-holdings', describeRoute('getMyHoldings', 'Token balances of the signed-in wallet', { response: 'Holdings per project' }), authenticateToken, async (req, res) => {
+  try {
+    const wallet = req.user.wallet;
+    const stableDecimals = getPaymentTokenDecimals();
+
+    const tokenResult = await pool.query(
+      `SELECT args->>'tokenId' AS token_id, args->>'projectId' AS project_id
+       FROM chain_events WHERE event_name = 'ProjectTokenCreated'`
+    );
+    const tokenToProject = new Map(tokenResult.rows.map(row => [row.token_id, row.project_id]));
+
+    const eventsResult = await pool.query(
+      `SELECT event_name, args FROM chain_events
+       WHERE event_name IN ('TransferSingle', 'InvestmentMade', 'TokensSwapped', 'ProfitClaimed', 'RefundClaimed')
+         AND EXISTS (SELECT 1 FROM jsonb_each_text(args) a WHERE a.value = $1)
+       ORDER BY block_number ASC, log_index ASC`,
+      [wallet]
+    );
+
+    const holdings = new Map();
+    const getHolding = (projectId) => {
+      if (!holdings.has(projectId)) {
+        holdings.set(projectId, { tokens: 0n, invested: 0n, returned: 0n });
+      }
+      return holdings.get(projectId);
+    };
+
+    for (const { event_name, args } of eventsResult.rows) {
+      switch (event_name) {
+        case 'TransferSingle': {
+          const projectId = tokenToProject.get(args.id);
+          if (!projectId) break;
+          const holding = getHolding(projectId);
+          if (args.to === wallet) holding.tokens += BigInt(args.value);
+          if (args.from === wallet) holding.tokens -= BigInt(args.value);
+          break;
+        }
+        case 'InvestmentMade':
+          if (args.investor === wallet) getHolding(args.projectId).invested += BigInt(args.amount);
+          break;
+        case 'TokensSwapped': {
+          if (args.trader !== wallet) break;
+          const holding = getHolding(args.projectId);
+          if (args.tokenToStable) {
+            holding.returned += BigInt(args.amountOut);
+          } else {
+            holding.invested += BigInt(args.amountIn);
+          }
+          break;
+        }
+        case 'ProfitClaimed':
+        case 'RefundClaimed':
+          if (args.investor === wallet) getHolding(args.projectId).returned += BigInt(args.amount);
+          break;
+        default:
+          break;
+      }
+    }
+
+    const projectIds = [...holdings.keys()];
+    const projectsResult = projectIds.length > 0
+      ? await pool.query(
+          `SELECT id, chain_project_id, name, location, images, token_price, status
+           FROM projects WHERE chain_project_id = ANY($1::numeric[])`,
+          [projectIds]
+        )
+      : { rows: [] };
+    const projects = new Map(projectsResult.rows.map(p => [String(p.chain_project_id), p]));
+
+    res.json({
+      holdings: projectIds.map(projectId => {
+        const holding = holdings.get(projectId);
+        return {
+          project_id: projectId,
+          project: projects.get(projectId) || null,
+          tokens: ethers.formatUnits(holding.tokens, TOKEN_DECIMALS),
+          invested: ethers.formatUnits(holding.invested, stableDecimals),
+          returned: ethers.formatUnits(holding.returned, stableDecimals)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get holdings error:', error);
+    res.status(500).json({ error: 'Failed to get holdings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// Routers and the paths they are mounted at; nested routers come before /projects so their
+// prefixes are matched first. Also the source of the OpenAPI document.
+module.exports = [
+  { prefix: '/auth', router: require('./auth'), tag: 'Auth' },
+  { prefix: '/projects/:projectId/milestones', router: require('./milestones'), tag: 'Milestones' },
+  { prefix: '/projects/:projectId/reviews', router: require('./reviews'), tag: 'Reviews' },
+  { prefix: '/projects/:projectId/documents', router: require('./documents'), tag: 'Documents' },
+  { prefix: '/projects/:projectId/metadata', router: require('./metadata'), tag: 'Metadata' },
+  { prefix: '/projects', router: require('./projects'), tag: 'Projects' },
+  { prefix: '/investments', router: require('./investments'), tag: 'Investments' },
+  { prefix: '/upload', router: require('./upload'), tag: 'Uploads' },
+  { prefix: '/events', router: require('./events'), tag: 'Events' },
+  { prefix: '/users', router: require('./users'), tag: 'Users' },
+  { prefix: '/admin', router: require('./admin'), tag: 'Admin' }
+];
@@ -1,19 +1,58 @@
 const express = require('express');
+const { createInvestmentSchema } = require('propertyblock-shared');
 const pool = require('../db/pool');
-const { authenticateToken, requireInvestor } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireInvestor } = require('../middleware/auth');
+const { verifyInvestmentTx } = require('../services/investmentVerifier');
+const {
+  INVESTABLE_STATUSES,
+  findInvestmentByTxHash,
+  recordInvestment,
+  recomputeFunding,
+  getOverflowingInvestments,
+  markOverflowRefunded
+} = require('../services/investmentLedger');
+const { getConfirmationDepth } = require('../services/blockchain');
+const { canViewInvestors, getInvestmentSummary } = require('../services/investorPrivacy');
+const { idempotent } = require('../middleware/idempotency');
+const { validateRequest } = require('../middleware/validate');
+const { audit } = require('../middleware/audit');
+const { describeRoute } = require('../services/openapi');
 
 const router = express.Router();
 
-router.post('/', authenticateToken, requireInvestor, async (req, res) => {
+const recomputeSchema = { project_id: { type: 'integer', min: 1 } };
+const projectParams = { projectId: { type: 'integer', min: 1, required: true } };
+const investmentParams = { id: { type: 'integer', min: 1, required: true } };
+const overflowRefundSchema = { refund_tx_hash: { type: 'hash', required: true } };
+
+// A retried submission gets the original record back instead of counting the transaction twice
+const respondWithExisting = (res, investment, { wallet, projectId, amount }) => {
+  const sameRequest = investment.investor_wallet === wallet
+    && String(investment.project_id) === String(projectId)
+    && parseFloat(investment.amount) === parseFloat(amount);
+
+  if (!sameRequest) {
+    return res.status(409).json({ error: 'Transaction has already been submitted for a different investment' });
+  }
+
+  res.locals.audit = false;
+  res.status(200).json({
+    message: 'Investment already recorded',
+    investment
+  });
+};
+
+router.post('/', describeRoute('createInvestment', 'Record an on-chain investment', { status: 201, response: 'Confirmed investment', description: 'Returns 202 while the transaction waits for confirmations and 200 when the transaction was already recorded.' }), authenticateToken, requireInvestor, validateRequest({ body: createInvestmentSchema }), idempotent, audit('investment.create', 'investment'), async (req, res) => {
   try {
     const { project_id, amount, tx_hash } = req.body;
 
-    if (!project_id || !amount) {
-      return res.status(400).json({ error: 'Project ID and amount are required' });
+    const existing = await findInvestmentByTxHash(tx_hash);
+    if (existing) {
+      return respondWithExisting(res, existing, { wallet: req.user.wallet, projectId: project_id, amount });
     }
 
     const projectResult = await pool.query(
-      'SELECT * FROM projects WHERE id = $1',
+      'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL',
       [project_id]
     );
 
@@ -23,42 +62,119 @@ router.post('/', authenticateToken, requireInvestor, async (req, res) => {
 
     const project = projectResult.rows[0];
 
-    if (!['approved', 'minting'].includes(project.status)) {
+    if (!INVESTABLE_STATUSES.includes(project.status)) {
       return res.status(400).json({ error: 'Project is not available for minting' });
     }
 
-    if (project.min_investment && amount < project.min_investment) {
+    if (project.min_investment && amount < parseFloat(project.min_investment)) {
       return res.status(400).json({ 
         error: `Minimum investment is €${project.min_investment}` 
       });
     }
 
-    const result = await pool.query(
-      `INSERT INTO investments (project_id, investor_wallet, amount, tx_hash)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [project_id, req.user.wallet, amount, tx_hash]
-    );
+    if (!project.chain_project_id) {
+      return res.status(400).json({ error: 'Project is not linked to an on-chain project' });
+    }
 
-    await pool.query(
-      `UPDATE projects 
-       SET current_funding = COALESCE(current_funding, 0) + $1,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2`,
-      [amount, project_id]
-    );
+    const verification = await verifyInvestmentTx(tx_hash, {
+      wallet: req.user.wallet,
+      projectId: project.chain_project_id,
+      amount
+    });
+
+    if (verification.state === 'not_found') {
+      return res.status(400).json({ error: 'Transaction not found on chain' });
+    }
+
+    if (verification.state === 'invalid') {
+      return res.status(400).json({ error: `Transaction verification failed: ${verification.reason}` });
+    }
+
+    const { investment, created } = await recordInvestment({
+      projectId: project_id,
+      wallet: req.user.wallet,
+      amount,
+      txHash: tx_hash,
+      verification,
+      confirm: verification.state === 'mined' && verification.confirmations >= getConfirmationDepth()
+    });
+
+    if (!created) {
+      return respondWithExisting(res, investment, { wallet: req.user.wallet, projectId: project_id, amount });
+    }
+
+    res.locals.audit = { after: investment };
 
-    res.status(201).json({ 
-      message: 'Investment successful',
-      investment: result.rows[0] 
+    if (investment.status === 'confirmed') {
+      return res.status(201).json({ 
+        message: investment.overflow_amount
+          ? `Investment recorded; ${investment.overflow_amount} above the hard cap is held for refund`
+          : 'Investment successful',
+        investment 
+      });
+    }
+
+    res.status(202).json({ 
+      message: 'Investment recorded, waiting for confirmations',
+      investment 
     });
   } catch (error) {
+    // Unique violation: the same transaction was recorded for another project in the meantime
+    if (error.code === '23505') {
+      const existing = await findInvestmentByTxHash(req.body.tx_hash).catch(() => null);
+      if (existing) {
+        return respondWithExisting(res, existing, { wallet: req.user.wallet, projectId: req.body.project_id, amount: req.body.amount });
+      }
+    }
+
     console.error('Create investment error:', error);
     res.status(500).json({ error: 'Failed to create investment' });
   }
 });
 
-router.get('/my-investments', authenticateToken, async (req, res) => {
+router.post('/recompute', describeRoute('recomputeFunding', 'Rebuild current_funding from confirmed investments', { response: 'Recomputed funding totals' }), authenticateToken, requireAdmin, validateRequest({ body: recomputeSchema }), audit('investment.recompute', 'project'), async (req, res) => {
+  try {
+    const corrected = await recomputeFunding(req.body.project_id || null);
+
+    res.locals.audit = { targetId: req.body.project_id || null, after: { corrected } };
+    res.json({
+      message: corrected.length > 0 ? 'Funding totals corrected' : 'Funding totals match the ledger',
+      corrected
+    });
+  } catch (error) {
+    console.error('Recompute funding error:', error);
+    res.status(500).json({ error: 'Failed to recompute funding' });
+  }
+});
+
+router.get('/overflows', describeRoute('getOverflowingInvestments', 'List investments with an amount above the hard cap awaiting refund', { response: 'Investments with overflow_amount, oldest first' }), authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ investments: await getOverflowingInvestments() });
+  } catch (error) {
+    console.error('Get overflowing investments error:', error);
+    res.status(500).json({ error: 'Failed to get investments' });
+  }
+});
+
+router.post('/:id/overflow-refund', describeRoute('markOverflowRefunded', 'Record the refund of the amount above the hard cap', { response: 'Updated investment' }), authenticateToken, requireAdmin, validateRequest({ params: investmentParams, body: overflowRefundSchema }), audit('investment.overflow_refund', 'investment'), async (req, res) => {
+  try {
+    const result = await markOverflowRefunded(req.params.id, req.body.refund_tx_hash);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { targetId: result.investment.id, after: result.investment };
+    res.json({
+      message: 'Overflow marked as refunded',
+      investment: result.investment
+    });
+  } catch (error) {
+    console.error('Mark overflow refunded error:', error);
+    res.status(500).json({ error: 'Failed to mark overflow as refunded' });
+  }
+});
+
+router.get('/my-investments', describeRoute('getMyInvestments', 'List investments of the signed-in wallet', { response: 'Investments' }), authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT i.*, p.name, p.location, p.images, p.token_price 
@@ -75,10 +191,24 @@ router.get('/my-investments', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/project/:projectId', authenticateToken, async (req, res) => {
+const findLiveProject = async (projectId) => {
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [projectId]);
+  return result.rows[0] || null;
+};
+
+router.get('/project/:projectId', describeRoute('getProjectInvestments', 'List every investment in a project', { response: 'Investments with investor wallets', description: 'Limited to admins, the project owner and the TREASURY role; everyone else can use the summary.' }), authenticateToken, validateRequest({ params: projectParams }), async (req, res) => {
   try {
     const { projectId } = req.params;
-    
+
+    const project = await findLiveProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await canViewInvestors(req.user, project))) {
+      return res.status(403).json({ error: 'Not authorized to view the investors of this project' });
+    }
+
     const result = await pool.query(
       `SELECT i.*, u.wallet 
        FROM investments i
@@ -94,4 +224,18 @@ router.get('/project/:projectId', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/project/:projectId/summary', describeRoute('getProjectInvestmentSummary', 'Public investor statistics of a project', { response: 'Investor count, distribution buckets and top holders; wallets are masked unless the investor opted in' }), validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const project = await findLiveProject(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ summary: await getInvestmentSummary(project.id) });
+  } catch (error) {
+    console.error('Get investment summary error:', error);
+    res.status(500).json({ error: 'Failed to get investment summary' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validateRequest } = require('../middleware/validate');
+const { describeRoute } = require('../services/openapi');
+const { getUserRoles, hasRole } = require('../services/roles');
+const { getTokenUri, setTokenUri } = require('../services/projectChain');
+const {
+  buildProjectMetadata,
+  getLatestPublication,
+  publishProjectMetadata,
+  recordPush
+} = require('../services/projectMetadata');
+
+const router = express.Router({ mergeParams: true });
+
+const projectParams = { projectId: { type: 'integer', min: 1, required: true } };
+
+const loadProject = async (req, res) => {
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [req.params.projectId]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+router.get('/', describeRoute('getProjectMetadata', 'Get the ERC-1155 metadata of a project', { response: 'Metadata as it would be published now, and the latest published version' }), validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    res.json({
+      metadata: await buildProjectMetadata(project),
+      publication: await getLatestPublication(project.id)
+    });
+  } catch (error) {
+    console.error('Get metadata error:', error);
+    res.status(500).json({ error: 'Failed to get project metadata' });
+  }
+});
+
+router.post('/', describeRoute('publishProjectMetadata', 'Publish the ERC-1155 metadata of a project', { response: 'Published version with its CID and ipfs:// URI', description: 'Admins and PROJECT_ADMIN wallets of the project. Pinned when STORAGE_BACKEND is ipfs; unchanged metadata keeps its current version.' }), authenticateToken, validateRequest({ params: projectParams }), audit('metadata.publish', 'project'), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const roles = await getUserRoles(req.user.wallet);
+    if (!hasRole(roles, 'PROJECT_ADMIN', project.id)) {
+      return res.status(403).json({ error: 'Not authorized to publish the metadata of this project' });
+    }
+
+    const result = await publishProjectMetadata(project, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { metadata, ...publication } = result.publication;
+    res.locals.audit = result.created ? { targetId: project.id, after: publication } : false;
+    res.status(result.created ? 201 : 200).json({
+      message: result.created ? 'Metadata published' : 'Metadata unchanged',
+      publication: result.publication
+    });
+  } catch (error) {
+    console.error('Publish metadata error:', error);
+    res.status(500).json({ error: 'Failed to publish project metadata' });
+  }
+});
+
+router.post('/push', describeRoute('pushProjectMetadata', 'Point the project token at its latest metadata', { response: 'Pushed version with the transaction hash', description: 'Calls PropertyBuildToken.setURI with the ipfs:// URI of the latest pinned version.' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams }), audit('metadata.push', 'project'), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    if (!project.token_id) {
+      return res.status(400).json({ error: 'Project has no token on chain yet' });
+    }
+
+    const publication = await getLatestPublication(project.id);
+    if (!publication) {
+      return res.status(400).json({ error: 'Publish the project metadata first' });
+    }
+    if (!publication.pinned_at) {
+      return res.status(409).json({ error: 'Latest metadata is not pinned to IPFS; publish it with STORAGE_BACKEND=ipfs first' });
+    }
+
+    const previousUri = await getTokenUri(project.token_id);
+    const { txHash } = await setTokenUri(project.token_id, publication.uri);
+    const pushed = await recordPush(publication.id, txHash);
+
+    const { metadata, ...after } = pushed;
+    res.locals.audit = { targetId: project.id, before: { uri: previousUri }, after };
+    res.json({
+      message: 'Token URI updated',
+      publication: pushed
+    });
+  } catch (error) {
+    console.error('Push metadata error:', error);
+    res.status(500).json({ error: 'Failed to push project metadata' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,492 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { authenticateToken, requireAdmin, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { audit } = require('../middleware/audit');
+const { withTransaction } = require('../db/transaction');
+const { describeRoute } = require('../services/openapi');
+const { getUserRoles, hasRole } = require('../services/roles');
+const { COMPLETED_MILESTONE_STATUSES } = require('../services/projectStatus');
+
+const router = express.Router({ mergeParams: true });
+
+// Mirrors ProjectLifecycle.MAX_MILESTONES
+const MAX_MILESTONES = 20;
+// Milestones can only be planned before construction starts, like addMilestone on chain
+const PLANNING_STATUSES = ['pending', 'approved', 'minting', 'funded'];
+
+const loadProject = async (projectId) => {
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [projectId]);
+  return result.rows[0] || null;
+};
+
+// Changes to a project's milestone list lock the project row, so concurrent requests cannot exceed
+// MAX_MILESTONES or the budget, or leave gaps in milestone_index
+const lockProject = async (client, projectId) => {
+  const result = await client.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [projectId]);
+  return result.rows[0] || null;
+};
+
+const loadMilestone = async (projectId, milestoneId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM milestones WHERE id = $1 AND project_id = $2',
+    [milestoneId, projectId]
+  );
+  return result.rows[0] || null;
+};
+
+// The wallet registered as contractor on approval counts even without an explicit CONTRACTOR grant
+const isContractor = (user, roles, project) =>
+  (!!project.contractor_wallet && project.contractor_wallet === user.wallet) ||
+  hasRole(roles, 'CONTRACTOR', project.id);
+
+// Same as isContractor without the admin pass, for checks that keep the builder out rather than let them in
+const buildsProject = (user, roles, project) =>
+  (!!project.contractor_wallet && project.contractor_wallet === user.wallet) ||
+  hasRole(roles.filter(r => r.role !== 'ADMIN'), 'CONTRACTOR', project.id);
+
+const getAllocatedPercent = async (db, projectId, excludeId = null) => {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(budget_percent), 0) AS total
+     FROM milestones
+     WHERE project_id = $1 AND ($2::int IS NULL OR id <> $2)`,
+    [projectId, excludeId]
+  );
+  return parseFloat(result.rows[0].total);
+};
+
+const projectParams = { projectId: { type: 'integer', min: 1, required: true } };
+const milestoneParams = { ...projectParams, milestoneId: { type: 'integer', min: 1, required: true } };
+
+const milestoneFields = {
+  description: { type: 'string', maxLength: 5000 },
+  budget_percent: { type: 'number', positive: true, max: 100, maxDecimals: 2 },
+  verification_threshold: { type: 'integer', min: 1, max: 100 }
+};
+
+const createMilestoneSchema = {
+  ...milestoneFields,
+  description: { ...milestoneFields.description, required: true },
+  budget_percent: { ...milestoneFields.budget_percent, required: true }
+};
+
+router.get('/', describeRoute('getMilestones', 'List the milestones of a project', { response: 'Milestones' }), validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const result = await pool.query(
+      `SELECT m.*, COUNT(v.id)::int AS approvals
+       FROM milestones m
+       LEFT JOIN milestone_verifications v ON v.milestone_id = m.id
+       WHERE m.project_id = $1
+       GROUP BY m.id
+       ORDER BY m.milestone_index ASC`,
+      [projectId]
+    );
+
+    res.json({ milestones: result.rows });
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({ error: 'Failed to get milestones' });
+  }
+});
+
+router.post('/', describeRoute('createMilestone', 'Add a milestone to a project', { status: 201, response: 'Created milestone' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams, body: createMilestoneSchema }), audit('milestone.create', 'milestone'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { description, budget_percent, verification_threshold } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const project = await lockProject(client, projectId);
+      if (!project) {
+        return { status: 404, error: 'Project not found' };
+      }
+
+      if (!PLANNING_STATUSES.includes(project.status)) {
+        return { status: 400, error: 'Milestones can only be added before construction starts' };
+      }
+
+      const countResult = await client.query(
+        'SELECT COUNT(*)::int AS count FROM milestones WHERE project_id = $1',
+        [projectId]
+      );
+      const count = countResult.rows[0].count;
+
+      if (count >= MAX_MILESTONES) {
+        return { status: 400, error: `A project can have at most ${MAX_MILESTONES} milestones` };
+      }
+
+      const allocated = await getAllocatedPercent(client, projectId);
+      if (allocated + budget_percent > 100) {
+        return { status: 400, error: `Total milestone budget cannot exceed 100% (${allocated}% already allocated)` };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO milestones (project_id, milestone_index, description, budget_percent, verification_threshold)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [projectId, count, description, budget_percent, verification_threshold || 1]
+      );
+      return { milestone: inserted.rows[0] };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { after: result.milestone };
+
+    res.status(201).json({
+      message: 'Milestone added',
+      milestone: result.milestone
+    });
+  } catch (error) {
+    console.error('Create milestone error:', error);
+    res.status(500).json({ error: 'Failed to create milestone' });
+  }
+});
+
+router.put('/:milestoneId', describeRoute('updateMilestone', 'Edit a milestone', { response: 'Updated milestone' }), authenticateToken, requireAdmin, validateRequest({ params: milestoneParams, body: milestoneFields }), audit('milestone.update', 'milestone'), async (req, res) => {
+  try {
+    const { projectId, milestoneId } = req.params;
+    const { description, budget_percent, verification_threshold } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const project = await lockProject(client, projectId);
+      if (!project) {
+        return { status: 404, error: 'Project not found' };
+      }
+
+      const milestone = await loadMilestone(projectId, milestoneId, client);
+      if (!milestone) {
+        return { status: 404, error: 'Milestone not found' };
+      }
+
+      if (!PLANNING_STATUSES.includes(project.status) || milestone.status !== 'pending') {
+        return { status: 400, error: 'Milestone can no longer be edited' };
+      }
+
+      if (budget_percent !== undefined) {
+        const allocated = await getAllocatedPercent(client, projectId, milestone.id);
+        if (allocated + budget_percent > 100) {
+          return { status: 400, error: `Total milestone budget cannot exceed 100% (${allocated}% allocated to other milestones)` };
+        }
+      }
+
+      const updated = await client.query(
+        `UPDATE milestones
+         SET description = COALESCE($1, description),
+             budget_percent = COALESCE($2, budget_percent),
+             verification_threshold = COALESCE($3, verification_threshold),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [description, budget_percent, verification_threshold, milestone.id]
+      );
+      return { milestone: updated.rows[0], previous: milestone };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { before: result.previous, after: result.milestone };
+
+    res.json({ milestone: result.milestone });
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({ error: 'Failed to update milestone' });
+  }
+});
+
+router.delete('/:milestoneId', describeRoute('deleteMilestone', 'Delete a milestone'), authenticateToken, requireAdmin, validateRequest({ params: milestoneParams }), audit('milestone.delete', 'milestone'), async (req, res) => {
+  try {
+    const { projectId, milestoneId } = req.params;
+
+    const result = await withTransaction(async (client) => {
+      const project = await lockProject(client, projectId);
+      if (!project) {
+        return { status: 404, error: 'Project not found' };
+      }
+
+      const milestone = await loadMilestone(projectId, milestoneId, client);
+      if (!milestone) {
+        return { status: 404, error: 'Milestone not found' };
+      }
+
+      if (!PLANNING_STATUSES.includes(project.status)) {
+        return { status: 400, error: 'Milestones can only be removed before construction starts' };
+      }
+
+      await client.query('DELETE FROM milestones WHERE id = $1', [milestone.id]);
+
+      // Keep indexes contiguous so they keep matching on-chain milestone indexes
+      await client.query(
+        `UPDATE milestones
+         SET milestone_index = milestone_index - 1, updated_at = CURRENT_TIMESTAMP
+         WHERE project_id = $1 AND milestone_index > $2`,
+        [projectId, milestone.milestone_index]
+      );
+      return { milestone };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { targetId: result.milestone.id, before: result.milestone };
+
+    res.json({
+      message: 'Milestone deleted successfully',
+      milestone: result.milestone
+    });
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({ error: 'Failed to delete milestone' });
+  }
+});
+
+router.post('/:milestoneId/submit', describeRoute('submitMilestone', 'Submit a milestone for verification', { response: 'Submitted milestone' }), authenticateToken, validateRequest({
+  params: milestoneParams,
+  body: { documentation_uri: { type: 'string', maxLength: 2048 } }
+}), audit('milestone.submit', 'milestone'), async (req, res) => {
+  try {
+    const { projectId, milestoneId } = req.params;
+    const { documentation_uri } = req.body;
+
+    const project = await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const roles = await getUserRoles(req.user.wallet);
+    if (!isContractor(req.user, roles, project)) {
+      return res.status(403).json({ error: 'Only the project contractor can submit milestones' });
+    }
+
+    if (project.status !== 'building') {
+      return res.status(400).json({ error: 'Milestones can only be submitted while the project is building' });
+    }
+
+    const milestone = await loadMilestone(projectId, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    if (milestone.status !== 'pending') {
+      return res.status(400).json({ error: 'Milestone has already been submitted' });
+    }
+
+    if (milestone.milestone_index > 0) {
+      const previous = await pool.query(
+        'SELECT status FROM milestones WHERE project_id = $1 AND milestone_index = $2',
+        [projectId, milestone.milestone_index - 1]
+      );
+
+      if (previous.rows.length > 0 && !COMPLETED_MILESTONE_STATUSES.includes(previous.rows[0].status)) {
+        return res.status(400).json({ error: 'Previous milestone must be verified first' });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE milestones
+       SET status = 'submitted',
+           documentation_uri = $1,
+           submitted_by = $2,
+           submitted_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = 'pending'
+       RETURNING *`,
+      [documentation_uri || null, req.user.wallet, milestone.id]
+    );
+
+    res.locals.audit = { targetId: milestone.id, before: milestone, after: result.rows[0] };
+
+    res.json({
+      message: 'Milestone submitted for verification',
+      milestone: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Submit milestone error:', error);
+    res.status(500).json({ error: 'Failed to submit milestone' });
+  }
+});
+
+router.post('/:milestoneId/verify', describeRoute('verifyMilestone', 'Verify a submitted milestone', { response: 'Milestone with its verification count', description: 'Only while the project is building, and not by the wallet that submitted the milestone or the project contractor.' }), authenticateToken, validateRequest({ params: milestoneParams }), requireRole('VERIFIER'), audit('milestone.verify', 'milestone'), async (req, res) => {
+  try {
+    const { projectId, milestoneId } = req.params;
+
+    const project = await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.status !== 'building') {
+      return res.status(400).json({ error: 'Milestones can only be verified while the project is building' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const locked = await client.query(
+        'SELECT * FROM milestones WHERE id = $1 AND project_id = $2 FOR UPDATE',
+        [milestoneId, projectId]
+      );
+      const milestone = locked.rows[0];
+      if (!milestone) {
+        return { status: 404, error: 'Milestone not found' };
+      }
+
+      if (milestone.status !== 'submitted') {
+        return { status: 400, error: 'Only submitted milestones can be verified' };
+      }
+
+      // Verification has to come from someone other than the builder, even if one wallet holds both roles
+      if (milestone.submitted_by === req.user.wallet || buildsProject(req.user, req.user.roles, project)) {
+        return { status: 403, error: 'The contractor cannot verify their own milestone' };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO milestone_verifications (milestone_id, verifier_wallet)
+         VALUES ($1, $2)
+         ON CONFLICT (milestone_id, verifier_wallet) DO NOTHING
+         RETURNING *`,
+        [milestone.id, req.user.wallet]
+      );
+
+      if (inserted.rows.length === 0) {
+        return { status: 400, error: 'You have already verified this milestone' };
+      }
+
+      const approvals = await client.query(
+        'SELECT COUNT(*)::int AS count FROM milestone_verifications WHERE milestone_id = $1',
+        [milestone.id]
+      );
+
+      let updated = milestone;
+      if (approvals.rows[0].count >= milestone.verification_threshold) {
+        const verified = await client.query(
+          `UPDATE milestones
+           SET status = 'verified', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *`,
+          [milestone.id]
+        );
+        updated = verified.rows[0];
+      }
+      return { milestone: updated, previous: milestone, approvals: approvals.rows[0].count };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { before: result.previous, after: { ...result.milestone, approvals: result.approvals } };
+
+    res.json({
+      message: result.milestone.status === 'verified' ? 'Milestone verified' : 'Verification recorded',
+      approvals: result.approvals,
+      milestone: result.milestone
+    });
+  } catch (error) {
+    console.error('Verify milestone error:', error);
+    res.status(500).json({ error: 'Failed to verify milestone' });
+  }
+});
+
+router.post('/:milestoneId/dispute', describeRoute('disputeMilestone', 'Dispute a milestone', { response: 'Disputed milestone' }), authenticateToken, validateRequest({
+  params: milestoneParams,
+  body: { reason: { type: 'string', maxLength: 5000, required: true } }
+}), audit('milestone.dispute', 'milestone'), async (req, res) => {
+  try {
+    const { projectId, milestoneId } = req.params;
+    const { reason } = req.body;
+
+    const project = await loadProject(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const roles = await getUserRoles(req.user.wallet);
+    if (!isContractor(req.user, roles, project) && !hasRole(roles, 'VERIFIER', project.id)) {
+      return res.status(403).json({ error: 'Not authorized to dispute this milestone' });
+    }
+
+    const previous = await loadMilestone(projectId, milestoneId);
+    const result = await pool.query(
+      `UPDATE milestones
+       SET status = 'disputed',
+           dispute_reason = $1,
+           disputed_by = $2,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND project_id = $4 AND status = 'submitted'
+       RETURNING *`,
+      [reason, req.user.wallet, milestoneId, projectId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Milestone not found or not awaiting verification' });
+    }
+
+    res.locals.audit = { before: previous, after: result.rows[0] };
+
+    res.json({
+      message: 'Milestone disputed',
+      milestone: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Dispute milestone error:', error);
+    res.status(500).json({ error: 'Failed to dispute milestone' });
+  }
+});
+
+router.post('/:milestoneId/resolve', describeRoute('resolveMilestoneDispute', 'Resolve a disputed milestone', { response: 'Resolved milestone' }), authenticateToken, requireAdmin, validateRequest({
+  params: milestoneParams,
+  body: { approved: { type: 'boolean', required: true } }
+}), audit('milestone.resolve', 'milestone'), async (req, res) => {
+  try {
+    const { projectId, milestoneId } = req.params;
+    const { approved } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const locked = await client.query(
+        'SELECT * FROM milestones WHERE id = $1 AND project_id = $2 FOR UPDATE',
+        [milestoneId, projectId]
+      );
+      const milestone = locked.rows[0];
+      if (!milestone || milestone.status !== 'disputed') {
+        return { status: 400, error: 'Milestone not found or not disputed' };
+      }
+
+      // Rejected disputes send the milestone back to the contractor with approvals reset, as on chain
+      if (!approved) {
+        await client.query('DELETE FROM milestone_verifications WHERE milestone_id = $1', [milestone.id]);
+      }
+
+      const updated = await client.query(
+        `UPDATE milestones
+         SET status = $1::varchar,
+             completed_at = CASE WHEN $1::varchar = 'verified' THEN CURRENT_TIMESTAMP ELSE NULL END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'disputed'
+         RETURNING *`,
+        [approved ? 'verified' : 'pending', milestone.id]
+      );
+      return { milestone: updated.rows[0], previous: milestone };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { before: result.previous, after: result.milestone };
+
+    res.json({
+      message: approved ? 'Dispute resolved, milestone verified' : 'Dispute resolved, milestone reset',
+      milestone: result.milestone
+    });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+});
+
+module.exports = router;
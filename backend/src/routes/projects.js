@@ -1,49 +1,130 @@
 const express = require('express');
+const { createProjectSchema, updateProjectSchema, resubmitProjectSchema } = require('propertyblock-shared');
 const pool = require('../db/pool');
 const { authenticateToken, requireAdmin, requireInvestor } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateRequest, sendValidationErrors } = require('../middleware/validate');
+const { audit } = require('../middleware/audit');
+const { describeRoute } = require('../services/openapi');
+const { withTransaction } = require('../db/transaction');
+const {
+  MAX_CONTINGENCY_BPS,
+  MAX_PLATFORM_FEE_BPS,
+  readChainProject,
+  createChainProject,
+  reconcileProject
+} = require('../services/projectChain');
+const {
+  PROJECT_STATUSES,
+  checkTransition,
+  recordStatusChange,
+  transitionProject,
+  getStatusHistory
+} = require('../services/projectStatus');
+const { DECISION_KINDS, MAX_COMMENT_LENGTH, addReview } = require('../services/projectReviews');
+const { SEARCH_QUERY_SCHEMA, parseSearchParams, searchProjects } = require('../services/projectSearch');
+const {
+  FINANCIAL_FIELDS,
+  snapshotProject,
+  getChangedFields,
+  getLockedFields,
+  hasBindingTerms,
+  recordRevision,
+  applyProjectEdit,
+  getRevisions
+} = require('../services/projectRevisions');
+const { archiveProject, restoreProject, getArchivedProjects } = require('../services/projectArchive');
+const { linkUploads, attachImageDetails } = require('../services/uploads');
 
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+const projectParams = { id: { type: 'integer', min: 1, required: true } };
+
+const approveSchema = {
+  chain_project_id: { type: 'string', pattern: /^\d{1,78}$/, patternMessage: 'chain_project_id must be a whole number' },
+  contractor_wallet: { type: 'address' },
+  minting_deadline: { type: 'date' },
+  project_deadline: { type: 'date' },
+  hard_cap: { type: 'number', positive: true },
+  soft_cap: { type: 'number', positive: true },
+  // Basis points, as ProjectLifecycle.createProject takes them: 1000 is 10%
+  contingency_bps: { type: 'integer', min: 0, max: MAX_CONTINGENCY_BPS },
+  platform_fee_bps: { type: 'integer', min: 0, max: MAX_PLATFORM_FEE_BPS },
+  metadata_uri: { type: 'string', maxLength: 2048 },
+  comment: { type: 'string', maxLength: MAX_COMMENT_LENGTH }
+};
+
+const rejectSchema = { reason: { type: 'string', maxLength: MAX_COMMENT_LENGTH } };
+
+const changeStatusSchema = {
+  status: { type: 'string', lowercase: true, oneOf: PROJECT_STATUSES, required: true },
+  reason: { type: 'string', maxLength: 1000 }
+};
+
+router.get('/', describeRoute('searchProjects', 'Search, filter and page through projects', { response: 'Page of projects with total, status_counts and next_cursor' }), validateRequest({ query: SEARCH_QUERY_SCHEMA }), async (req, res) => {
   try {
-    const { status } = req.query;
-    
-    let query = 'SELECT * FROM projects';
-    let params = [];
-    
-    if (status) {
-      query += ' WHERE status = $1';
-      params.push(status);
+    const search = parseSearchParams(req.query);
+
+    if (search.errors) {
+      return sendValidationErrors(res, search.errors.map(error => ({ location: 'query', ...error })));
     }
-    
-    query += ' ORDER BY created_at DESC';
-    
-    const result = await pool.query(query, params);
-    res.json({ projects: result.rows });
+
+    const page = await searchProjects(search);
+    res.json({ ...page, projects: await attachImageDetails(page.projects) });
   } catch (error) {
     console.error('Get projects error:', error);
     res.status(500).json({ error: 'Failed to get projects' });
   }
 });
 
-router.get('/approved', async (req, res) => {
+router.get('/approved', describeRoute('getApprovedProjects', 'List projects open to investors', { response: 'Projects' }), async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT * FROM projects WHERE status = $1 ORDER BY created_at DESC',
+      'SELECT * FROM projects WHERE status = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
       ['approved']
     );
-    res.json({ projects: result.rows });
+    res.json({ projects: await attachImageDetails(result.rows) });
   } catch (error) {
     console.error('Get approved projects error:', error);
     res.status(500).json({ error: 'Failed to get projects' });
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/reconcile', describeRoute('reconcileProjects', 'Compare every on-chain project with the database', { response: 'Reconciliation report per project' }), authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM projects WHERE chain_project_id IS NOT NULL AND deleted_at IS NULL ORDER BY id'
+    );
+
+    const reconciliations = [];
+    for (const project of result.rows) {
+      reconciliations.push(await reconcileProject(project));
+    }
+
+    res.json({ 
+      reconciliations,
+      drifted: reconciliations.filter(r => !r.in_sync).length
+    });
+  } catch (error) {
+    console.error('Reconcile projects error:', error);
+    res.status(500).json({ error: 'Failed to reconcile projects' });
+  }
+});
+
+router.get('/archived', describeRoute('getArchivedProjects', 'List deleted projects', { response: 'Archived projects with the date their images are purged' }), authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ projects: await getArchivedProjects() });
+  } catch (error) {
+    console.error('Get archived projects error:', error);
+    res.status(500).json({ error: 'Failed to get archived projects' });
+  }
+});
+
+router.get('/:id', describeRoute('getProject', 'Get a project', { response: 'Project' }), validateRequest({ params: projectParams }), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await pool.query(
-      'SELECT * FROM projects WHERE id = $1',
+      'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -51,41 +132,65 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    res.json({ project: result.rows[0] });
+    const [project] = await attachImageDetails(result.rows);
+    res.json({ project });
   } catch (error) {
     console.error('Get project error:', error);
     res.status(500).json({ error: 'Failed to get project' });
   }
 });
 
-router.post('/', authenticateToken, requireInvestor, async (req, res) => {
+router.post('/', describeRoute('createProject', 'Submit a project for approval', { status: 201, response: 'Created project' }), authenticateToken, requireInvestor, validateRequest({ body: createProjectSchema }), idempotent, audit('project.create', 'project'), async (req, res) => {
   try {
-    const { name, description, location, images, price, goal, token_price, min_investment } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ error: 'Project name is required' });
-    }
-
-    const result = await pool.query(
-      `INSERT INTO projects (owner_wallet, name, description, location, images, price, goal, token_price, min_investment, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
-       RETURNING *`,
-      [
-        req.user.wallet,
-        name,
-        description || null,
-        location || null,
-        images || [],
-        price || null,
-        goal || null,
-        token_price || null,
-        min_investment || null
-      ]
-    );
+    const { name, description, location, images, price, goal, token_price, min_investment, property_type } = req.body;
+
+    const project = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO projects (owner_wallet, name, description, location, images, price, goal, token_price, min_investment, property_type, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending')
+         RETURNING *`,
+        [
+          req.user.wallet,
+          name,
+          description || null,
+          location || null,
+          images || [],
+          price || null,
+          goal || null,
+          token_price || null,
+          min_investment || null,
+          property_type || null
+        ]
+      );
+
+      await recordStatusChange(client, {
+        projectId: result.rows[0].id,
+        from: null,
+        to: 'pending',
+        actor: req.user.wallet
+      });
+
+      await linkUploads(client, { projectId: result.rows[0].id, wallet: req.user.wallet, images: result.rows[0].images });
+
+      const snapshot = snapshotProject(result.rows[0]);
+      await recordRevision(client, {
+        projectId: result.rows[0].id,
+        editor: req.user.wallet,
+        changes: Object.fromEntries(
+          Object.entries(snapshot)
+            .filter(([, value]) => value !== null)
+            .map(([field, value]) => [field, { from: null, to: value }])
+        ),
+        snapshot
+      });
+
+      return result.rows[0];
+    });
 
+    res.locals.audit = { after: project };
     res.status(201).json({ 
       message: 'Project submitted for approval',
-      project: result.rows[0] 
+      project 
     });
   } catch (error) {
     console.error('Create project error:', error);
@@ -93,65 +198,186 @@ router.post('/', authenticateToken, requireInvestor, async (req, res) => {
   }
 });
 
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', describeRoute('updateProject', 'Edit a project', { response: 'Updated project and the recorded revision', description: 'Financial terms are locked after approval; admins can change them with an override_reason until the project is on chain or has confirmed investments (409).' }), authenticateToken, validateRequest({ params: projectParams, body: updateProjectSchema }), audit('project.update', 'project'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, location, images, price, goal, token_price, min_investment } = req.body;
-
-    const projectResult = await pool.query('SELECT * FROM projects WHERE id = $1', [id]);
-    
-    if (projectResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+    const { override_reason } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const projectResult = await client.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      const project = projectResult.rows[0];
+
+      if (!project) {
+        return { status: 404, error: 'Project not found' };
+      }
+
+      const isAdmin = req.user.role === 'ADMIN';
+      if (project.owner_wallet !== req.user.wallet && !isAdmin) {
+        return { status: 403, error: 'Not authorized to update this project' };
+      }
+
+      const changed = getChangedFields(project, req.body);
+      const financial = changed.filter(field => FINANCIAL_FIELDS.includes(field));
+      if (financial.length > 0 && await hasBindingTerms(client, project)) {
+        return { status: 409, error: `Financial terms are fixed once a project is on chain or has confirmed investments: ${financial.join(', ')}` };
+      }
+
+      // Investors bought under the current terms, so only an admin can change them after review
+      const locked = getLockedFields(project, changed);
+      if (locked.length > 0) {
+        if (!isAdmin) {
+          return { status: 403, error: `Financial terms cannot be changed once a project is ${project.status}: ${locked.join(', ')}` };
+        }
+        if (!override_reason) {
+          return { status: 400, error: `An override reason is required to change ${locked.join(', ')} on a ${project.status} project` };
+        }
+      }
+
+      const edit = await applyProjectEdit(client, project, req.body, {
+        editor: req.user.wallet,
+        reason: locked.length > 0 ? override_reason : null
+      });
+      if (edit.project) {
+        await linkUploads(client, { projectId: project.id, wallet: req.user.wallet, images: edit.project.images });
+      }
+      return { ...edit, previous: project };
+    });
 
-    const project = projectResult.rows[0];
-    
-    if (project.owner_wallet !== req.user.wallet && req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Not authorized to update this project' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const result = await pool.query(
-      `UPDATE projects 
-       SET name = COALESCE($1, name),
-           description = COALESCE($2, description),
-           location = COALESCE($3, location),
-           images = COALESCE($4, images),
-           price = COALESCE($5, price),
-           goal = COALESCE($6, goal),
-           token_price = COALESCE($7, token_price),
-           min_investment = COALESCE($8, min_investment),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $9
-       RETURNING *`,
-      [name, description, location, images, price, goal, token_price, min_investment, id]
-    );
+    res.locals.audit = result.revision ? { before: result.previous, after: result.project } : false;
 
-    res.json({ project: result.rows[0] });
+    res.json({ project: result.project, revision: result.revision });
   } catch (error) {
     console.error('Update project error:', error);
     res.status(500).json({ error: 'Failed to update project' });
   }
 });
 
-router.post('/:id/approve', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/:id/approve', describeRoute('approveProject', 'Approve a project and create it on chain', { response: 'Approved project' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams, body: approveSchema }), audit('project.approve', 'project'), async (req, res) => {
   try {
     const { id } = req.params;
+    const {
+      chain_project_id,
+      contractor_wallet,
+      minting_deadline,
+      project_deadline,
+      hard_cap,
+      soft_cap,
+      contingency_bps,
+      platform_fee_bps,
+      metadata_uri,
+      comment
+    } = req.body;
+
+    const projectResult = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [id]);
+
+    if (projectResult.rows.length === 0 || projectResult.rows[0].status !== 'pending') {
+      return res.status(404).json({ error: 'Project not found or already processed' });
+    }
 
-    const result = await pool.query(
-      `UPDATE projects 
-       SET status = 'approved', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 AND status = 'pending'
-       RETURNING *`,
-      [id]
+    const project = projectResult.rows[0];
+    let chainProject;
+    let chainTxHash = null;
+
+    if (chain_project_id !== undefined) {
+      chainProject = await readChainProject(chain_project_id);
+
+      if (!chainProject) {
+        return res.status(400).json({ error: 'On-chain project not found' });
+      }
+    } else {
+      if (!contractor_wallet) {
+        return res.status(400).json({ error: 'Valid contractor wallet required' });
+      }
+
+      if (!minting_deadline || !project_deadline) {
+        return res.status(400).json({ error: 'Minting and project deadlines are required' });
+      }
+
+      const hardCap = hard_cap || project.goal;
+      if (!hardCap || !project.token_price) {
+        return res.status(400).json({ error: 'Hard cap and token price are required' });
+      }
+
+      const created = await createChainProject({
+        hardCap,
+        softCap: soft_cap || hardCap / 2,
+        tokenPrice: project.token_price,
+        contractor: contractor_wallet,
+        mintingDeadline: minting_deadline,
+        projectDeadline: project_deadline,
+        contingencyBps: contingency_bps,
+        platformFeeBps: platform_fee_bps,
+        metadataUri: metadata_uri
+      });
+
+      chainTxHash = created.txHash;
+      chainProject = await readChainProject(created.chainProjectId);
+    }
+
+    const linked = await pool.query(
+      'SELECT id FROM projects WHERE chain_project_id = $1 AND id <> $2',
+      [chainProject.chain_project_id, id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Project not found or already processed' });
+    if (linked.rows.length > 0) {
+      return res.status(409).json({ 
+        error: `On-chain project is already linked to project #${linked.rows[0].id}` 
+      });
+    }
+
+    const approved = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE projects 
+         SET status = 'approved',
+             chain_project_id = $1,
+             token_id = $2,
+             hard_cap = $3,
+             soft_cap = $4,
+             minting_deadline = $5,
+             project_deadline = $6,
+             contractor_wallet = $7,
+             metadata_uri = $8,
+             chain_tx_hash = $9,
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $10 AND status = 'pending' AND deleted_at IS NULL
+         RETURNING *`,
+        [
+          chainProject.chain_project_id,
+          chainProject.token_id,
+          chainProject.hard_cap,
+          chainProject.soft_cap,
+          chainProject.minting_deadline,
+          chainProject.project_deadline,
+          chainProject.contractor_wallet,
+          chainProject.metadata_uri,
+          chainTxHash,
+          id
+        ]
+      );
+
+      if (result.rows.length > 0) {
+        await recordStatusChange(client, { projectId: id, from: 'pending', to: 'approved', actor: req.user.wallet });
+        await addReview(client, { projectId: id, author: req.user.wallet, kind: 'approval', comment: comment || null });
+      }
+
+      return result.rows[0];
+    });
+
+    if (!approved) {
+      return res.status(409).json({ 
+        error: 'Project was processed concurrently; link the on-chain project manually',
+        chain_project_id: chainProject.chain_project_id
+      });
     }
 
+    res.locals.audit = { before: project, after: approved };
     res.json({ 
       message: 'Project approved',
-      project: result.rows[0] 
+      project: approved 
     });
   } catch (error) {
     console.error('Approve project error:', error);
@@ -159,27 +385,137 @@ router.post('/:id/approve', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-router.post('/:id/reject', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/:id/resubmit', describeRoute('resubmitProject', 'Edit a rejected project and send it back for review', { response: 'Pending project' }), authenticateToken, validateRequest({ params: projectParams, body: resubmitProjectSchema }), audit('project.resubmit', 'project'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { comment } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const projectResult = await client.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      const project = projectResult.rows[0];
+
+      if (!project) {
+        return { status: 404, error: 'Project not found' };
+      }
+
+      if (project.owner_wallet !== req.user.wallet) {
+        return { status: 403, error: 'Only the project owner can resubmit it' };
+      }
+
+      if (project.status !== 'rejected') {
+        return { status: 400, error: 'Only rejected projects can be resubmitted' };
+      }
+
+      const refusal = await checkTransition(project, 'pending', client);
+      if (refusal) {
+        return { status: 400, error: refusal };
+      }
+
+      await applyProjectEdit(client, project, req.body, {
+        editor: req.user.wallet,
+        reason: comment || 'Resubmitted for review'
+      });
+
+      const updated = await client.query(
+        `UPDATE projects SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+
+      await recordStatusChange(client, {
+        projectId: id,
+        from: project.status,
+        to: 'pending',
+        actor: req.user.wallet,
+        reason: comment || 'Resubmitted for review'
+      });
+      await addReview(client, { projectId: id, author: req.user.wallet, kind: 'resubmission', comment: comment || null });
+
+      return { project: updated.rows[0], previous: project };
+    });
 
-    const result = await pool.query(
-      `UPDATE projects 
-       SET status = 'rejected', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 AND status = 'pending'
-       RETURNING *`,
-      [id]
-    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { before: result.previous, after: result.project };
+
+    res.json({ 
+      message: 'Project resubmitted for approval',
+      project: result.project 
+    });
+  } catch (error) {
+    console.error('Resubmit project error:', error);
+    res.status(500).json({ error: 'Failed to resubmit project' });
+  }
+});
+
+router.get('/:id/reconcile', describeRoute('reconcileProject', 'Compare a project with its on-chain state', { response: 'Reconciliation report' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [id]);
 
     if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const project = result.rows[0];
+
+    if (!project.chain_project_id) {
+      return res.status(400).json({ error: 'Project is not linked to an on-chain project' });
+    }
+
+    res.json({ reconciliation: await reconcileProject(project) });
+  } catch (error) {
+    console.error('Reconcile project error:', error);
+    res.status(500).json({ error: 'Failed to reconcile project' });
+  }
+});
+
+router.post('/:id/reject', describeRoute('rejectProject', 'Reject a project', { response: 'Rejected project' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams, body: rejectSchema }), audit('project.reject', 'project'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const rejected = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      const project = current.rows[0];
+
+      if (!project || project.status !== 'pending') {
+        return null;
+      }
+
+      const result = await client.query(
+        `UPDATE projects 
+         SET status = 'rejected', updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+
+      await recordStatusChange(client, {
+        projectId: id,
+        from: 'pending',
+        to: 'rejected',
+        actor: req.user.wallet,
+        reason: reason || null
+      });
+      await addReview(client, { projectId: id, author: req.user.wallet, kind: 'rejection', comment: reason || null });
+
+      return { project: result.rows[0], previous: project };
+    });
+
+    if (!rejected) {
       return res.status(404).json({ error: 'Project not found or already processed' });
     }
 
+    res.locals.audit = { before: rejected.previous, after: rejected.project };
+
     res.json({ 
       message: 'Project rejected',
       reason: reason || null,
-      project: result.rows[0] 
+      project: rejected.project 
     });
   } catch (error) {
     console.error('Reject project error:', error);
@@ -187,31 +523,25 @@ router.post('/:id/reject', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-router.post('/:id/change-status', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/:id/change-status', describeRoute('changeProjectStatus', 'Move a project to another status', { response: 'Updated project' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams, body: changeStatusSchema }), audit('project.change_status', 'project'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    const validStatuses = ['pending', 'approved', 'rejected', 'minting', 'building', 'trading'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+    const result = await transitionProject(id, status, { actor: req.user.wallet, reason: reason || null });
 
-    const result = await pool.query(
-      `UPDATE projects 
-       SET status = $1, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $2
-       RETURNING *`,
-      [status, id]
-    );
+    if (result.notFound) {
+      return res.status(404).json({ error: result.error });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Project not found' });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
+    res.locals.audit = { before: result.previous, after: result.project };
     res.json({ 
       message: `Project status changed to ${status}`,
-      project: result.rows[0] 
+      project: result.project 
     });
   } catch (error) {
     console.error('Change status error:', error);
@@ -219,22 +549,58 @@ router.post('/:id/change-status', authenticateToken, requireAdmin, async (req, r
   }
 });
 
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/:id/history', describeRoute('getProjectHistory', 'List the status changes of a project', { response: 'Status history' }), authenticateToken, validateRequest({ params: projectParams }), async (req, res) => {
   try {
     const { id } = req.params;
+    const result = await pool.query('SELECT owner_wallet FROM projects WHERE id = $1 AND deleted_at IS NULL', [id]);
 
-    const result = await pool.query(
-      'DELETE FROM projects WHERE id = $1 RETURNING *',
-      [id]
-    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (result.rows[0].owner_wallet !== req.user.wallet && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Not authorized to view this project history' });
+    }
+
+    res.json({ history: await getStatusHistory(id) });
+  } catch (error) {
+    console.error('Get project history error:', error);
+    res.status(500).json({ error: 'Failed to get project history' });
+  }
+});
+
+router.get('/:id/revisions', describeRoute('getProjectRevisions', 'List the recorded edits of a project', { response: 'Revisions, newest first' }), authenticateToken, validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('SELECT owner_wallet FROM projects WHERE id = $1 AND deleted_at IS NULL', [id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    if (result.rows[0].owner_wallet !== req.user.wallet && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Not authorized to view the revisions of this project' });
+    }
+
+    res.json({ revisions: await getRevisions(id) });
+  } catch (error) {
+    console.error('Get project revisions error:', error);
+    res.status(500).json({ error: 'Failed to get project revisions' });
+  }
+});
+
+router.delete('/:id', describeRoute('deleteProject', 'Archive a project', { response: 'Archived project' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams }), audit('project.delete', 'project'), async (req, res) => {
+  try {
+    const result = await archiveProject(req.params.id, { actor: req.user.wallet });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.locals.audit = { before: result.previous, after: result.project };
     res.json({ 
-      message: 'Project deleted successfully',
-      project: result.rows[0] 
+      message: 'Project archived',
+      project: result.project 
     });
   } catch (error) {
     console.error('Delete project error:', error);
@@ -242,13 +608,48 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-router.get('/user/my-projects', authenticateToken, async (req, res) => {
+router.post('/:id/restore', describeRoute('restoreProject', 'Restore an archived project', { response: 'Restored project', description: 'images_purged is true when the images of the project were already removed after ARCHIVE_RETENTION_DAYS.' }), authenticateToken, requireAdmin, validateRequest({ params: projectParams }), audit('project.restore', 'project'), async (req, res) => {
+  try {
+    const project = await restoreProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Archived project not found' });
+    }
+
+    // Restoring cannot bring back images removed after the retention window
+    const imagesPurged = !!project.images_purged_at;
+
+    res.locals.audit = { after: project };
+    res.json({ 
+      message: imagesPurged ? 'Project restored without its images, which were removed after the retention period' : 'Project restored',
+      images_purged: imagesPurged,
+      project 
+    });
+  } catch (error) {
+    console.error('Restore project error:', error);
+    res.status(500).json({ error: 'Failed to restore project' });
+  }
+});
+
+router.get('/user/my-projects', describeRoute('getMyProjects', 'List projects submitted by the signed-in wallet', { response: 'Projects' }), authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT * FROM projects WHERE owner_wallet = $1 ORDER BY created_at DESC',
-      [req.user.wallet]
+      `SELECT p.*,
+              (SELECT json_build_object(
+                        'kind', r.kind,
+                        'comment', r.comment,
+                        'reviewer_wallet', r.author_wallet,
+                        'created_at', r.created_at)
+               FROM project_reviews r
+               WHERE r.project_id = p.id AND r.kind = ANY($2::varchar[])
+               ORDER BY r.created_at DESC, r.id DESC
+               LIMIT 1) AS latest_decision
+       FROM projects p
+       WHERE p.owner_wallet = $1 AND p.deleted_at IS NULL
+       ORDER BY p.created_at DESC`,
+      [req.user.wallet, DECISION_KINDS]
     );
-    res.json({ projects: result.rows });
+    res.json({ projects: await attachImageDetails(result.rows) });
   } catch (error) {
     console.error('Get my projects error:', error);
     res.status(500).json({ error: 'Failed to get projects' });
@@ -0,0 +1,69 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { describeRoute } = require('../services/openapi');
+const { MAX_COMMENT_LENGTH, addReview, getReviews } = require('../services/projectReviews');
+
+const router = express.Router({ mergeParams: true });
+
+const projectParams = { projectId: { type: 'integer', min: 1, required: true } };
+
+// The thread is private to the submitter and the admins reviewing the project
+const loadParticipantProject = async (req, res) => {
+  const result = await pool.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL', [req.params.projectId]);
+  const project = result.rows[0];
+
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  if (project.owner_wallet !== req.user.wallet && req.user.role !== 'ADMIN') {
+    res.status(403).json({ error: 'Not authorized to view this project review' });
+    return null;
+  }
+
+  return project;
+};
+
+router.get('/', describeRoute('getReviews', 'Read the review thread of a project', { response: 'Reviews, oldest first' }), authenticateToken, validateRequest({ params: projectParams }), async (req, res) => {
+  try {
+    const project = await loadParticipantProject(req, res);
+    if (!project) return;
+
+    res.json({ reviews: await getReviews(project.id) });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
+router.post('/', describeRoute('addReviewComment', 'Reply in the review thread of a project', { status: 201, response: 'Created review entry' }), authenticateToken, validateRequest({
+  params: projectParams,
+  body: { comment: { type: 'string', maxLength: MAX_COMMENT_LENGTH, required: true } }
+}), async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const project = await loadParticipantProject(req, res);
+    if (!project) return;
+
+    const review = await addReview(pool, {
+      projectId: project.id,
+      author: req.user.wallet,
+      kind: 'comment',
+      comment
+    });
+
+    res.status(201).json({
+      message: 'Comment added',
+      review
+    });
+  } catch (error) {
+    console.error('Add review comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+module.exports = router;
@@ -1,55 +1,49 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
 const { authenticateToken } = require('../middleware/auth');
+const { config } = require('../config');
+const { audit } = require('../middleware/audit');
+const { validateRequest } = require('../middleware/validate');
+const { bufferedUpload } = require('../middleware/multipart');
+const { describeRoute } = require('../services/openapi');
+const { storeUploads, deleteUpload, toImageDetails } = require('../services/uploads');
 
 const router = express.Router();
 
-const uploadsDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'project-' + uniqueSuffix + ext);
-  }
-});
+const imageParams = {
+  filename: { type: 'string', maxLength: 255, pattern: /^[\w-][\w.-]*$/, patternMessage: 'filename is invalid', required: true }
+};
 
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'];
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only JPEG, PNG, WebP and GIF are allowed.'), false);
-  }
+// Sent as a form field next to the files
+const uploadBody = {
+  project_id: { type: 'integer', min: 1 }
 };
 
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024
-  }
-});
+const { uploadDir } = config;
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const upload = bufferedUpload({ maxFileSizeMb: 5, label: 'Images' });
 
-router.post('/image', authenticateToken, upload.single('image'), (req, res) => {
+router.post('/image', describeRoute('uploadImage', 'Upload an image', { upload: { field: 'image' }, response: 'Stored file name and URL, with dimensions, a blurhash placeholder and a srcset per format', description: 'Pass project_id to link the image to one of your projects. Counts towards the UPLOAD_QUOTA_MB storage quota of the wallet.' }), authenticateToken, audit('upload.create', 'upload'), upload.single('image'), validateRequest({ body: uploadBody }), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const imageUrl = `/uploads/${req.file.filename}`;
+    const result = await storeUploads([req.file], { user: req.user, projectId: req.body.project_id || null });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const [stored] = result.uploads;
+    const image = toImageDetails(stored);
+    res.locals.audit = { targetId: stored.filename, after: { urls: [image.url], project_id: stored.project_id } };
     res.json({
       message: 'Image uploaded successfully',
-      url: imageUrl,
-      filename: req.file.filename
+      ...image,
+      filename: stored.filename
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -57,17 +51,24 @@ router.post('/image', authenticateToken, upload.single('image'), (req, res) => {
   }
 });
 
-router.post('/images', authenticateToken, upload.array('images', 10), (req, res) => {
+router.post('/images', describeRoute('uploadImages', 'Upload up to 10 images', { upload: { field: 'images', multiple: true }, response: 'Stored file names and URLs, with the details of each image', description: 'Either every image is stored or none is.' }), authenticateToken, audit('upload.create', 'upload'), upload.array('images', 10), validateRequest({ body: uploadBody }), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const imageUrls = req.files.map(file => `/uploads/${file.filename}`);
+    const result = await storeUploads(req.files, { user: req.user, projectId: req.body.project_id || null });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const images = result.uploads.map(stored => toImageDetails(stored));
+    res.locals.audit = { after: { urls: images.map(image => image.url), project_id: result.uploads[0].project_id } };
     res.json({
       message: 'Images uploaded successfully',
-      urls: imageUrls,
-      count: req.files.length
+      urls: images.map(image => image.url),
+      images,
+      count: images.length
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -75,17 +76,20 @@ router.post('/images', authenticateToken, upload.array('images', 10), (req, res)
   }
 });
 
-router.delete('/image/:filename', authenticateToken, (req, res) => {
+router.delete('/image/:filename', describeRoute('deleteImage', 'Delete an uploaded image', { description: 'Only the uploader or an admin can delete an image, and not while a project past review uses it.' }), authenticateToken, validateRequest({ params: imageParams }), audit('upload.delete', 'upload'), async (req, res) => {
   try {
     const { filename } = req.params;
-    const filepath = path.join(uploadsDir, filename);
+    const result = await deleteUpload(filename, req.user);
 
-    if (fs.existsSync(filepath)) {
-      fs.unlinkSync(filepath);
-      res.json({ message: 'Image deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'Image not found' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+
+    res.locals.audit = {
+      targetId: filename,
+      before: { url: `/uploads/${filename}`, owner_wallet: result.upload.owner_wallet, project_id: result.upload.project_id }
+    };
+    res.json({ message: 'Image deleted successfully' });
   } catch (error) {
     console.error('Delete error:', error);
     res.status(500).json({ error: 'Failed to delete image' });
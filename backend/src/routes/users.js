@@ -0,0 +1,167 @@
+const express = require('express');
+const pool = require('../db/pool');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { audit } = require('../middleware/audit');
+const { describeRoute } = require('../services/openapi');
+const { GRANTABLE_ROLES, GLOBAL_ONLY_ROLES } = require('../services/roles');
+const { revokeAllSessions } = require('../services/sessions');
+const { setInvestmentsPublic } = require('../services/investorPrivacy');
+
+const router = express.Router();
+
+const walletParams = { wallet: { type: 'address', required: true } };
+
+const grantRoleSchema = {
+  role: { type: 'string', oneOf: GRANTABLE_ROLES, required: true },
+  project_id: { type: 'integer', min: 1, nullable: true }
+};
+
+router.put('/me/privacy', describeRoute('updateMyPrivacy', 'Choose whether your wallet is shown in public investor statistics', { response: 'Updated privacy settings' }), authenticateToken, validateRequest({
+  body: { investments_public: { type: 'boolean', required: true } }
+}), async (req, res) => {
+  try {
+    const user = await setInvestmentsPublic(req.user.wallet, req.body.investments_public);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ error: 'Failed to update privacy settings' });
+  }
+});
+
+router.get('/', describeRoute('getUsers', 'List users with their roles', { response: 'Users' }), authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.wallet, u.role, u.created_at,
+              COALESCE(
+                json_agg(json_build_object('id', r.id, 'role', r.role, 'project_id', r.project_id))
+                  FILTER (WHERE r.id IS NOT NULL),
+                '[]'
+              ) AS granted_roles
+       FROM users u
+       LEFT JOIN user_roles r ON r.wallet = u.wallet
+       GROUP BY u.id
+       ORDER BY u.created_at DESC`
+    );
+
+    res.json({ users: result.rows });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ error: 'Failed to get users' });
+  }
+});
+
+router.get('/:wallet/roles', describeRoute('getUserRoles', 'List the roles of a wallet', { response: 'Roles' }), authenticateToken, requireAdmin, validateRequest({ params: walletParams }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM user_roles WHERE wallet = $1 ORDER BY created_at ASC',
+      [req.params.wallet.toLowerCase()]
+    );
+
+    res.json({ roles: result.rows });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({ error: 'Failed to get user roles' });
+  }
+});
+
+router.post('/:wallet/roles', describeRoute('grantRole', 'Grant a role to a wallet', { status: 201, response: 'Granted role' }), authenticateToken, requireAdmin, validateRequest({ params: walletParams, body: grantRoleSchema }), audit('user.role_grant', 'user'), async (req, res) => {
+  try {
+    const { wallet } = req.params;
+    const { role, project_id } = req.body;
+
+    if (project_id && GLOBAL_ONLY_ROLES.includes(role)) {
+      return res.status(400).json({ error: `${role} cannot be scoped to a project` });
+    }
+
+    if (project_id) {
+      const project = await pool.query('SELECT id FROM projects WHERE id = $1 AND deleted_at IS NULL', [project_id]);
+      if (project.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
+    const walletLower = wallet.toLowerCase();
+
+    // Roles can be granted before the wallet has ever signed in
+    await pool.query(
+      'INSERT INTO users (wallet, role) VALUES ($1, $2) ON CONFLICT (wallet) DO NOTHING',
+      [walletLower, 'INVESTOR']
+    );
+
+    const existing = await pool.query(
+      `SELECT id FROM user_roles
+       WHERE wallet = $1 AND role = $2 AND COALESCE(project_id, 0) = COALESCE($3::int, 0)`,
+      [walletLower, role, project_id || null]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Role already granted' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO user_roles (wallet, role, project_id, granted_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [walletLower, role, project_id || null, req.user.wallet]
+    );
+
+    res.locals.audit = { targetId: walletLower, after: result.rows[0] };
+
+    res.status(201).json({
+      message: 'Role granted',
+      role: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ error: 'Failed to grant role' });
+  }
+});
+
+router.delete('/:wallet/roles/:roleId', describeRoute('revokeRole', 'Revoke a role'), authenticateToken, requireAdmin, validateRequest({
+  params: { ...walletParams, roleId: { type: 'integer', min: 1, required: true } }
+}), audit('user.role_revoke', 'user'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM user_roles WHERE id = $1 AND wallet = $2 RETURNING *',
+      [req.params.roleId, req.params.wallet.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    res.locals.audit = { targetId: result.rows[0].wallet, before: result.rows[0] };
+
+    res.json({
+      message: 'Role revoked',
+      role: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
+
+router.delete('/:wallet/sessions', describeRoute('revokeSessions', 'Sign a wallet out everywhere'), authenticateToken, requireAdmin, validateRequest({ params: walletParams }), audit('user.sessions_revoke', 'user'), async (req, res) => {
+  try {
+    const wallet = req.params.wallet.toLowerCase();
+    const revoked = await revokeAllSessions(wallet, 'admin_revoked');
+
+    res.locals.audit = { targetId: wallet, after: { revoked } };
+
+    res.json({
+      message: 'Sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,36 @@
-require('dotenv').config();
+const { config, assertValidConfig } = require('./config');
+
+assertValidConfig();
+
 const express = require('express');
 const cors = require('cors');
 
-const authRoutes = require('./routes/auth');
-const projectRoutes = require('./routes/projects');
-const investmentRoutes = require('./routes/investments');
-const uploadRoutes = require('./routes/upload');
-const path = require('path');
+const mounts = require('./routes');
+const docsRoutes = require('./routes/docs');
+const { requestId } = require('./middleware/requestId');
+const { startConfirmationWatcher } = require('./services/investmentVerifier');
+const { startFundingRecomputeJob } = require('./services/investmentLedger');
+const { startArchiveCleanupJob } = require('./services/projectArchive');
 
 const app = express();
 
 app.use(cors({
-  origin: 'http://localhost:3000',
-  credentials: true
+  origin: config.corsOrigins,
+  credentials: true,
+  exposedHeaders: ['X-Request-Id', 'Content-Disposition', 'X-Content-SHA256']
 }));
 app.use(express.json());
+app.use(requestId);
 
 // Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(config.uploadDir));
+
+for (const { prefix, router } of mounts) {
+  app.use(prefix, router);
+}
 
-app.use('/auth', authRoutes);
-app.use('/projects', projectRoutes);
-app.use('/investments', investmentRoutes);
-app.use('/upload', uploadRoutes);
+// OpenAPI document at /openapi.json and an interactive reference at /docs
+app.use(docsRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -33,7 +41,9 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+app.listen(config.port, () => {
+  console.log(`Server running on port ${config.port}`);
+  startConfirmationWatcher();
+  startFundingRecomputeJob();
+  startArchiveCleanupJob();
 });
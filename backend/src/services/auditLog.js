@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const pool = require('../db/pool');
+const { withTransaction } = require('../db/transaction');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const VERIFY_BATCH_SIZE = 1000;
+
+// JSONB does not keep key order, so values are hashed with their keys sorted
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+};
+
+// Round-trips through JSON so dates and numerics hash the same as when read back from JSONB
+const toJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const hashEntry = (prevHash, entry) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([
+      prevHash,
+      entry.actor_wallet,
+      entry.actor_role,
+      entry.action,
+      entry.target_type,
+      entry.target_id,
+      canonicalize(entry.before),
+      canonicalize(entry.after),
+      entry.ip,
+      entry.request_id,
+      new Date(entry.created_at).toISOString()
+    ]))
+    .digest('hex');
+
+const appendAuditEntry = ({ actor, role, action, targetType = null, targetId = null, before, after, ip = null, requestId = null }) =>
+  withTransaction(async (client) => {
+    // Entries are chained in id order, so appends are serialized
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('audit_log'))");
+
+    const last = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+    const prevHash = last.rows.length > 0 ? last.rows[0].hash : GENESIS_HASH;
+
+    const entry = {
+      actor_wallet: actor || null,
+      actor_role: role || null,
+      action,
+      target_type: targetType,
+      target_id: targetId === null || targetId === undefined ? null : String(targetId),
+      before: toJson(before),
+      after: toJson(after),
+      ip,
+      request_id: requestId,
+      created_at: new Date()
+    };
+
+    const result = await client.query(
+      `INSERT INTO audit_log
+         (actor_wallet, actor_role, action, target_type, target_id, before, after, ip, request_id, created_at, prev_hash, hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        entry.actor_wallet,
+        entry.actor_role,
+        entry.action,
+        entry.target_type,
+        entry.target_id,
+        JSON.stringify(entry.before),
+        JSON.stringify(entry.after),
+        entry.ip,
+        entry.request_id,
+        entry.created_at,
+        prevHash,
+        hashEntry(prevHash, entry)
+      ]
+    );
+    return result.rows[0];
+  });
+
+const AUDIT_QUERY_SCHEMA = {
+  actor: { type: 'string', lowercase: true, maxLength: 42 },
+  action: { type: 'string', maxLength: 64 },
+  target_type: { type: 'string', maxLength: 32 },
+  target_id: { type: 'string', maxLength: 255 },
+  request_id: { type: 'string', maxLength: 128 },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+  cursor: { type: 'integer', min: 1 }
+};
+
+// Takes a query validated against AUDIT_QUERY_SCHEMA. Newest first; next_cursor continues below the last id returned
+const searchAuditLog = async (query) => {
+  const { limit, cursor } = query;
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const conditions = [];
+  if (query.actor) conditions.push(`actor_wallet = ${addParam(query.actor)}`);
+  if (query.action) {
+    // "project" matches every project.* action
+    conditions.push(`(action = ${addParam(query.action)} OR action LIKE ${addParam(`${query.action.replace(/[\\%_]/g, match => `\\${match}`)}.%`)})`);
+  }
+  if (query.target_type) conditions.push(`target_type = ${addParam(query.target_type)}`);
+  if (query.target_id) conditions.push(`target_id = ${addParam(query.target_id)}`);
+  if (query.request_id) conditions.push(`request_id = ${addParam(query.request_id)}`);
+  if (query.from) conditions.push(`created_at >= ${addParam(query.from)}::timestamptz`);
+  if (query.to) conditions.push(`created_at <= ${addParam(query.to)}::timestamptz`);
+  if (cursor) conditions.push(`id < ${addParam(cursor)}`);
+
+  const result = await pool.query(
+    `SELECT * FROM audit_log
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT ${addParam(limit + 1)}`,
+    params
+  );
+
+  const entries = result.rows.slice(0, limit);
+  return {
+    entries,
+    next_cursor: result.rows.length > limit ? entries[entries.length - 1].id : null
+  };
+};
+
+// Recomputes every hash in order; the first entry that does not match marks where the log was altered
+const verifyAuditChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      'SELECT * FROM audit_log WHERE id > $1 ORDER BY id ASC LIMIT $2',
+      [lastId, VERIFY_BATCH_SIZE]
+    );
+
+    for (const entry of batch.rows) {
+      if (entry.prev_hash !== prevHash || hashEntry(prevHash, entry) !== entry.hash) {
+        return { valid: false, checked, broken_at: entry.id };
+      }
+      prevHash = entry.hash;
+      lastId = entry.id;
+      checked += 1;
+    }
+
+    if (batch.rows.length < VERIFY_BATCH_SIZE) {
+      return { valid: true, checked, broken_at: null };
+    }
+  }
+};
+
+module.exports = {
+  appendAuditEntry,
+  AUDIT_QUERY_SCHEMA,
+  searchAuditLog,
+  verifyAuditChain
+};
@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+const { config } = require('../config');
+
+const PROJECT_LIFECYCLE_ABI = [
+  'event ProjectCreated(uint256 indexed projectId, uint256 indexed tokenId, address contractor, uint256 hardCap, uint256 softCap)',
+  'event ProjectStatusChanged(uint256 indexed projectId, uint8 oldStatus, uint8 newStatus)',
+  'event MilestoneAdded(uint256 indexed projectId, uint256 indexed milestoneIndex, string description, uint256 budgetPercent)',
+  'event MilestoneSubmitted(uint256 indexed projectId, uint256 indexed milestoneIndex, string documentationUri)',
+  'event MilestoneVerified(uint256 indexed projectId, uint256 indexed milestoneIndex, address indexed verifier)',
+  'event MilestoneDisputed(uint256 indexed projectId, uint256 indexed milestoneIndex, address indexed disputer, string reason)',
+  'event MilestonePaid(uint256 indexed projectId, uint256 indexed milestoneIndex, uint256 amount)',
+  'event DisputeResolved(uint256 indexed projectId, uint256 indexed milestoneIndex, bool approved)',
+  'event InvestmentMade(uint256 indexed projectId, address indexed investor, uint256 amount, uint256 tokens)',
+  'event RefundClaimed(uint256 indexed projectId, address indexed investor, uint256 amount)',
+  'function createProject(uint256 hardCap, uint256 softCap, uint256 tokenPrice, address contractor, uint256 mintingDeadline, uint256 projectDeadline, uint256 contingencyPercent, uint256 platformFeePercent, string metadataUri) returns (uint256 projectId)',
+  'function getProject(uint256 projectId) view returns (tuple(uint256 projectId, uint256 tokenId, string metadataUri, uint256 hardCap, uint256 softCap, uint256 totalRaised, uint256 tokenPrice, address contractor, uint256 mintingDeadline, uint256 projectDeadline, uint8 status, uint256 milestoneCount, uint256 completedMilestones, uint256 contingencyPercent, uint256 platformFeePercent))'
+];
+
+// Mirrors IProjectLifecycle.ProjectStatus, lowercased to match projects.status
+const CHAIN_PROJECT_STATUSES = ['minting', 'building', 'trading', 'final_sale', 'completed', 'cancelled'];
+
+const PROPERTY_BUILD_TOKEN_ABI = [
+  'event ProjectTokenCreated(uint256 indexed projectId, uint256 indexed tokenId, string uri)',
+  'event TokensMinted(uint256 indexed tokenId, address indexed to, uint256 amount)',
+  'event TokensBurned(uint256 indexed tokenId, address indexed from, uint256 amount)',
+  'event URIUpdated(uint256 indexed tokenId, string newUri)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'function setURI(uint256 tokenId, string newUri)',
+  'function uri(uint256 tokenId) view returns (string)'
+];
+
+const ESCROW_ABI = [
+  'event FundsDeposited(uint256 indexed projectId, address indexed depositor, uint256 amount)',
+  'event MilestonePaymentReleased(uint256 indexed projectId, uint256 indexed milestoneIndex, address indexed contractor, uint256 amount)',
+  'event ContingencyUsed(uint256 indexed projectId, uint256 amount, string reason)',
+  'event RefundProcessed(uint256 indexed projectId, address indexed investor, uint256 amount)',
+  'event PlatformFeeCollected(uint256 indexed projectId, uint256 amount)',
+  'event EmergencyWithdrawal(uint256 indexed projectId, address indexed to, uint256 amount)'
+];
+
+const LIQUIDITY_POOL_ABI = [
+  'event PoolCreated(uint256 indexed projectId, uint256 initialTokens, uint256 initialStable)',
+  'event LiquidityAdded(uint256 indexed projectId, address indexed provider, uint256 tokens, uint256 stable)',
+  'event LiquidityRemoved(uint256 indexed projectId, address indexed provider, uint256 tokens, uint256 stable)',
+  'event TokensSwapped(uint256 indexed projectId, address indexed trader, bool tokenToStable, uint256 amountIn, uint256 amountOut, uint256 fee)',
+  'event FeesCollected(uint256 indexed projectId, uint256 amount)',
+  'event TradingPaused(uint256 indexed projectId)',
+  'event TradingResumed(uint256 indexed projectId)',
+  'event CircuitBreakerTriggered(uint256 indexed projectId, string reason)'
+];
+
+const PROFIT_DISTRIBUTION_ABI = [
+  'event DistributionInitiated(uint256 indexed projectId, uint256 salePrice, uint256 totalProfit)',
+  'event SnapshotTaken(uint256 indexed projectId, uint256 snapshotBlock, uint256 totalSupply)',
+  'event ProfitClaimed(uint256 indexed projectId, address indexed investor, uint256 amount, uint256 tokensBurned)',
+  'event DistributionCompleted(uint256 indexed projectId, uint256 totalDistributed)',
+  'event UncollectedFundsRecovered(uint256 indexed projectId, uint256 amount)'
+];
+
+const CONTRACTS = [
+  { name: 'ProjectLifecycle', addressEnv: 'PROJECT_LIFECYCLE_ADDRESS', abi: PROJECT_LIFECYCLE_ABI },
+  { name: 'PropertyBuildToken', addressEnv: 'PROPERTY_BUILD_TOKEN_ADDRESS', abi: PROPERTY_BUILD_TOKEN_ABI },
+  { name: 'Escrow', addressEnv: 'ESCROW_ADDRESS', abi: ESCROW_ABI },
+  { name: 'LiquidityPool', addressEnv: 'LIQUIDITY_POOL_ADDRESS', abi: LIQUIDITY_POOL_ABI },
+  { name: 'ProfitDistribution', addressEnv: 'PROFIT_DISTRIBUTION_ADDRESS', abi: PROFIT_DISTRIBUTION_ABI }
+].map(contract => ({ ...contract, iface: new ethers.Interface(contract.abi) }));
+
+const lifecycleInterface = CONTRACTS.find(c => c.name === 'ProjectLifecycle').iface;
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const { rpcUrl, chainId } = config.chain;
+
+    provider = chainId
+      ? new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: ethers.Network.from(chainId) })
+      : new ethers.JsonRpcProvider(rpcUrl);
+  }
+  return provider;
+};
+
+const getSigner = () => {
+  const privateKey = config.chain.operatorPrivateKey;
+  if (!privateKey) {
+    throw new Error('OPERATOR_PRIVATE_KEY is not configured');
+  }
+  return new ethers.Wallet(privateKey, getProvider());
+};
+
+const getContractAddress = (name) => {
+  const address = config.chain.addresses[name];
+  if (!address) {
+    throw new Error(`${name} is not configured`);
+  }
+  return address;
+};
+
+// Contracts without a configured address are left out so partial deployments can still be indexed
+const getConfiguredContracts = () =>
+  CONTRACTS
+    .filter(contract => config.chain.addresses[contract.addressEnv])
+    .map(contract => ({ ...contract, address: config.chain.addresses[contract.addressEnv] }));
+
+const serializeEventArgs = (parsed) => {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    if (typeof value === 'bigint') {
+      args[input.name] = value.toString();
+    } else if (input.type === 'address') {
+      args[input.name] = value.toLowerCase();
+    } else {
+      args[input.name] = value;
+    }
+  });
+  return args;
+};
+
+const getLifecycleContract = (runner = getProvider()) =>
+  new ethers.Contract(getContractAddress('PROJECT_LIFECYCLE_ADDRESS'), PROJECT_LIFECYCLE_ABI, runner);
+
+const getTokenContract = (runner = getProvider()) =>
+  new ethers.Contract(getContractAddress('PROPERTY_BUILD_TOKEN_ADDRESS'), PROPERTY_BUILD_TOKEN_ABI, runner);
+
+const getPaymentTokenDecimals = () => config.chain.paymentTokenDecimals;
+
+const getConfirmationDepth = () => config.chain.confirmations;
+
+module.exports = {
+  CONTRACTS,
+  CHAIN_PROJECT_STATUSES,
+  lifecycleInterface,
+  getProvider,
+  getSigner,
+  getContractAddress,
+  getLifecycleContract,
+  getTokenContract,
+  getConfiguredContracts,
+  serializeEventArgs,
+  getPaymentTokenDecimals,
+  getConfirmationDepth
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Matches `ipfs add --cid-version=1` with Kubo's defaults: 256 KiB chunks stored as raw leaves,
+// linked by a balanced tree of dag-pb nodes with up to 174 children each
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+const SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const varint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+};
+
+// Protobuf fields: wire type 0 for varints, 2 for length-delimited bytes
+const varintField = (field, value) => Buffer.concat([varint(field << 3), varint(value)]);
+const bytesField = (field, bytes) => Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+
+const toCid = (codec, block) => {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return Buffer.concat([varint(1), varint(codec), Buffer.from([SHA2_256, digest.length]), digest]);
+};
+
+const base32 = (bytes) => {
+  let output = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// A dag-pb node over the given children; links are encoded before the data, as dag-pb requires
+const fileNode = (children) => {
+  const unixfs = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, children.reduce((sum, child) => sum + child.fileSize, 0)),
+    ...children.map(child => varintField(4, child.fileSize))
+  ]);
+  const links = children.map(child => bytesField(2, Buffer.concat([
+    bytesField(1, child.cid),
+    bytesField(2, Buffer.alloc(0)),
+    varintField(3, child.treeSize)
+  ])));
+  const block = Buffer.concat([...links, bytesField(1, unixfs)]);
+
+  return {
+    cid: toCid(DAG_PB_CODEC, block),
+    fileSize: children.reduce((sum, child) => sum + child.fileSize, 0),
+    treeSize: block.length + children.reduce((sum, child) => sum + child.treeSize, 0)
+  };
+};
+
+/**
+ * The CIDv1 (base32) an IPFS node assigns to the given content when adding it as a file, so
+ * content can be addressed before, or without, pinning it anywhere.
+ *
+ * @param {Buffer} buffer
+ * @returns {string} e.g. "bafkrei…" for content of a single chunk, "bafybei…" otherwise
+ */
+const computeCid = (buffer) => {
+  let nodes = [];
+  for (let offset = 0; offset < buffer.length || offset === 0; offset += CHUNK_SIZE) {
+    const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+    nodes.push({ cid: toCid(RAW_CODEC, chunk), fileSize: chunk.length, treeSize: chunk.length });
+  }
+
+  if (nodes.length === 1) {
+    return `b${base32(nodes[0].cid)}`;
+  }
+
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let index = 0; index < nodes.length; index += MAX_LINKS) {
+      parents.push(fileNode(nodes.slice(index, index + MAX_LINKS)));
+    }
+    nodes = parents;
+  }
+  return `b${base32(nodes[0].cid)}`;
+};
+
+module.exports = { computeCid };
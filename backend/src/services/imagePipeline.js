@@ -0,0 +1,81 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+// Widths of the renditions generated for every upload; smaller images are never enlarged
+const RENDITIONS = [
+  { name: 'thumb', width: 320 },
+  { name: 'card', width: 640 },
+  { name: 'hero', width: 1600 }
+];
+
+// Listed in order of preference; browsers pick the first format they support
+const RENDITION_FORMATS = [
+  { format: 'avif', options: { quality: 50, effort: 2 } },
+  { format: 'webp', options: { quality: 75 } }
+];
+
+const BLURHASH_SIZE = 32;
+
+const SHARP_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// sharp drops EXIF, GPS, GIF comments and other metadata unless asked to keep it, so re-encoding strips it.
+// rotate() first applies the EXIF orientation, which would otherwise be lost with the metadata.
+const decode = (buffer, options = {}) => sharp(buffer, { failOn: 'error', ...options }).rotate();
+
+const encodeBlurhash = async (buffer) => {
+  const { data, info } = await decode(buffer)
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+/**
+ * Re-encodes an upload without its metadata and renders its resized copies. Animated GIFs and WebPs
+ * keep every frame; renditions and the blurhash use the first one.
+ *
+ * @param {Buffer} buffer
+ * @param {string} contentType detected content type of the upload
+ * @returns {Promise<{ original: Buffer, width: number, height: number, blurhash: string,
+ *   renditions: Array<{ name: string, format: string, width: number, height: number, buffer: Buffer }> }>}
+ */
+const processImage = async (buffer, contentType) => {
+  const { data: original, info: encoded } = await decode(buffer, { animated: true })
+    .toFormat(SHARP_FORMATS[contentType])
+    .toBuffer({ resolveWithObject: true });
+  // Frames of an animation are stacked, so its height is that of one page
+  const info = { width: encoded.width, height: encoded.pageHeight || encoded.height };
+
+  // Past the source width, larger renditions would be copies of the previous one
+  const sizes = RENDITIONS.filter((rendition, index) => index === 0 || RENDITIONS[index - 1].width < info.width);
+
+  const renditions = [];
+  for (const { name, width } of sizes) {
+    for (const { format, options } of RENDITION_FORMATS) {
+      const { data, info: rendered } = await decode(original)
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+      renditions.push({ name, format, width: rendered.width, height: rendered.height, buffer: data });
+    }
+  }
+
+  return {
+    original,
+    width: info.width,
+    height: info.height,
+    blurhash: await encodeBlurhash(original),
+    renditions
+  };
+};
+
+module.exports = {
+  RENDITION_FORMATS,
+  processImage
+};
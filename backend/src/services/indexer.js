@@ -0,0 +1,218 @@
+const pool = require('../db/pool');
+const { config } = require('../config');
+const { getProvider, getConfiguredContracts, serializeEventArgs } = require('./blockchain');
+
+const CURSOR_NAME = 'chain_events';
+// Block hashes older than this are assumed final and pruned from reorg tracking
+const REORG_DEPTH = 64;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getCursor = async () => {
+  const result = await pool.query(
+    'SELECT block_number FROM indexer_cursors WHERE name = $1',
+    [CURSOR_NAME]
+  );
+
+  if (result.rows.length === 0) {
+    return config.indexer.startBlock - 1;
+  }
+
+  return Number(result.rows[0].block_number);
+};
+
+const findCommonAncestor = async (provider) => {
+  const stored = await pool.query(
+    'SELECT block_number, block_hash FROM indexer_blocks ORDER BY block_number DESC'
+  );
+
+  for (const row of stored.rows) {
+    const block = await provider.getBlock(Number(row.block_number));
+    if (block && block.hash === row.block_hash) {
+      return Number(row.block_number);
+    }
+  }
+
+  return null;
+};
+
+const rollbackTo = async (blockNumber) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const removed = await client.query(
+      'DELETE FROM chain_events WHERE block_number > $1',
+      [blockNumber]
+    );
+    await client.query('DELETE FROM indexer_blocks WHERE block_number > $1', [blockNumber]);
+    await client.query(
+      `UPDATE indexer_cursors SET block_number = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2`,
+      [blockNumber, CURSOR_NAME]
+    );
+    await client.query('COMMIT');
+    console.log(`Reorg detected: rolled back to block ${blockNumber}, removed ${removed.rowCount} events`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const handleReorg = async (provider, cursor) => {
+  const latest = await pool.query(
+    'SELECT block_number, block_hash FROM indexer_blocks ORDER BY block_number DESC LIMIT 1'
+  );
+
+  if (latest.rows.length === 0) {
+    return cursor;
+  }
+
+  const { block_number, block_hash } = latest.rows[0];
+  const block = await provider.getBlock(Number(block_number));
+
+  if (block && block.hash === block_hash) {
+    return cursor;
+  }
+
+  const ancestor = await findCommonAncestor(provider);
+  const rollbackBlock = ancestor ?? Math.max(cursor - REORG_DEPTH, -1);
+  await rollbackTo(rollbackBlock);
+  return rollbackBlock;
+};
+
+const indexRange = async (provider, contracts, fromBlock, toBlock) => {
+  const byAddress = new Map(contracts.map(contract => [contract.address.toLowerCase(), contract]));
+
+  const logs = await provider.getLogs({
+    address: contracts.map(contract => contract.address),
+    fromBlock,
+    toBlock
+  });
+
+  const blocks = new Map();
+  const getBlock = async (blockNumber) => {
+    if (!blocks.has(blockNumber)) {
+      blocks.set(blockNumber, await provider.getBlock(blockNumber));
+    }
+    return blocks.get(blockNumber);
+  };
+  await getBlock(toBlock);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const log of logs) {
+      const contract = byAddress.get(log.address.toLowerCase());
+      if (!contract) continue;
+
+      let parsed;
+      try {
+        parsed = contract.iface.parseLog(log);
+      } catch (err) {
+        continue;
+      }
+      if (!parsed) continue;
+
+      const args = serializeEventArgs(parsed);
+      const block = await getBlock(log.blockNumber);
+
+      await client.query(
+        `INSERT INTO chain_events (contract_name, contract_address, event_name, project_id, block_number, block_hash, block_timestamp, tx_hash, log_index, args)
+         VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7), $8, $9, $10)
+         ON CONFLICT (tx_hash, log_index) DO NOTHING`,
+        [
+          contract.name,
+          contract.address.toLowerCase(),
+          parsed.name,
+          args.projectId ?? null,
+          log.blockNumber,
+          log.blockHash,
+          block.timestamp,
+          log.transactionHash,
+          log.index,
+          args
+        ]
+      );
+    }
+
+    for (const [blockNumber, block] of blocks) {
+      await client.query(
+        `INSERT INTO indexer_blocks (block_number, block_hash)
+         VALUES ($1, $2)
+         ON CONFLICT (block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash`,
+        [blockNumber, block.hash]
+      );
+    }
+
+    await client.query(
+      'DELETE FROM indexer_blocks WHERE block_number < $1',
+      [toBlock - REORG_DEPTH]
+    );
+
+    await client.query(
+      `INSERT INTO indexer_cursors (name, block_number, updated_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (name) DO UPDATE SET block_number = EXCLUDED.block_number, updated_at = CURRENT_TIMESTAMP`,
+      [CURSOR_NAME, toBlock]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return logs.length;
+};
+
+const runIndexer = async () => {
+  const provider = getProvider();
+  const contracts = getConfiguredContracts();
+  const { batchSize, pollIntervalMs: pollInterval } = config.indexer;
+
+  if (contracts.length === 0) {
+    throw new Error('No contract addresses configured for indexing');
+  }
+
+  console.log(`Indexing ${contracts.map(c => c.name).join(', ')}`);
+
+  let stopped = false;
+  const stop = () => { stopped = true; };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!stopped) {
+    try {
+      let cursor = await getCursor();
+      cursor = await handleReorg(provider, cursor);
+
+      const head = await provider.getBlockNumber();
+
+      if (cursor >= head) {
+        await sleep(pollInterval);
+        continue;
+      }
+
+      const fromBlock = cursor + 1;
+      const toBlock = Math.min(head, fromBlock + batchSize - 1);
+      const count = await indexRange(provider, contracts, fromBlock, toBlock);
+
+      if (count > 0) {
+        console.log(`Indexed ${count} logs from blocks ${fromBlock}-${toBlock}`);
+      }
+    } catch (error) {
+      console.error('Indexer error:', error);
+      await sleep(pollInterval);
+    }
+  }
+
+  console.log('Indexer stopped');
+};
+
+module.exports = {
+  runIndexer
+};
@@ -0,0 +1,211 @@
+const pool = require('../db/pool');
+const { config } = require('../config');
+const { withTransaction } = require('../db/transaction');
+const { recordStatusChange } = require('./projectStatus');
+
+// Projects stop taking investments once confirmed funding reaches the hard cap
+const FUNDED_STATUS = 'funded';
+const INVESTABLE_STATUSES = ['approved', 'minting'];
+// overflow_status of investments with an amount above the hard cap that has not been refunded yet
+const OVERFLOW_REVIEW = 'review';
+const OVERFLOW_REFUNDED = 'refunded';
+
+const lockProject = async (client, projectId) => {
+  const result = await client.query('SELECT * FROM projects WHERE id = $1 FOR UPDATE', [projectId]);
+  return result.rows[0] || null;
+};
+
+// Confirms a pending investment and counts it towards current_funding up to the remaining capacity, so
+// the total never exceeds the cap however many confirm at once. The funds are on chain either way, so
+// the investment is recorded in full and any part above the cap is flagged for refund.
+const applyConfirmation = async (client, project, investment, verification) => {
+  const result = await client.query(
+    `UPDATE investments i
+     SET status = 'confirmed',
+         accepted_amount = capped.accepted,
+         overflow_amount = NULLIF(i.amount - capped.accepted, 0),
+         overflow_status = CASE WHEN capped.accepted < i.amount THEN $7 END,
+         block_number = $1,
+         log_index = $2,
+         confirmed_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT GREATEST(LEAST($3::numeric, COALESCE($4::numeric - $5::numeric, $3::numeric)), 0) AS accepted
+     ) capped
+     WHERE i.id = $6 AND i.status = 'pending'
+     RETURNING i.*`,
+    [
+      verification.blockNumber,
+      verification.logIndex,
+      investment.amount,
+      project.hard_cap || project.goal,
+      project.current_funding || 0,
+      investment.id,
+      OVERFLOW_REVIEW
+    ]
+  );
+
+  const confirmed = result.rows[0];
+  if (!confirmed) {
+    return null;
+  }
+
+  const updated = await client.query(
+    `UPDATE projects
+     SET current_funding = COALESCE(current_funding, 0) + $1,
+         status = CASE
+           WHEN status = ANY($3::varchar[])
+             AND COALESCE(hard_cap, goal) IS NOT NULL
+             AND COALESCE(current_funding, 0) + $1 >= COALESCE(hard_cap, goal)
+           THEN $4
+           ELSE status
+         END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING status`,
+    [confirmed.accepted_amount, project.id, INVESTABLE_STATUSES, FUNDED_STATUS]
+  );
+
+  if (updated.rows[0].status !== project.status) {
+    await recordStatusChange(client, {
+      projectId: project.id,
+      from: project.status,
+      to: updated.rows[0].status,
+      reason: 'Hard cap reached'
+    });
+  }
+
+  return confirmed;
+};
+
+// Failed rows do not count, so a transaction that was dropped and later mined can be resubmitted
+const findInvestmentByTxHash = async (txHash, db = pool) => {
+  const result = await db.query(
+    `SELECT * FROM investments
+     WHERE tx_hash = $1 AND status <> 'failed'
+     ORDER BY id ASC LIMIT 1`,
+    [txHash.toLowerCase()]
+  );
+  return result.rows[0] || null;
+};
+
+// Resolves to { investment, created }; created is false when the transaction was already recorded
+const recordInvestment = ({ projectId, wallet, amount, txHash, verification, confirm }) =>
+  withTransaction(async (client) => {
+    const project = await lockProject(client, projectId);
+
+    // Concurrent submissions for a project queue on the row lock above, so only one of them inserts
+    const existing = await findInvestmentByTxHash(txHash, client);
+    if (existing) {
+      return { investment: existing, created: false };
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO investments (project_id, investor_wallet, amount, tx_hash, status, block_number, log_index)
+       VALUES ($1, $2, $3, $4, 'pending', $5, $6)
+       RETURNING *`,
+      [projectId, wallet, amount, txHash.toLowerCase(), verification.blockNumber ?? null, verification.logIndex ?? null]
+    );
+
+    const investment = confirm
+      ? await applyConfirmation(client, project, inserted.rows[0], verification)
+      : inserted.rows[0];
+
+    return { investment, created: true };
+  });
+
+// Returns null when the investment was no longer pending
+const confirmInvestment = (investment, verification) =>
+  withTransaction(async (client) => {
+    const project = await lockProject(client, investment.project_id);
+    return applyConfirmation(client, project, investment, verification);
+  });
+
+const getOverflowingInvestments = async () => {
+  const result = await pool.query(
+    `SELECT i.*, p.name AS project_name
+     FROM investments i
+     JOIN projects p ON i.project_id = p.id
+     WHERE i.overflow_status = $1
+     ORDER BY i.confirmed_at ASC, i.id ASC`,
+    [OVERFLOW_REVIEW]
+  );
+  return result.rows;
+};
+
+// Resolves to { investment }, or { error, status } when there is no overflow left to refund
+const markOverflowRefunded = async (investmentId, refundTxHash) => {
+  const result = await pool.query(
+    `UPDATE investments
+     SET overflow_status = $1, overflow_refund_tx_hash = $2
+     WHERE id = $3 AND overflow_status = $4
+     RETURNING *`,
+    [OVERFLOW_REFUNDED, refundTxHash.toLowerCase(), investmentId, OVERFLOW_REVIEW]
+  );
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'No overflow awaiting refund for this investment' };
+  }
+  return { investment: result.rows[0] };
+};
+
+// current_funding is a running total; this rebuilds it from the investments ledger
+const recomputeFunding = async (projectId = null) => {
+  const projects = await pool.query(
+    'SELECT id FROM projects WHERE $1::int IS NULL OR id = $1 ORDER BY id',
+    [projectId]
+  );
+
+  const corrected = [];
+
+  for (const { id } of projects.rows) {
+    await withTransaction(async (client) => {
+      const project = await lockProject(client, id);
+      const total = await client.query(
+        `SELECT COALESCE(SUM(COALESCE(accepted_amount, amount)), 0) AS total
+         FROM investments WHERE project_id = $1 AND status = 'confirmed'`,
+        [id]
+      );
+      const ledgerTotal = total.rows[0].total;
+
+      if (parseFloat(ledgerTotal) !== parseFloat(project.current_funding || 0)) {
+        await client.query(
+          'UPDATE projects SET current_funding = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [ledgerTotal, id]
+        );
+        corrected.push({ project_id: id, previous: project.current_funding, current: ledgerTotal });
+      }
+    });
+  }
+
+  return corrected;
+};
+
+const startFundingRecomputeJob = () => {
+  const interval = config.jobs.fundingRecomputeIntervalMs;
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const corrected = await recomputeFunding();
+      for (const drift of corrected) {
+        console.warn(`Corrected current_funding for project ${drift.project_id}: ${drift.previous} -> ${drift.current}`);
+      }
+    } catch (error) {
+      console.error('Funding recompute error:', error);
+    } finally {
+      running = false;
+    }
+  }, interval);
+};
+
+module.exports = {
+  INVESTABLE_STATUSES,
+  findInvestmentByTxHash,
+  recordInvestment,
+  confirmInvestment,
+  getOverflowingInvestments,
+  markOverflowRefunded,
+  recomputeFunding,
+  startFundingRecomputeJob
+};
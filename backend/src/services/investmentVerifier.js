@@ -0,0 +1,140 @@
+const { ethers } = require('ethers');
+const pool = require('../db/pool');
+const { config } = require('../config');
+const {
+  lifecycleInterface,
+  getProvider,
+  getContractAddress,
+  getPaymentTokenDecimals,
+  getConfirmationDepth
+} = require('./blockchain');
+const { confirmInvestment } = require('./investmentLedger');
+
+// Pending transactions that never show up on chain are given up on after this long
+const DROPPED_TX_TIMEOUT_MS = 60 * 60 * 1000;
+
+const verifyInvestmentTx = async (txHash, { wallet, projectId, amount }) => {
+  const provider = getProvider();
+  const lifecycleAddress = getContractAddress('PROJECT_LIFECYCLE_ADDRESS');
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+
+  if (!receipt) {
+    const tx = await provider.getTransaction(txHash);
+    return tx ? { state: 'pending' } : { state: 'not_found' };
+  }
+
+  if (receipt.status !== 1) {
+    return { state: 'invalid', reason: 'Transaction reverted' };
+  }
+
+  if (receipt.from.toLowerCase() !== wallet.toLowerCase()) {
+    return { state: 'invalid', reason: 'Transaction was not sent by this wallet' };
+  }
+
+  const expectedAmount = ethers.parseUnits(String(amount), getPaymentTokenDecimals());
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== lifecycleAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = lifecycleInterface.parseLog(log);
+    } catch (err) {
+      continue;
+    }
+    if (!parsed || parsed.name !== 'InvestmentMade') continue;
+
+    const { projectId: eventProjectId, investor, amount: eventAmount } = parsed.args;
+
+    if (investor.toLowerCase() !== wallet.toLowerCase()) {
+      return { state: 'invalid', reason: 'Investor does not match sender' };
+    }
+    if (eventProjectId !== BigInt(projectId)) {
+      return { state: 'invalid', reason: 'Project ID does not match' };
+    }
+    if (eventAmount !== expectedAmount) {
+      return { state: 'invalid', reason: 'Amount does not match' };
+    }
+
+    return {
+      state: 'mined',
+      blockNumber: receipt.blockNumber,
+      logIndex: log.index,
+      confirmations: await receipt.confirmations()
+    };
+  }
+
+  return { state: 'invalid', reason: 'No InvestmentMade event found in transaction' };
+};
+
+const failInvestment = async (investment, reason) => {
+  await pool.query(
+    `UPDATE investments
+     SET status = 'failed', failure_reason = $1
+     WHERE id = $2 AND status = 'pending'`,
+    [reason, investment.id]
+  );
+};
+
+const confirmPendingInvestments = async () => {
+  const pending = await pool.query(
+    `SELECT i.*, p.chain_project_id
+     FROM investments i
+     JOIN projects p ON i.project_id = p.id
+     WHERE i.status = 'pending'
+     ORDER BY i.created_at ASC`
+  );
+
+  for (const investment of pending.rows) {
+    try {
+      const verification = await verifyInvestmentTx(investment.tx_hash, {
+        wallet: investment.investor_wallet,
+        projectId: investment.chain_project_id,
+        amount: investment.amount
+      });
+
+      if (verification.state === 'invalid') {
+        await failInvestment(investment, verification.reason);
+      } else if (verification.state === 'not_found') {
+        if (Date.now() - new Date(investment.created_at).getTime() > DROPPED_TX_TIMEOUT_MS) {
+          await failInvestment(investment, 'Transaction was dropped');
+        }
+      } else if (verification.state === 'mined') {
+        if (verification.confirmations >= getConfirmationDepth()) {
+          await confirmInvestment(investment, verification);
+        } else {
+          await pool.query(
+            'UPDATE investments SET block_number = $1, log_index = $2 WHERE id = $3',
+            [verification.blockNumber, verification.logIndex, investment.id]
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`Confirm investment ${investment.id} error:`, error);
+    }
+  }
+};
+
+const startConfirmationWatcher = () => {
+  const interval = config.jobs.investmentPollIntervalMs;
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await confirmPendingInvestments();
+    } catch (error) {
+      console.error('Confirmation watcher error:', error);
+    } finally {
+      running = false;
+    }
+  }, interval);
+};
+
+module.exports = {
+  verifyInvestmentTx,
+  confirmPendingInvestments,
+  startConfirmationWatcher
+};
@@ -0,0 +1,84 @@
+const pool = require('../db/pool');
+const { getUserRoles, hasRole } = require('./roles');
+
+const TOP_HOLDERS_LIMIT = 10;
+
+// Upper bounds in the project currency; the last bucket is open-ended
+const DISTRIBUTION_BUCKETS = [
+  { label: 'Under 1,000', max: 1000 },
+  { label: '1,000 - 9,999', max: 10000 },
+  { label: '10,000 - 99,999', max: 100000 },
+  { label: '100,000 and above', max: null }
+];
+
+// Enough of the address to tell holders apart in a list, not enough to look them up
+const maskWallet = (wallet) => `${wallet.slice(0, 4)}…${wallet.slice(-4)}`;
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// Admins, the project owner and the treasury may see every investor of a project
+const canViewInvestors = async (user, project) => {
+  if (user.role === 'ADMIN' || project.owner_wallet === user.wallet) {
+    return true;
+  }
+  return hasRole(await getUserRoles(user.wallet), 'TREASURY', project.id);
+};
+
+// Aggregates confirmed investments per wallet; wallets are masked unless the investor opted in
+const getInvestmentSummary = async (projectId) => {
+  const result = await pool.query(
+    `SELECT i.investor_wallet AS wallet,
+            SUM(COALESCE(i.accepted_amount, i.amount)) AS amount,
+            COALESCE(BOOL_OR(u.investments_public), FALSE) AS public
+     FROM investments i
+     LEFT JOIN users u ON u.wallet = i.investor_wallet
+     WHERE i.project_id = $1 AND i.status = 'confirmed'
+     GROUP BY i.investor_wallet
+     ORDER BY amount DESC, i.investor_wallet ASC`,
+    [projectId]
+  );
+
+  const holders = result.rows.map(row => ({ ...row, cents: toCents(row.amount) }));
+  const totalCents = holders.reduce((sum, holder) => sum + holder.cents, 0);
+
+  const distribution = DISTRIBUTION_BUCKETS.map((bucket, index) => {
+    const min = index === 0 ? 0 : DISTRIBUTION_BUCKETS[index - 1].max;
+    const inBucket = holders.filter(holder =>
+      holder.cents >= min * 100 && (bucket.max === null || holder.cents < bucket.max * 100)
+    );
+    return {
+      label: bucket.label,
+      min,
+      max: bucket.max,
+      investors: inBucket.length,
+      amount: fromCents(inBucket.reduce((sum, holder) => sum + holder.cents, 0))
+    };
+  });
+
+  return {
+    investor_count: holders.length,
+    total_amount: fromCents(totalCents),
+    distribution,
+    top_holders: holders.slice(0, TOP_HOLDERS_LIMIT).map(holder => ({
+      wallet: holder.public ? holder.wallet : maskWallet(holder.wallet),
+      public: holder.public,
+      amount: fromCents(holder.cents),
+      share_percent: totalCents > 0 ? Number(((holder.cents / totalCents) * 100).toFixed(2)) : 0
+    }))
+  };
+};
+
+const setInvestmentsPublic = async (wallet, investmentsPublic) => {
+  const result = await pool.query(
+    'UPDATE users SET investments_public = $1 WHERE wallet = $2 RETURNING wallet, investments_public',
+    [investmentsPublic, wallet]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  canViewInvestors,
+  getInvestmentSummary,
+  setInvestmentsPublic
+};
@@ -0,0 +1,252 @@
+const { authenticateToken, optionalAuth, requireAdmin, requireInvestor } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { version } = require('../../package.json');
+
+const ADDRESS_PATTERN = '^0x[0-9a-fA-F]{40}$';
+const HASH_PATTERN = '^0x[0-9a-fA-F]{64}$';
+
+// Marks a route for the OpenAPI document. Options: status (success status, default 200), response
+// (what a successful call returns), description, and upload ({ field, multiple }) for multipart routes.
+const describeRoute = (operationId, summary, options = {}) => {
+  const middleware = (req, res, next) => next();
+  middleware.operation = { operationId, summary, ...options };
+  return middleware;
+};
+
+// Converts a validation rule from propertyblock-shared into a JSON schema
+const toJsonSchema = (rule) => {
+  const schema = {};
+
+  switch (rule.type) {
+    case 'address':
+      Object.assign(schema, { type: 'string', pattern: ADDRESS_PATTERN });
+      break;
+    case 'hash':
+      Object.assign(schema, { type: 'string', pattern: HASH_PATTERN });
+      break;
+    case 'date':
+      Object.assign(schema, { type: 'string', format: 'date-time' });
+      break;
+    case 'array':
+    case 'list':
+      schema.type = 'array';
+      schema.items = rule.items ? toJsonSchema(rule.items) : { type: 'string' };
+      break;
+    default:
+      schema.type = rule.type;
+  }
+
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.positive) Object.assign(schema, { minimum: 0, exclusiveMinimum: true });
+  if (rule.maxDecimals !== undefined) schema.multipleOf = 10 ** -rule.maxDecimals;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.oneOf) schema.enum = rule.oneOf;
+  if (rule.nullable) schema.nullable = true;
+  if (rule.default !== undefined) schema.default = rule.default;
+
+  return schema;
+};
+
+const toObjectSchema = (fields) => {
+  const required = Object.keys(fields).filter(field => fields[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, toJsonSchema(rule)])),
+    ...(required.length > 0 ? { required } : {})
+  };
+};
+
+// Express paths use :name, OpenAPI paths use {name}
+const toOpenApiPath = (prefix, routePath) => {
+  const joined = `${prefix}${routePath === '/' ? '' : routePath}` || '/';
+  return joined.replace(/:(\w+)/g, '{$1}');
+};
+
+const pathParamNames = (path) => [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+const buildParameters = (path, schemas, handles) => {
+  const parameters = pathParamNames(path).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: schemas.params && schemas.params[name] ? toJsonSchema(schemas.params[name]) : { type: 'string' }
+  }));
+
+  for (const [name, rule] of Object.entries(schemas.query || {})) {
+    const parameter = { name, in: 'query', required: Boolean(rule.required), schema: toJsonSchema(rule) };
+    // Lists are accepted comma-separated
+    if (rule.type === 'list') Object.assign(parameter, { style: 'form', explode: false });
+    parameters.push(parameter);
+  }
+
+  if (handles.includes(idempotent)) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Replays the stored response when the same request is retried',
+      schema: { type: 'string', maxLength: 255 }
+    });
+  }
+
+  return parameters;
+};
+
+const buildRequestBody = (operation, schemas) => {
+  if (operation.upload) {
+    const file = { type: 'string', format: 'binary' };
+    // Form fields sent next to the files
+    const fields = schemas.body ? toObjectSchema(schemas.body) : { properties: {} };
+    return {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              [operation.upload.field]: operation.upload.multiple ? { type: 'array', items: file } : file,
+              ...fields.properties
+            },
+            required: [operation.upload.field, ...(fields.required || [])]
+          }
+        }
+      }
+    };
+  }
+
+  if (!schemas.body) return undefined;
+
+  const schema = toObjectSchema(schemas.body);
+  return {
+    required: Boolean(schema.required),
+    content: { 'application/json': { schema } }
+  };
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+const buildResponses = (operation, path, { validated, authenticated }) => {
+  const responses = {
+    [operation.status || 200]: {
+      description: operation.response || 'Success',
+      content: { 'application/json': { schema: { type: 'object' } } }
+    }
+  };
+
+  if (validated) responses[400] = errorResponse('Invalid request', 'ValidationError');
+  if (authenticated) {
+    responses[401] = errorResponse('Missing or invalid access token');
+    responses[403] = errorResponse('Not allowed for this wallet');
+  }
+  if (pathParamNames(path).length > 0) responses[404] = errorResponse('Not found');
+
+  return responses;
+};
+
+const buildOperation = (operation, path, tag, handles) => {
+  const schemas = Object.assign({}, ...handles.filter(handle => handle.schemas).map(handle => handle.schemas));
+  const authenticated = handles.includes(authenticateToken);
+  const optionallyAuthenticated = handles.includes(optionalAuth);
+
+  const notes = [];
+  if (handles.includes(requireAdmin)) notes.push('Requires the ADMIN role.');
+  if (handles.includes(requireInvestor)) notes.push('Requires an investor account.');
+  if (operation.description) notes.push(operation.description);
+
+  const parameters = buildParameters(path, schemas, handles);
+  const requestBody = buildRequestBody(operation, schemas);
+
+  return {
+    operationId: operation.operationId,
+    summary: operation.summary,
+    ...(notes.length > 0 ? { description: notes.join(' ') } : {}),
+    tags: [tag],
+    ...(authenticated ? { security: [{ bearerAuth: [] }] } : {}),
+    // An empty requirement makes the token optional
+    ...(optionallyAuthenticated ? { security: [{}, { bearerAuth: [] }] } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: buildResponses(operation, path, { validated: Boolean(schemas.params || schemas.query || schemas.body), authenticated })
+  };
+};
+
+// Walks each mounted router and documents every route marked with describeRoute. Router-level
+// middleware (router.use) applies to the routes registered after it.
+const buildOpenApiDocument = (mounts) => {
+  const paths = {};
+
+  for (const { prefix, router, tag } of mounts) {
+    const shared = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+
+      const handles = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+      const marker = handles.find(handle => handle.operation);
+      if (!marker) continue;
+
+      const path = toOpenApiPath(prefix, layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = buildOperation(marker.operation, path, tag, handles);
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'PropertyBuild API',
+      version,
+      description: 'REST API of the PropertyBuild tokenized real estate platform. Sign in with POST /auth/nonce and POST /auth/verify, then send the access token as a Bearer token.'
+    },
+    tags: [...new Set(mounts.map(({ tag }) => tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' } },
+          required: ['error']
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  field: { type: 'string' },
+                  message: { type: 'string' }
+                },
+                required: ['location', 'field', 'message']
+              }
+            }
+          },
+          required: ['error', 'fields']
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  describeRoute,
+  buildOpenApiDocument
+};
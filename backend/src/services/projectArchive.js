@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db/pool');
+const { config } = require('../config');
+const { withTransaction } = require('../db/transaction');
+const { uploadedFilename, removeStoredFiles } = require('./uploads');
+
+const getRetentionDays = () => config.jobs.archiveRetentionDays;
+
+// Resolves to { project } on success, or { error, status } when the project cannot be archived
+const archiveProject = (projectId, { actor }) =>
+  withTransaction(async (client) => {
+    // Investments lock the project row before inserting, so none can be added after this check
+    const result = await client.query(
+      'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [projectId]
+    );
+    const project = result.rows[0];
+
+    if (!project) {
+      return { status: 404, error: 'Project not found' };
+    }
+
+    if (project.chain_project_id) {
+      return { status: 409, error: 'Projects linked to an on-chain project cannot be deleted; cancel them instead' };
+    }
+
+    // Failed submissions never moved funds; pending ones still may, until the verifier settles them
+    const investments = await client.query(
+      "SELECT COUNT(*) AS count FROM investments WHERE project_id = $1 AND status <> 'failed'",
+      [projectId]
+    );
+    if (parseInt(investments.rows[0].count, 10) > 0) {
+      return { status: 409, error: 'Projects with investments cannot be deleted; cancel them instead' };
+    }
+
+    const archived = await client.query(
+      `UPDATE projects
+       SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [actor, projectId]
+    );
+
+    return { project: archived.rows[0], previous: project };
+  });
+
+const restoreProject = async (projectId) => {
+  const result = await pool.query(
+    `UPDATE projects
+     SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deleted_at IS NOT NULL
+     RETURNING *`,
+    [projectId]
+  );
+  return result.rows[0] || null;
+};
+
+const getArchivedProjects = async () => {
+  const result = await pool.query(
+    `SELECT p.*, p.deleted_at + make_interval(days => $1) AS images_purge_at
+     FROM projects p
+     WHERE p.deleted_at IS NOT NULL
+     ORDER BY p.deleted_at DESC`,
+    [getRetentionDays()]
+  );
+  return result.rows;
+};
+
+// Removes the uploaded images of projects archived longer than the retention window; external image URLs are left alone
+const purgeArchivedImages = async () => {
+  const expired = await pool.query(
+    `SELECT id, images FROM projects
+     WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+       AND images_purged_at IS NULL
+     ORDER BY id`,
+    [getRetentionDays()]
+  );
+
+  const purged = [];
+
+  for (const project of expired.rows) {
+    const filenames = (project.images || []).map(uploadedFilename).filter(Boolean);
+
+    // An image copied into another live project stays until that project is archived too
+    const shared = await pool.query(
+      `SELECT DISTINCT image FROM projects, unnest(images) AS image
+       WHERE id <> $1 AND deleted_at IS NULL`,
+      [project.id]
+    );
+    const inUse = new Set(shared.rows.map(row => uploadedFilename(row.image)).filter(Boolean));
+
+    // Files already missing from disk still have their uploads rows removed
+    const removed = filenames.filter(filename => !inUse.has(filename));
+    for (const filename of removed) {
+      try {
+        await fs.promises.unlink(path.join(config.uploadDir, filename));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const uploads = await pool.query('DELETE FROM uploads WHERE filename = ANY($1) RETURNING *', [removed]);
+    for (const upload of uploads.rows) {
+      await removeStoredFiles(upload);
+    }
+
+    await pool.query(
+      `UPDATE projects SET images = '{}', images_purged_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NOT NULL`,
+      [project.id]
+    );
+    purged.push({ project_id: project.id, removed });
+  }
+
+  return purged;
+};
+
+const startArchiveCleanupJob = () => {
+  const interval = config.jobs.archiveCleanupIntervalMs;
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const { project_id, removed } of await purgeArchivedImages()) {
+        console.log(`Removed ${removed.length} archived image(s) of project ${project_id}`);
+      }
+    } catch (error) {
+      console.error('Archive cleanup error:', error);
+    } finally {
+      running = false;
+    }
+  }, interval);
+};
+
+module.exports = {
+  archiveProject,
+  restoreProject,
+  getArchivedProjects,
+  purgeArchivedImages,
+  startArchiveCleanupJob
+};
@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const {
+  CHAIN_PROJECT_STATUSES,
+  lifecycleInterface,
+  getSigner,
+  getLifecycleContract,
+  getTokenContract,
+  getPaymentTokenDecimals
+} = require('./blockchain');
+
+// Basis points; ProjectLifecycle.createProject reverts above the maximums
+const DEFAULT_CONTINGENCY_BPS = 1000;
+const DEFAULT_PLATFORM_FEE_BPS = 200;
+const MAX_CONTINGENCY_BPS = 2000;
+const MAX_PLATFORM_FEE_BPS = 1000;
+
+const toUnits = (amount) => ethers.parseUnits(String(amount), getPaymentTokenDecimals());
+const fromUnits = (value) => ethers.formatUnits(value, getPaymentTokenDecimals());
+const toTimestamp = (date) => BigInt(Math.floor(new Date(date).getTime() / 1000));
+const fromTimestamp = (value) => new Date(Number(value) * 1000);
+
+const readChainProject = async (chainProjectId) => {
+  const project = await getLifecycleContract().getProject(chainProjectId);
+
+  if (project.projectId === 0n) {
+    return null;
+  }
+
+  return {
+    chain_project_id: project.projectId.toString(),
+    token_id: project.tokenId.toString(),
+    metadata_uri: project.metadataUri,
+    hard_cap: fromUnits(project.hardCap),
+    soft_cap: fromUnits(project.softCap),
+    total_raised: fromUnits(project.totalRaised),
+    token_price: fromUnits(project.tokenPrice),
+    contractor_wallet: project.contractor.toLowerCase(),
+    minting_deadline: fromTimestamp(project.mintingDeadline),
+    project_deadline: fromTimestamp(project.projectDeadline),
+    status: CHAIN_PROJECT_STATUSES[Number(project.status)]
+  };
+};
+
+const createChainProject = async ({
+  hardCap,
+  softCap,
+  tokenPrice,
+  contractor,
+  mintingDeadline,
+  projectDeadline,
+  contingencyBps = DEFAULT_CONTINGENCY_BPS,
+  platformFeeBps = DEFAULT_PLATFORM_FEE_BPS,
+  metadataUri = ''
+}) => {
+  const lifecycle = getLifecycleContract(getSigner());
+
+  const tx = await lifecycle.createProject(
+    toUnits(hardCap),
+    toUnits(softCap),
+    toUnits(tokenPrice),
+    contractor,
+    toTimestamp(mintingDeadline),
+    toTimestamp(projectDeadline),
+    contingencyBps,
+    platformFeeBps,
+    metadataUri
+  );
+  const receipt = await tx.wait();
+
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = lifecycleInterface.parseLog(log);
+    } catch (err) {
+      continue;
+    }
+    if (parsed && parsed.name === 'ProjectCreated') {
+      return {
+        chainProjectId: parsed.args.projectId.toString(),
+        txHash: receipt.hash
+      };
+    }
+  }
+
+  throw new Error('ProjectCreated event not found in transaction');
+};
+
+const getTokenUri = (tokenId) => getTokenContract().uri(tokenId);
+
+// Points the project's ERC-1155 token at new metadata; the operator needs PROJECT_ADMIN_ROLE on the token
+const setTokenUri = async (tokenId, uri) => {
+  const tx = await getTokenContract(getSigner()).setURI(tokenId, uri);
+  const receipt = await tx.wait();
+  return { txHash: receipt.hash };
+};
+
+const sameAmount = (a, b) => a !== null && b !== null && parseFloat(a) === parseFloat(b);
+const sameTime = (a, b) => a && b && Math.floor(new Date(a).getTime() / 1000) === Math.floor(new Date(b).getTime() / 1000);
+
+// Freshly approved and fully funded projects are both still MINTING on chain
+const sameStatus = (dbStatus, chainStatus) =>
+  dbStatus === chainStatus || (['approved', 'funded'].includes(dbStatus) && chainStatus === 'minting');
+
+const reconcileProject = async (project) => {
+  const chainProject = await readChainProject(project.chain_project_id);
+
+  if (!chainProject) {
+    return {
+      project_id: project.id,
+      chain_project_id: project.chain_project_id,
+      in_sync: false,
+      drift: [{ field: 'chain_project_id', db: project.chain_project_id, chain: null }]
+    };
+  }
+
+  const checks = [
+    ['token_id', project.token_id, chainProject.token_id, (a, b) => String(a) === String(b)],
+    ['hard_cap', project.hard_cap, chainProject.hard_cap, sameAmount],
+    ['soft_cap', project.soft_cap, chainProject.soft_cap, sameAmount],
+    ['token_price', project.token_price, chainProject.token_price, sameAmount],
+    ['current_funding', project.current_funding, chainProject.total_raised, sameAmount],
+    ['contractor_wallet', project.contractor_wallet, chainProject.contractor_wallet, (a, b) => a === b],
+    ['minting_deadline', project.minting_deadline, chainProject.minting_deadline, sameTime],
+    ['project_deadline', project.project_deadline, chainProject.project_deadline, sameTime],
+    ['status', project.status, chainProject.status, sameStatus]
+  ];
+
+  const drift = checks
+    .filter(([, dbValue, chainValue, equal]) => !equal(dbValue, chainValue))
+    .map(([field, dbValue, chainValue]) => ({ field, db: dbValue, chain: chainValue }));
+
+  return {
+    project_id: project.id,
+    chain_project_id: project.chain_project_id,
+    in_sync: drift.length === 0,
+    drift
+  };
+};
+
+module.exports = {
+  MAX_CONTINGENCY_BPS,
+  MAX_PLATFORM_FEE_BPS,
+  readChainProject,
+  createChainProject,
+  getTokenUri,
+  setTokenUri,
+  reconcileProject
+};
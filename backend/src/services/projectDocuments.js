@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DOCUMENT_VISIBILITIES } = require('propertyblock-shared');
+const pool = require('../db/pool');
+const { config } = require('../config');
+const { getUserRoles, hasRole } = require('./roles');
+const { cleanOriginalName, withinStorageQuota } = require('./uploads');
+const { computeCid } = require('./cid');
+const { publishContent } = require('./storage');
+
+// Detected from the content, like images. XLSX files are ZIP archives with an xl/workbook.xml entry.
+const DOCUMENT_TYPES = [
+  {
+    contentType: 'application/pdf',
+    extension: '.pdf',
+    matches: (bytes) => bytes.subarray(0, 5).toString('latin1') === '%PDF-'
+  },
+  {
+    contentType: 'image/vnd.dwg',
+    extension: '.dwg',
+    matches: (bytes) => /^AC10\d\d$/.test(bytes.subarray(0, 6).toString('latin1'))
+  },
+  {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: '.xlsx',
+    matches: (bytes) => bytes.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) && bytes.includes('xl/workbook.xml')
+  }
+];
+
+// The stored file name stays internal; files are only reachable through the download route
+const DOCUMENT_COLUMNS = `id, project_id, category, title, visibility, original_name, content_type, size_bytes, sha256,
+  cid, pinned_at, uploaded_by, created_at`;
+
+const detectDocumentType = (buffer) => DOCUMENT_TYPES.find(type => type.matches(buffer)) || null;
+
+const documentPath = (document) => path.join(config.documentDir, document.filename);
+
+/**
+ * What a wallet may do with a project's documents. Admins, the project owner and project admins
+ * manage them and see every document; investors with a confirmed investment also see investors
+ * documents, and everyone else only public ones.
+ *
+ * @param {?Object} user req.user, or undefined for anonymous requests
+ * @returns {Promise<{ manage: boolean, visibilities: string[] }>}
+ */
+const getDocumentAccess = async (user, project) => {
+  if (!user) {
+    return { manage: false, visibilities: ['public'] };
+  }
+
+  const roles = await getUserRoles(user.wallet);
+  if (user.role === 'ADMIN' || project.owner_wallet === user.wallet || hasRole(roles, 'PROJECT_ADMIN', project.id)) {
+    return { manage: true, visibilities: DOCUMENT_VISIBILITIES };
+  }
+
+  const invested = await pool.query(
+    `SELECT 1 FROM investments WHERE project_id = $1 AND investor_wallet = $2 AND status = 'confirmed' LIMIT 1`,
+    [project.id, user.wallet]
+  );
+  return { manage: false, visibilities: invested.rows.length > 0 ? ['public', 'investors'] : ['public'] };
+};
+
+const listDocuments = async (projectId, visibilities) => {
+  const result = await pool.query(
+    `SELECT ${DOCUMENT_COLUMNS} FROM project_documents
+     WHERE project_id = $1 AND visibility = ANY($2)
+     ORDER BY category ASC, created_at DESC, id DESC`,
+    [projectId, visibilities]
+  );
+  return result.rows;
+};
+
+const getDocument = async (projectId, documentId) => {
+  const result = await pool.query(
+    'SELECT * FROM project_documents WHERE id = $1 AND project_id = $2',
+    [documentId, projectId]
+  );
+  return result.rows[0] || null;
+};
+
+// Resolves to { document } or { error, status }. Only public documents are published to the storage
+// backend; the others get a CID too, but their content never leaves the server.
+const storeDocument = async (file, { project, user, category, title, visibility }) => {
+  const type = detectDocumentType(file.buffer);
+  const originalName = cleanOriginalName(file.originalname);
+  if (!type) {
+    return { status: 400, error: `${originalName || 'File'} is not a PDF, DWG or XLSX file` };
+  }
+
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const filename = `document-${Date.now()}-${crypto.randomBytes(8).toString('hex')}${type.extension}`;
+  const filepath = path.join(config.documentDir, filename);
+  let written = false;
+
+  try {
+    return await withinStorageQuota(user.wallet, file.size, async (client) => {
+      const published = visibility === 'public'
+        ? await publishContent(file.buffer, filename)
+        : { cid: computeCid(file.buffer), pinned: false };
+      if (published.error) return published;
+
+      const result = await client.query(
+        `INSERT INTO project_documents
+           (project_id, category, title, visibility, filename, original_name, content_type, size_bytes, sha256, uploaded_by,
+            cid, pinned_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $12 THEN CURRENT_TIMESTAMP END)
+         RETURNING ${DOCUMENT_COLUMNS}`,
+        [
+          project.id,
+          category,
+          title || (originalName ? path.parse(originalName).name : category),
+          visibility,
+          filename,
+          originalName,
+          type.contentType,
+          file.size,
+          sha256,
+          user.wallet,
+          published.cid,
+          published.pinned
+        ]
+      );
+
+      await fs.promises.writeFile(filepath, file.buffer, { flag: 'wx' });
+      written = true;
+      return { document: result.rows[0] };
+    });
+  } catch (error) {
+    if (written) await fs.promises.unlink(filepath).catch(() => {});
+    throw error;
+  }
+};
+
+const deleteDocument = async (document) => {
+  await pool.query('DELETE FROM project_documents WHERE id = $1', [document.id]);
+  try {
+    await fs.promises.unlink(documentPath(document));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  getDocumentAccess,
+  listDocuments,
+  getDocument,
+  documentPath,
+  storeDocument,
+  deleteDocument
+};
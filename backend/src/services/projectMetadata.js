@@ -0,0 +1,146 @@
+const pool = require('../db/pool');
+const { listDocuments } = require('./projectDocuments');
+const { uploadedFilename } = require('./uploads');
+const { publishContent, ipfsUri, gatewayUrl } = require('./storage');
+
+const isAbsoluteUrl = (url) => /^https?:\/\//i.test(url || '');
+
+const toDate = (value) => (value ? new Date(value).toISOString() : null);
+
+// Uploaded images are referenced by CID; external URLs are kept, and uploads recorded before CIDs
+// existed are left out since their /uploads/ path means nothing outside this server
+const imageUris = async (project) => {
+  const filenames = (project.images || []).map(uploadedFilename).filter(Boolean);
+  const result = filenames.length > 0
+    ? await pool.query('SELECT filename, cid FROM uploads WHERE filename = ANY($1) AND cid IS NOT NULL', [filenames])
+    : { rows: [] };
+  const cids = new Map(result.rows.map(upload => [upload.filename, upload.cid]));
+
+  return (project.images || [])
+    .map(url => {
+      const filename = uploadedFilename(url);
+      if (filename) return cids.has(filename) ? ipfsUri(cids.get(filename)) : null;
+      return isAbsoluteUrl(url) ? url : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * The ERC-1155 metadata JSON of a project (https://eips.ethereum.org/EIPS/eip-1155#metadata).
+ * Only public documents are listed.
+ *
+ * @returns {Promise<{ name: string, description: string, image?: string, decimals: number, properties: Object }>}
+ */
+const buildProjectMetadata = async (project) => {
+  const images = await imageUris(project);
+  const documents = await listDocuments(project.id, ['public']);
+  const milestones = await pool.query(
+    `SELECT milestone_index, description, budget_percent, status FROM milestones
+     WHERE project_id = $1
+     ORDER BY milestone_index`,
+    [project.id]
+  );
+
+  return {
+    name: project.name,
+    description: project.description || '',
+    ...(images.length > 0 && { image: images[0] }),
+    decimals: 0,
+    properties: {
+      project_id: project.id,
+      chain_project_id: project.chain_project_id,
+      location: project.location,
+      property_type: project.property_type,
+      status: project.status,
+      price: project.price,
+      token_price: project.token_price,
+      hard_cap: project.hard_cap,
+      soft_cap: project.soft_cap,
+      minting_deadline: toDate(project.minting_deadline),
+      project_deadline: toDate(project.project_deadline),
+      contractor: project.contractor_wallet,
+      images,
+      documents: documents
+        .filter(document => document.cid)
+        .map(document => ({
+          title: document.title,
+          category: document.category,
+          content_type: document.content_type,
+          uri: ipfsUri(document.cid),
+          sha256: document.sha256
+        })),
+      milestones: milestones.rows.map(milestone => ({
+        index: milestone.milestone_index,
+        description: milestone.description,
+        budget_percent: milestone.budget_percent,
+        status: milestone.status
+      }))
+    }
+  };
+};
+
+const toPublication = (row) => ({
+  id: row.id,
+  project_id: row.project_id,
+  cid: row.cid,
+  uri: ipfsUri(row.cid),
+  gateway_url: gatewayUrl(row.cid),
+  pinned_at: row.pinned_at,
+  published_by: row.published_by,
+  created_at: row.created_at,
+  pushed_at: row.pushed_at,
+  push_tx_hash: row.push_tx_hash,
+  metadata: JSON.parse(row.content)
+});
+
+const getLatestPublication = async (projectId) => {
+  const result = await pool.query(
+    'SELECT * FROM project_metadata WHERE project_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+    [projectId]
+  );
+  return result.rows[0] ? toPublication(result.rows[0]) : null;
+};
+
+// Publishes the project's current metadata and resolves to { publication, created } or { error, status }.
+// Unchanged metadata keeps its version, which is only marked pinned if it was not before.
+const publishProjectMetadata = async (project, user) => {
+  const content = JSON.stringify(await buildProjectMetadata(project));
+  const published = await publishContent(Buffer.from(content), `project-${project.id}.json`);
+  if (published.error) return published;
+
+  const latest = await getLatestPublication(project.id);
+  if (latest && latest.cid === published.cid) {
+    const result = await pool.query(
+      `UPDATE project_metadata SET pinned_at = COALESCE(pinned_at, CASE WHEN $2 THEN CURRENT_TIMESTAMP END)
+       WHERE id = $1
+       RETURNING *`,
+      [latest.id, published.pinned]
+    );
+    return { publication: toPublication(result.rows[0]), created: false };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO project_metadata (project_id, cid, content, pinned_at, published_by)
+     VALUES ($1, $2, $3, CASE WHEN $4 THEN CURRENT_TIMESTAMP END, $5)
+     RETURNING *`,
+    [project.id, published.cid, content, published.pinned, user.wallet]
+  );
+  return { publication: toPublication(result.rows[0]), created: true };
+};
+
+const recordPush = async (publicationId, txHash) => {
+  const result = await pool.query(
+    `UPDATE project_metadata SET pushed_at = CURRENT_TIMESTAMP, push_tx_hash = $2
+     WHERE id = $1
+     RETURNING *`,
+    [publicationId, txHash]
+  );
+  return toPublication(result.rows[0]);
+};
+
+module.exports = {
+  buildProjectMetadata,
+  getLatestPublication,
+  publishProjectMetadata,
+  recordPush
+};
@@ -0,0 +1,39 @@
+const pool = require('../db/pool');
+
+// approval and rejection are review decisions; the other kinds only add to the thread
+const REVIEW_KINDS = ['approval', 'rejection', 'resubmission', 'comment'];
+const DECISION_KINDS = ['approval', 'rejection'];
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const addReview = async (db, { projectId, author, kind, comment = null }) => {
+  if (!REVIEW_KINDS.includes(kind)) {
+    throw new Error(`Unknown review kind: ${kind}`);
+  }
+
+  const result = await db.query(
+    `INSERT INTO project_reviews (project_id, author_wallet, kind, comment)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [projectId, author, kind, comment]
+  );
+  return result.rows[0];
+};
+
+const getReviews = async (projectId) => {
+  const result = await pool.query(
+    `SELECT * FROM project_reviews
+     WHERE project_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [projectId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  REVIEW_KINDS,
+  DECISION_KINDS,
+  MAX_COMMENT_LENGTH,
+  addReview,
+  getReviews
+};
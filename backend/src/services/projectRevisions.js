@@ -0,0 +1,124 @@
+const pool = require('../db/pool');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'location',
+  'images',
+  'price',
+  'goal',
+  'token_price',
+  'min_investment',
+  'property_type'
+];
+
+// The terms investors buy under; only these are locked once a project is past review
+const FINANCIAL_FIELDS = ['price', 'goal', 'token_price', 'min_investment'];
+const TERMS_EDITABLE_STATUSES = ['pending', 'rejected', 'approved'];
+
+const sameValue = (field, current, next) => {
+  if (FINANCIAL_FIELDS.includes(field)) {
+    return current !== null && parseFloat(current) === parseFloat(next);
+  }
+  if (field === 'images') {
+    return JSON.stringify(current || []) === JSON.stringify(next);
+  }
+  return current === next;
+};
+
+const snapshotProject = (project) =>
+  Object.fromEntries(EDITABLE_FIELDS.map(field => [field, project[field] ?? null]));
+
+// Omitted and null fields keep their current value, matching PUT /projects/:id
+const getChangedFields = (project, updates) =>
+  EDITABLE_FIELDS.filter(field =>
+    updates[field] !== undefined && updates[field] !== null && !sameValue(field, project[field], updates[field])
+  );
+
+const getLockedFields = (project, fields) =>
+  TERMS_EDITABLE_STATUSES.includes(project.status)
+    ? []
+    : fields.filter(field => FINANCIAL_FIELDS.includes(field));
+
+// Terms are fixed for good once the project exists on chain or an investor has paid under them,
+// whatever its status; not even an admin override can change them then
+const hasBindingTerms = async (db, project) => {
+  if (project.chain_project_id) {
+    return true;
+  }
+  const result = await db.query(
+    "SELECT 1 FROM investments WHERE project_id = $1 AND status = 'confirmed' LIMIT 1",
+    [project.id]
+  );
+  return result.rows.length > 0;
+};
+
+const recordRevision = async (db, { projectId, editor, changes, snapshot, reason = null }) => {
+  const result = await db.query(
+    `INSERT INTO project_revisions (project_id, version, editor_wallet, changes, snapshot, reason)
+     VALUES (
+       $1,
+       (SELECT COALESCE(MAX(version), 0) + 1 FROM project_revisions WHERE project_id = $1),
+       $2, $3, $4, $5
+     )
+     RETURNING *`,
+    [projectId, editor, JSON.stringify(changes), JSON.stringify(snapshot), reason]
+  );
+  return result.rows[0];
+};
+
+// Expects the project row to be locked by the caller's transaction. Resolves to the updated
+// project and its new revision, or a null revision when nothing changed.
+const applyProjectEdit = async (client, project, updates, { editor, reason = null }) => {
+  const fields = getChangedFields(project, updates);
+  if (fields.length === 0) {
+    return { project, revision: null };
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+  const result = await client.query(
+    `UPDATE projects
+     SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${fields.length + 1}
+     RETURNING *`,
+    [...fields.map(field => updates[field]), project.id]
+  );
+  const updated = result.rows[0];
+
+  const changes = Object.fromEntries(
+    fields.map(field => [field, { from: project[field] ?? null, to: updated[field] ?? null }])
+  );
+
+  const revision = await recordRevision(client, {
+    projectId: project.id,
+    editor,
+    changes,
+    snapshot: snapshotProject(updated),
+    reason
+  });
+
+  return { project: updated, revision };
+};
+
+const getRevisions = async (projectId) => {
+  const result = await pool.query(
+    `SELECT * FROM project_revisions
+     WHERE project_id = $1
+     ORDER BY version DESC`,
+    [projectId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  FINANCIAL_FIELDS,
+  TERMS_EDITABLE_STATUSES,
+  snapshotProject,
+  getChangedFields,
+  getLockedFields,
+  hasBindingTerms,
+  recordRevision,
+  applyProjectEdit,
+  getRevisions
+};
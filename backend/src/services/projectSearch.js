@@ -0,0 +1,191 @@
+const pool = require('../db/pool');
+const { PROPERTY_TYPES } = require('propertyblock-shared');
+const { PROJECT_STATUSES } = require('./projectStatus');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Must match the expression indexed by migration 006_project_search
+const SEARCH_DOCUMENT = `(
+  setweight(to_tsvector('simple', COALESCE(p.name, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(p.description, '')), 'B')
+)`;
+
+const FUNDING_PERCENT = 'COALESCE(COALESCE(p.current_funding, 0) * 100 / NULLIF(COALESCE(p.hard_cap, p.goal), 0), 0)';
+
+// Keyset pagination orders by the sort expression, then id, so every cursor position is unique
+const SORTS = {
+  newest: { expression: () => 'p.created_at', type: 'timestamp', direction: 'DESC' },
+  oldest: { expression: () => 'p.created_at', type: 'timestamp', direction: 'ASC' },
+  progress: { expression: () => FUNDING_PERCENT, type: 'numeric', direction: 'DESC' },
+  price_asc: { expression: () => 'COALESCE(p.price, 0)', type: 'numeric', direction: 'ASC' },
+  price_desc: { expression: () => 'COALESCE(p.price, 0)', type: 'numeric', direction: 'DESC' },
+  relevance: {
+    expression: (search) => `ts_rank(${SEARCH_DOCUMENT}, websearch_to_tsquery('simple', ${search}))`,
+    type: 'real',
+    direction: 'DESC',
+    requiresSearch: true
+  }
+};
+
+const SEARCH_QUERY_SCHEMA = {
+  status: { type: 'list', items: { type: 'string', lowercase: true, oneOf: PROJECT_STATUSES } },
+  q: { type: 'string', maxLength: 200 },
+  location: { type: 'string', maxLength: 255 },
+  property_type: { type: 'string', lowercase: true, oneOf: PROPERTY_TYPES },
+  min_ticket: { type: 'number', min: 0 },
+  max_ticket: { type: 'number', min: 0 },
+  min_funded: { type: 'number', min: 0 },
+  max_funded: { type: 'number', min: 0 },
+  sort: { type: 'string', oneOf: Object.keys(SORTS) },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+  cursor: { type: 'string', maxLength: 512 }
+};
+
+const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return cursorSort === sort && typeof value === 'string' && Number.isInteger(id) ? { value, id } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Turns a query validated against SEARCH_QUERY_SCHEMA into search options, or { errors } when
+// the sort or cursor does not fit the rest of the query
+const parseSearchParams = (query) => {
+  const sort = query.sort || (query.q ? 'relevance' : 'newest');
+  if (SORTS[sort].requiresSearch && !query.q) {
+    return { errors: [{ field: 'sort', message: 'Sorting by relevance requires a search query' }] };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { errors: [{ field: 'cursor', message: 'Invalid cursor' }] };
+    }
+  }
+
+  return {
+    filters: {
+      statuses: query.status || [],
+      location: query.location,
+      propertyType: query.property_type,
+      search: query.q,
+      min_ticket: query.min_ticket,
+      max_ticket: query.max_ticket,
+      min_funded: query.min_funded,
+      max_funded: query.max_funded
+    },
+    sort,
+    limit: query.limit,
+    cursor
+  };
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Builds the WHERE conditions for every filter except status, which is applied separately
+// so per-status counts can be reported for the rest of the query
+const buildConditions = (filters, addParam) => {
+  const conditions = ['p.deleted_at IS NULL'];
+
+  if (filters.location) {
+    conditions.push(`p.location ILIKE ${addParam(`%${escapeLike(filters.location)}%`)}`);
+  }
+  if (filters.propertyType) {
+    conditions.push(`p.property_type = ${addParam(filters.propertyType)}`);
+  }
+  if (filters.min_ticket !== undefined) {
+    conditions.push(`p.min_investment >= ${addParam(filters.min_ticket)}`);
+  }
+  if (filters.max_ticket !== undefined) {
+    conditions.push(`COALESCE(p.min_investment, 0) <= ${addParam(filters.max_ticket)}`);
+  }
+  if (filters.min_funded !== undefined) {
+    conditions.push(`${FUNDING_PERCENT} >= ${addParam(filters.min_funded)}`);
+  }
+  if (filters.max_funded !== undefined) {
+    conditions.push(`${FUNDING_PERCENT} <= ${addParam(filters.max_funded)}`);
+  }
+  if (filters.search) {
+    conditions.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', ${addParam(filters.search)})`);
+  }
+
+  return conditions;
+};
+
+const paramCollector = () => {
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { params, addParam };
+};
+
+const searchProjects = async ({ filters, sort, limit, cursor }) => {
+  const sortSpec = SORTS[sort];
+
+  const counts = paramCollector();
+  const countConditions = buildConditions(filters, counts.addParam);
+  const countResult = await pool.query(
+    `SELECT p.status, COUNT(*)::int AS count
+     FROM projects p
+     ${countConditions.length > 0 ? `WHERE ${countConditions.join(' AND ')}` : ''}
+     GROUP BY p.status`,
+    counts.params
+  );
+
+  const statusCounts = Object.fromEntries(countResult.rows.map(row => [row.status, row.count]));
+  const total = countResult.rows
+    .filter(row => filters.statuses.length === 0 || filters.statuses.includes(row.status))
+    .reduce((sum, row) => sum + row.count, 0);
+
+  const page = paramCollector();
+  const conditions = buildConditions(filters, page.addParam);
+  if (filters.statuses.length > 0) {
+    conditions.push(`p.status = ANY(${page.addParam(filters.statuses)}::varchar[])`);
+  }
+
+  const sortExpression = sortSpec.expression(sortSpec.requiresSearch ? page.addParam(filters.search) : null);
+  const comparison = sortSpec.direction === 'DESC' ? '<' : '>';
+
+  if (cursor) {
+    conditions.push(
+      `(${sortExpression}, p.id) ${comparison} (${page.addParam(cursor.value)}::${sortSpec.type}, ${page.addParam(cursor.id)}::int)`
+    );
+  }
+
+  const result = await pool.query(
+    `SELECT p.*,
+            ROUND(${FUNDING_PERCENT}, 2) AS funding_percent,
+            (${sortExpression})::text AS sort_key
+     FROM projects p
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${sortExpression} ${sortSpec.direction}, p.id ${sortSpec.direction}
+     LIMIT ${page.addParam(limit + 1)}`,
+    page.params
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = result.rows.length > limit ? encodeCursor(sort, last.sort_key, last.id) : null;
+
+  return {
+    projects: rows.map(({ sort_key, ...project }) => project),
+    total,
+    status_counts: statusCounts,
+    next_cursor: nextCursor
+  };
+};
+
+module.exports = {
+  SEARCH_QUERY_SCHEMA,
+  parseSearchParams,
+  searchProjects
+};
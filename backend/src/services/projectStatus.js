@@ -0,0 +1,129 @@
+const pool = require('../db/pool');
+const { withTransaction } = require('../db/transaction');
+
+// Review states come first, then IProjectLifecycle.ProjectStatus in contract order.
+// funded is still MINTING on chain; the investment ledger enters it once the hard cap is reached.
+const PROJECT_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  rejected: ['pending'],
+  approved: ['minting', 'funded', 'cancelled'],
+  minting: ['funded', 'building', 'cancelled'],
+  funded: ['building', 'cancelled'],
+  building: ['trading', 'cancelled'],
+  trading: ['final_sale', 'cancelled'],
+  final_sale: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const PROJECT_STATUSES = Object.keys(PROJECT_TRANSITIONS);
+
+const COMPLETED_MILESTONE_STATUSES = ['verified', 'paid'];
+
+// Each rule resolves to the reason the project cannot enter that status, or null
+const TRANSITION_RULES = {
+  approved: async (project) =>
+    project.chain_project_id ? null : 'Projects are approved through the approve endpoint, which links them on chain',
+
+  funded: async (project) => {
+    const cap = project.hard_cap || project.goal;
+    return cap && parseFloat(project.current_funding || 0) >= parseFloat(cap) ? null : 'Hard cap has not been reached';
+  },
+
+  building: async (project, db) => {
+    if (project.soft_cap === null) {
+      return 'Project has no soft cap';
+    }
+    if (parseFloat(project.current_funding || 0) < parseFloat(project.soft_cap)) {
+      return 'Soft cap has not been met';
+    }
+    const milestones = await db.query('SELECT COUNT(*) AS count FROM milestones WHERE project_id = $1', [project.id]);
+    return parseInt(milestones.rows[0].count, 10) > 0 ? null : 'Project has no milestones';
+  },
+
+  trading: async (project, db) => {
+    const open = await db.query(
+      'SELECT COUNT(*) AS count FROM milestones WHERE project_id = $1 AND status <> ALL($2::varchar[])',
+      [project.id, COMPLETED_MILESTONE_STATUSES]
+    );
+    return parseInt(open.rows[0].count, 10) === 0 ? null : 'All milestones must be completed';
+  },
+
+  completed: async (project, db) => {
+    const distribution = await db.query(
+      `SELECT 1 FROM chain_events
+       WHERE event_name = 'DistributionInitiated' AND project_id = $1
+       LIMIT 1`,
+      [project.chain_project_id]
+    );
+    return distribution.rows.length > 0 ? null : 'Profit distribution has not been initiated';
+  }
+};
+
+const checkTransition = async (project, to, db = pool) => {
+  if (!PROJECT_STATUSES.includes(to)) {
+    return `Status must be one of: ${PROJECT_STATUSES.join(', ')}`;
+  }
+
+  if (!(PROJECT_TRANSITIONS[project.status] || []).includes(to)) {
+    return `Cannot change status from ${project.status} to ${to}`;
+  }
+
+  const rule = TRANSITION_RULES[to];
+  return rule ? rule(project, db) : null;
+};
+
+const recordStatusChange = (db, { projectId, from, to, actor = null, reason = null }) =>
+  db.query(
+    `INSERT INTO project_status_history (project_id, from_status, to_status, actor_wallet, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [projectId, from, to, actor, reason]
+  );
+
+// Resolves to { project, previous } on success, or { error, notFound } when the transition is refused
+const transitionProject = (projectId, to, { actor, reason = null }) =>
+  withTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [projectId]);
+    const project = result.rows[0];
+
+    if (!project) {
+      return { error: 'Project not found', notFound: true };
+    }
+
+    const refusal = await checkTransition(project, to, client);
+    if (refusal) {
+      return { error: refusal };
+    }
+
+    const updated = await client.query(
+      `UPDATE projects SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [to, projectId]
+    );
+
+    await recordStatusChange(client, { projectId, from: project.status, to, actor, reason });
+
+    return { project: updated.rows[0], previous: project };
+  });
+
+const getStatusHistory = async (projectId) => {
+  const result = await pool.query(
+    `SELECT id, from_status, to_status, actor_wallet, reason, created_at
+     FROM project_status_history
+     WHERE project_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [projectId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  PROJECT_STATUSES,
+  PROJECT_TRANSITIONS,
+  COMPLETED_MILESTONE_STATUSES,
+  checkTransition,
+  recordStatusChange,
+  transitionProject,
+  getStatusHistory
+};
@@ -0,0 +1,30 @@
+const pool = require('../db/pool');
+
+// users.role stays the ADMIN/INVESTOR role decided at sign-up; contract roles are granted on top of it
+const GRANTABLE_ROLES = ['VERIFIER', 'CONTRACTOR', 'PROJECT_ADMIN', 'TREASURY'];
+// Treasury manages platform-wide fees and escrow, so it cannot be limited to a single project
+const GLOBAL_ONLY_ROLES = ['TREASURY'];
+
+const getUserRoles = async (wallet) => {
+  const result = await pool.query(
+    `SELECT role, NULL::int AS project_id FROM users WHERE wallet = $1
+     UNION ALL
+     SELECT role, project_id FROM user_roles WHERE wallet = $1`,
+    [wallet]
+  );
+  return result.rows;
+};
+
+// Admins pass every role check; unscoped grants apply to every project
+const hasRole = (roles, role, projectId = null) =>
+  roles.some(r =>
+    r.role === 'ADMIN' ||
+    (r.role === role && (r.project_id === null || (projectId !== null && String(r.project_id) === String(projectId))))
+  );
+
+module.exports = {
+  GRANTABLE_ROLES,
+  GLOBAL_ONLY_ROLES,
+  getUserRoles,
+  hasRole
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const pool = require('../db/pool');
+const { config } = require('../config');
+const { getUserRoles } = require('./roles');
+
+const getRefreshTokenTtlMs = () => config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>"; only the hash of the secret is stored
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return isUuid(sessionId || '') && secret ? { sessionId, secret } : null;
+};
+
+// 'current' when the secret is the latest one issued for a live session, 'reused' when the session is live
+// but the secret has already been rotated, null when the session cannot be used at all
+const checkRefreshToken = (session, secret, now = new Date()) => {
+  if (!session || session.revoked_at || new Date(session.expires_at) <= now) {
+    return null;
+  }
+  return hashToken(secret) === session.refresh_token_hash ? 'current' : 'reused';
+};
+
+const loadSession = async (sessionId) => {
+  const result = await pool.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+  return result.rows[0] || null;
+};
+
+const issueTokens = async (wallet, sessionId, secret) => {
+  const result = await pool.query('SELECT wallet, role FROM users WHERE wallet = $1', [wallet]);
+  const user = result.rows[0];
+  const roles = await getUserRoles(wallet);
+
+  const token = jwt.sign(
+    {
+      wallet: user.wallet,
+      role: user.role,
+      roles,
+      sid: sessionId
+    },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.accessTokenTtl }
+  );
+
+  return {
+    token,
+    refreshToken: `${sessionId}.${secret}`,
+    user: {
+      wallet: user.wallet,
+      role: user.role,
+      roles
+    }
+  };
+};
+
+const createSession = async (wallet, { userAgent = null, ip = null } = {}) => {
+  const sessionId = uuidv4();
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    `INSERT INTO sessions (id, wallet, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [sessionId, wallet, hashToken(secret), userAgent, ip, new Date(Date.now() + getRefreshTokenTtlMs())]
+  );
+
+  return issueTokens(wallet, sessionId, secret);
+};
+
+const revokeSession = async (sessionId, reason) => {
+  await pool.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+};
+
+// Returns null when the refresh token is unknown, expired, revoked or has already been used
+const rotateSession = async (refreshToken) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) {
+    return null;
+  }
+
+  const session = await loadSession(parts.sessionId);
+  const state = checkRefreshToken(session, parts.secret);
+  if (!state) {
+    return null;
+  }
+
+  if (state === 'current') {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const rotated = await pool.query(
+      `UPDATE sessions
+       SET refresh_token_hash = $1, last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+       RETURNING id`,
+      [hashToken(secret), session.id, hashToken(parts.secret)]
+    );
+    if (rotated.rows.length > 0) {
+      return issueTokens(session.wallet, session.id, secret);
+    }
+  }
+
+  // An older token from this session means it was copied, so neither copy can be trusted
+  await revokeSession(session.id, 'refresh_token_reuse');
+  return null;
+};
+
+// Logging out needs the current refresh token, not just its session id
+const endSession = async (refreshToken) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) {
+    return false;
+  }
+
+  const session = await loadSession(parts.sessionId);
+  if (checkRefreshToken(session, parts.secret) !== 'current') {
+    return false;
+  }
+
+  await revokeSession(session.id, 'logout');
+  return true;
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!isUuid(sessionId || '')) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `SELECT 1 FROM sessions
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [sessionId]
+  );
+  return result.rows.length > 0;
+};
+
+const revokeAllSessions = async (wallet, reason) => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE wallet = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, wallet]
+  );
+  return result.rows.length;
+};
+
+module.exports = {
+  splitRefreshToken,
+  checkRefreshToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  endSession,
+  revokeAllSessions,
+  isSessionActive
+};
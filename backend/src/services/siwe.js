@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+const { config } = require('../config');
+
+// EIP-4361 (Sign-In with Ethereum) message parsing and validation
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// Tolerates wallets whose clock runs slightly ahead of ours
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const getSiweDomain = () => config.auth.siweDomain;
+
+const getNonceTtlMs = () => config.auth.siweNonceTtlMs;
+
+const generateNonce = () => ethers.hexlify(ethers.randomBytes(16)).slice(2);
+
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('Message must be a string');
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Not a Sign-In with Ethereum message');
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''),
+    address: lines[1],
+    resources: []
+  };
+
+  if (!ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+    throw new Error('Address must be EIP-55 checksummed');
+  }
+
+  const statementLines = [];
+  let inResources = false;
+
+  for (const line of lines.slice(2)) {
+    if (inResources) {
+      if (!line.startsWith('- ')) throw new Error('Malformed resources list');
+      fields.resources.push(line.slice(2));
+      continue;
+    }
+
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = separator > 0 ? FIELDS[line.slice(0, separator)] : undefined;
+
+    if (key) {
+      if (fields[key] !== undefined) throw new Error(`Duplicate field: ${line.slice(0, separator)}`);
+      fields[key] = line.slice(separator + 2);
+    } else if (fields.uri === undefined) {
+      statementLines.push(line);
+    } else if (line !== '') {
+      throw new Error(`Unexpected line: ${line}`);
+    }
+  }
+
+  const statement = statementLines.join('\n').trim();
+  fields.statement = statement || null;
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (fields[required] === undefined) {
+      throw new Error(`Missing field: ${required}`);
+    }
+  }
+
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Nonce must be at least 8 alphanumeric characters');
+  }
+
+  fields.chainId = parseInt(fields.chainId, 10);
+  return fields;
+};
+
+const parseTime = (value, name) => {
+  const time = new Date(value).getTime();
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return time;
+};
+
+// Returns the reason a parsed message must be rejected, or null when it is acceptable
+const validateSiweMessage = (fields, { domain, chainId, nonce, now = Date.now() }) => {
+  if (fields.version !== '1') {
+    return 'Unsupported message version';
+  }
+
+  if (fields.domain !== domain) {
+    return 'Message was signed for a different domain';
+  }
+
+  let uriHost;
+  try {
+    uriHost = new URL(fields.uri).host;
+  } catch (err) {
+    return 'Invalid URI';
+  }
+  if (uriHost !== domain) {
+    return 'URI does not match the signing domain';
+  }
+
+  if (fields.chainId !== chainId) {
+    return 'Message was signed for a different chain';
+  }
+
+  if (fields.nonce !== nonce) {
+    return 'Nonce does not match';
+  }
+
+  try {
+    if (parseTime(fields.issuedAt, 'issued-at time') > now + MAX_CLOCK_SKEW_MS) {
+      return 'Message is issued in the future';
+    }
+    if (fields.expirationTime && parseTime(fields.expirationTime, 'expiration time') <= now) {
+      return 'Message has expired';
+    }
+    if (fields.notBefore && parseTime(fields.notBefore, 'not-before time') > now + MAX_CLOCK_SKEW_MS) {
+      return 'Message is not valid yet';
+    }
+  } catch (err) {
+    return err.message;
+  }
+
+  return null;
+};
+
+module.exports = {
+  getSiweDomain,
+  getNonceTtlMs,
+  generateNonce,
+  parseSiweMessage,
+  validateSiweMessage
+};
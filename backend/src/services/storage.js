@@ -0,0 +1,81 @@
+const { config } = require('../config');
+const { computeCid } = require('./cid');
+
+/**
+ * Where content is published once it is stored. Files are always kept in UPLOAD_DIR and DOCUMENT_DIR
+ * and addressed by their CID; a backend decides whether they are also pinned somewhere.
+ *
+ * @typedef {Object} StorageBackend
+ * @property {string} name
+ * @property {(buffer: Buffer, filename: string) => Promise<{ cid: string, pinned: boolean }>} publish
+ */
+
+/** @type {StorageBackend} CIDs are computed but nothing leaves the server */
+const localBackend = {
+  name: 'local',
+  publish: async (buffer) => ({ cid: computeCid(buffer), pinned: false })
+};
+
+// Adds and pins through the Kubo RPC API. The node must use Kubo's defaults for CIDv1 files, which
+// is checked by comparing the CID it returns with the one computed here.
+const createIpfsBackend = ({ ipfsApiUrl, ipfsApiToken, ipfsTimeoutMs }) => ({
+  name: 'ipfs',
+  publish: async (buffer, filename) => {
+    const cid = computeCid(buffer);
+    const form = new FormData();
+    form.append('file', new Blob([buffer]), filename);
+
+    const response = await fetch(`${ipfsApiUrl}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, {
+      method: 'POST',
+      body: form,
+      headers: ipfsApiToken ? { Authorization: `Bearer ${ipfsApiToken}` } : {},
+      signal: AbortSignal.timeout(ipfsTimeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`IPFS node answered ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+
+    // One JSON line per added entry; the file is the last one
+    const added = JSON.parse((await response.text()).trim().split('\n').pop());
+    if (added.Hash !== cid) {
+      throw new Error(`IPFS node returned CID ${added.Hash}, expected ${cid}`);
+    }
+    return { cid, pinned: true };
+  }
+});
+
+const BACKENDS = {
+  local: () => localBackend,
+  ipfs: createIpfsBackend
+};
+
+let backend = null;
+
+/** @returns {StorageBackend} the backend selected by STORAGE_BACKEND */
+const getStorageBackend = () => {
+  if (!backend) {
+    backend = BACKENDS[config.storage.backend](config.storage);
+  }
+  return backend;
+};
+
+// Resolves to { cid, pinned }, or { error, status } when the backend cannot take the content
+const publishContent = async (buffer, filename) => {
+  try {
+    return await getStorageBackend().publish(buffer, filename);
+  } catch (error) {
+    console.error('Publish content error:', error);
+    return { status: 502, error: 'Could not pin the file to IPFS; try again later' };
+  }
+};
+
+const ipfsUri = (cid) => `ipfs://${cid}`;
+
+const gatewayUrl = (cid) => `${config.storage.ipfsGatewayUrl}/ipfs/${cid}`;
+
+module.exports = {
+  getStorageBackend,
+  publishContent,
+  ipfsUri,
+  gatewayUrl
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db/pool');
+const { config } = require('../config');
+const { withTransaction } = require('../db/transaction');
+const { RENDITION_FORMATS, processImage } = require('./imagePipeline');
+const { publishContent } = require('./storage');
+
+// The file type is taken from the leading bytes, never from the client's mimetype or file name
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/jpeg', extension: '.jpg', matches: (bytes) => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { contentType: 'image/png', extension: '.png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/gif', extension: '.gif', matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')) },
+  { contentType: 'image/webp', extension: '.webp', matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+// Images of projects past review cannot be deleted, since investors rely on the listing
+const UNREVIEWED_STATUSES = ['pending', 'rejected'];
+
+const detectImageType = (buffer) => IMAGE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+
+const getQuotaBytes = () => config.uploadQuotaMb * 1024 * 1024;
+
+// Stored names are generated here, so the client's file name never reaches the filesystem.
+// Renditions share the stem: project-<time>-<random>-card.webp
+const generateStem = () => `project-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+
+// Kept for reference only; directory parts and control characters are dropped
+const cleanOriginalName = (name) =>
+  path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f]/g, '').slice(0, 255) || null;
+
+// Resolves a stored file name inside the upload directory, or null if it would point anywhere else
+const resolveUploadPath = (filename) => {
+  const canonical = path.basename(String(filename).normalize('NFC'));
+  if (canonical !== filename || canonical.startsWith('.')) {
+    return null;
+  }
+  const filepath = path.resolve(config.uploadDir, canonical);
+  return path.dirname(filepath) === config.uploadDir ? filepath : null;
+};
+
+// The original and every rendition of an upload
+const storedFiles = (upload) => [upload.filename, ...(upload.renditions || []).map(rendition => rendition.filename)];
+
+const removeStoredFiles = async (upload) => {
+  for (const filename of storedFiles(upload)) {
+    const filepath = resolveUploadPath(filename);
+    if (!filepath) continue;
+    try {
+      await fs.promises.unlink(filepath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+// The stored file name of an /uploads/ URL; external image URLs resolve to null
+const uploadedFilename = (url) => {
+  const match = /\/uploads\/([^/?#]+)$/.exec(url || '');
+  return match ? path.basename(match[1]) : null;
+};
+
+// Images and project documents both count towards a wallet's quota
+const getStorageUsed = async (db, wallet) => {
+  const result = await db.query(
+    `SELECT (SELECT COALESCE(SUM(size_bytes), 0) FROM uploads WHERE owner_wallet = $1) +
+            (SELECT COALESCE(SUM(size_bytes), 0) FROM project_documents WHERE uploaded_by = $1) AS used`,
+    [wallet]
+  );
+  return parseInt(result.rows[0].used, 10);
+};
+
+// Runs fn(client) in a transaction if `incoming` more bytes fit in the wallet's quota, and resolves
+// to its result or to { error, status }. Stores by the same wallet are serialised so concurrent
+// requests cannot overshoot the quota.
+const withinStorageQuota = (wallet, incoming, fn) =>
+  withTransaction(async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('uploads:' || $1))", [wallet]);
+
+    const used = await getStorageUsed(client, wallet);
+    if (used + incoming > getQuotaBytes()) {
+      return {
+        status: 413,
+        error: `Upload quota of ${config.uploadQuotaMb} MB exceeded (${(used / 1024 / 1024).toFixed(1)} MB used)`
+      };
+    }
+    return fn(client);
+  });
+
+// Resolves to { error, status } when the project cannot take uploads from this wallet
+const checkProjectLink = async (projectId, user) => {
+  const result = await pool.query('SELECT owner_wallet FROM projects WHERE id = $1 AND deleted_at IS NULL', [projectId]);
+  const project = result.rows[0];
+  if (!project) {
+    return { status: 404, error: 'Project not found' };
+  }
+  if (user.role !== 'ADMIN' && project.owner_wallet !== user.wallet) {
+    return { status: 403, error: 'Not authorized to upload images for this project' };
+  }
+  return null;
+};
+
+// Checks the content of each buffered file and renders its renditions, then publishes the originals
+// to the storage backend and records and writes them all or none. Resolves to { uploads } or { error, status }.
+const storeUploads = async (files, { user, projectId = null }) => {
+  if (projectId !== null) {
+    const linkError = await checkProjectLink(projectId, user);
+    if (linkError) return linkError;
+  }
+
+  const processed = [];
+  for (const file of files) {
+    const name = cleanOriginalName(file.originalname) || 'File';
+    const type = detectImageType(file.buffer);
+    if (!type) {
+      return { status: 400, error: `${name} is not a JPEG, PNG, WebP or GIF image` };
+    }
+
+    try {
+      processed.push({ file, type, image: await processImage(file.buffer, type.contentType) });
+    } catch (error) {
+      return { status: 400, error: `${name} could not be read as an image` };
+    }
+  }
+
+  const sizeOf = ({ image }) => image.original.length + image.renditions.reduce((sum, rendition) => sum + rendition.buffer.length, 0);
+  const incoming = processed.reduce((sum, upload) => sum + sizeOf(upload), 0);
+
+  const written = [];
+  try {
+    return await withinStorageQuota(user.wallet, incoming, async (client) => {
+      // Before anything is written, so a failed pin leaves nothing behind
+      for (const upload of processed) {
+        upload.stem = generateStem();
+        upload.published = await publishContent(upload.image.original, `${upload.stem}${upload.type.extension}`);
+        if (upload.published.error) return upload.published;
+      }
+
+      const uploads = [];
+      for (const upload of processed) {
+        const { file, type, image, stem, published } = upload;
+        const stored = [
+          { filename: `${stem}${type.extension}`, buffer: image.original },
+          ...image.renditions.map(rendition => ({ ...rendition, filename: `${stem}-${rendition.name}.${rendition.format}` }))
+        ];
+
+        for (const { filename, buffer } of stored) {
+          const filepath = resolveUploadPath(filename);
+          await fs.promises.writeFile(filepath, buffer, { flag: 'wx' });
+          written.push(filepath);
+        }
+
+        const renditions = stored.slice(1).map(({ name, format, width, height, filename }) => ({ name, format, width, height, filename }));
+        const result = await client.query(
+          `INSERT INTO uploads (filename, owner_wallet, project_id, content_type, size_bytes, original_name, width, height, blurhash, renditions,
+                                cid, pinned_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $12 THEN CURRENT_TIMESTAMP END)
+           RETURNING *`,
+          [
+            stored[0].filename,
+            user.wallet,
+            projectId,
+            type.contentType,
+            sizeOf(upload),
+            cleanOriginalName(file.originalname),
+            image.width,
+            image.height,
+            image.blurhash,
+            JSON.stringify(renditions),
+            published.cid,
+            published.pinned
+          ]
+        );
+        uploads.push(result.rows[0]);
+      }
+      return { uploads };
+    });
+  } catch (error) {
+    await Promise.all(written.map(filepath => fs.promises.unlink(filepath).catch(() => {})));
+    throw error;
+  }
+};
+
+// Resolves to { upload } once the file is gone, or { error, status }
+const deleteUpload = async (filename, user) => {
+  const result = await withTransaction(async (client) => {
+    if (!resolveUploadPath(filename)) {
+      return { status: 404, error: 'Image not found' };
+    }
+
+    const result = await client.query('SELECT * FROM uploads WHERE filename = $1 FOR UPDATE', [filename]);
+    const upload = result.rows[0];
+
+    if (!upload) {
+      return { status: 404, error: 'Image not found' };
+    }
+    if (user.role !== 'ADMIN' && upload.owner_wallet !== user.wallet) {
+      return { status: 403, error: 'Not authorized to delete this image' };
+    }
+
+    const referenced = await client.query(
+      `SELECT id FROM projects
+       WHERE deleted_at IS NULL
+         AND status <> ALL($2)
+         AND EXISTS (SELECT 1 FROM unnest(images) AS image WHERE substring(image FROM '/uploads/([^/?#]+)$') = $1)
+       ORDER BY id
+       LIMIT 1`,
+      [filename, UNREVIEWED_STATUSES]
+    );
+    if (referenced.rows.length > 0) {
+      return { status: 409, error: `Image is used by approved project ${referenced.rows[0].id} and cannot be deleted` };
+    }
+
+    await client.query('DELETE FROM uploads WHERE id = $1', [upload.id]);
+    return { upload };
+  });
+
+  // Only once the row is gone for good, so a rolled back delete never loses the files
+  if (result.upload) {
+    await removeStoredFiles(result.upload);
+  }
+  return result;
+};
+
+/**
+ * What the frontend needs to render an uploaded image responsively. Rendition URLs are built from
+ * the given URL of the original, so they point at the same host.
+ *
+ * @returns {{ url: string, cid: ?string, width: ?number, height: ?number, blurhash: ?string, thumbnail: string,
+ *   srcset: Object<string, string> }} srcset per format (avif, webp), e.g. "…-thumb.webp 320w, …-card.webp 640w";
+ *   cid of the original, null for uploads stored before CIDs were recorded
+ */
+const toImageDetails = (upload, url = `/uploads/${upload.filename}`) => {
+  const base = url.slice(0, url.length - upload.filename.length);
+  const renditions = upload.renditions || [];
+  const thumbnail = renditions.find(rendition => rendition.format === 'webp');
+
+  return {
+    url,
+    cid: upload.cid || null,
+    width: upload.width,
+    height: upload.height,
+    blurhash: upload.blurhash,
+    thumbnail: thumbnail ? `${base}${thumbnail.filename}` : url,
+    srcset: Object.fromEntries(RENDITION_FORMATS.map(({ format }) => [
+      format,
+      renditions
+        .filter(rendition => rendition.format === format)
+        .map(rendition => `${base}${rendition.filename} ${rendition.width}w`)
+        .join(', ')
+    ]))
+  };
+};
+
+// Adds image_details to each project, one entry per image: toImageDetails() for uploads with
+// renditions and null for external URLs and files uploaded before renditions existed
+const attachImageDetails = async (projects) => {
+  const filenames = projects.flatMap(project => (project.images || []).map(uploadedFilename).filter(Boolean));
+  const result = filenames.length > 0
+    ? await pool.query("SELECT * FROM uploads WHERE filename = ANY($1) AND renditions <> '[]'::jsonb", [filenames])
+    : { rows: [] };
+  const byFilename = new Map(result.rows.map(upload => [upload.filename, upload]));
+
+  return projects.map(project => ({
+    ...project,
+    image_details: (project.images || []).map(url => {
+      const upload = byFilename.get(uploadedFilename(url));
+      return upload ? toImageDetails(upload, url) : null;
+    })
+  }));
+};
+
+// Attaches the wallet's unlinked uploads used in a project's images to that project
+const linkUploads = async (client, { projectId, wallet, images }) => {
+  const filenames = (images || []).map(uploadedFilename).filter(Boolean);
+  if (filenames.length === 0) return;
+
+  await client.query(
+    `UPDATE uploads SET project_id = $1
+     WHERE owner_wallet = $2 AND project_id IS NULL AND filename = ANY($3)`,
+    [projectId, wallet, filenames]
+  );
+};
+
+module.exports = {
+  cleanOriginalName,
+  uploadedFilename,
+  removeStoredFiles,
+  toImageDetails,
+  attachImageDetails,
+  withinStorageQuota,
+  storeUploads,
+  deleteUpload,
+  linkUploads
+};
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakePool } = require('./helpers');
+const { audit } = require('../src/middleware/audit');
+
+// Runs the middleware, then answers like a route would; resolves once the response is sent
+const respond = (details, body) => new Promise((resolve) => {
+  const req = { params: { id: '4' }, user: { wallet: '0xaa', role: 'ADMIN' }, ip: '127.0.0.1', id: 'req-1' };
+  const res = {
+    statusCode: 200,
+    locals: { audit: details },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(sent) {
+      resolve({ status: this.statusCode, body: sent });
+      return this;
+    }
+  };
+  audit('project.approve', 'project')(req, res, () => res.json(body));
+});
+
+test('sends the response once the audit entry is written', async () => {
+  const queries = [];
+  fakePool.handler = async (sql, params) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  };
+
+  assert.deepEqual(await respond({ before: { status: 'pending' }, after: { status: 'approved' } }, { ok: true }), { status: 200, body: { ok: true } });
+  const insert = queries.find(query => query.sql.includes('INSERT INTO audit_log'));
+  assert.deepEqual(insert.params.slice(0, 7), ['0xaa', 'ADMIN', 'project.approve', 'project', '4', '{"status":"pending"}', '{"status":"approved"}']);
+  assert.ok(queries.some(query => query.sql === 'COMMIT'));
+});
+
+test('answers 500 instead of the success response when the audit entry cannot be written', async () => {
+  fakePool.handler = async (sql) => {
+    if (sql.includes('INSERT INTO audit_log')) throw new Error('connection lost');
+    return { rows: [] };
+  };
+
+  assert.deepEqual(await respond({}, { ok: true }), { status: 500, body: { error: 'Failed to record the change in the audit log' } });
+});
+
+test('skips the audit log when the route reports no change', async () => {
+  fakePool.handler = async () => {
+    throw new Error('The audit log should not be written');
+  };
+
+  assert.deepEqual(await respond(false, { ok: true }), { status: 200, body: { ok: true } });
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakePool } = require('./helpers');
+const { appendAuditEntry, verifyAuditChain } = require('../src/services/auditLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSONB stores object keys in its own order, so stored values come back with their keys reversed
+const reverseKeys = (value) => {
+  if (Array.isArray(value)) return value.map(reverseKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).reverse().map(key => [key, reverseKeys(value[key])]));
+  }
+  return value;
+};
+
+let rows;
+
+// An in-memory audit_log table answering the queries appendAuditEntry and verifyAuditChain send
+const auditTable = async (sql, params) => {
+  if (sql.startsWith('INSERT INTO audit_log')) {
+    const [actor_wallet, actor_role, action, target_type, target_id, before, after, ip, request_id, created_at, prev_hash, hash] = params;
+    const row = {
+      id: rows.length + 1,
+      actor_wallet,
+      actor_role,
+      action,
+      target_type,
+      target_id,
+      before: reverseKeys(JSON.parse(before)),
+      after: reverseKeys(JSON.parse(after)),
+      ip,
+      request_id,
+      created_at: new Date(created_at),
+      prev_hash,
+      hash
+    };
+    rows.push(row);
+    return { rows: [row] };
+  }
+  if (sql.startsWith('SELECT hash FROM audit_log')) {
+    return { rows: rows.slice(-1) };
+  }
+  if (sql.startsWith('SELECT * FROM audit_log WHERE id >')) {
+    const [lastId, limit] = params;
+    return { rows: rows.filter(row => row.id > lastId).slice(0, limit) };
+  }
+  return { rows: [] };
+};
+
+const appendSome = async () => {
+  await appendAuditEntry({ actor: '0xaa', role: 'ADMIN', action: 'project.approve', targetType: 'project', targetId: 4, before: { status: 'pending', name: 'Loft' }, after: { status: 'approved', name: 'Loft' }, ip: '127.0.0.1', requestId: 'req-1' });
+  await appendAuditEntry({ actor: '0xbb', role: 'INVESTOR', action: 'investment.create', targetType: 'investment', targetId: '9', after: { amount: '2500', tx: { hash: '0x01', block: 12 }, at: new Date('2026-01-02T03:04:05Z') } });
+  await appendAuditEntry({ action: 'user.role.grant', targetType: 'user', targetId: '0xcc', after: { roles: [{ role: 'CONTRACTOR', project_id: 4 }] } });
+};
+
+beforeEach(() => {
+  rows = [];
+  fakePool.handler = auditTable;
+});
+
+test('each entry is chained to the hash of the one before it', async () => {
+  await appendSome();
+
+  assert.equal(rows[0].prev_hash, GENESIS_HASH);
+  assert.equal(rows[1].prev_hash, rows[0].hash);
+  assert.equal(rows[2].prev_hash, rows[1].hash);
+  assert.equal(new Set(rows.map(row => row.hash)).size, 3);
+  assert.ok(rows.every(row => /^[0-9a-f]{64}$/.test(row.hash)));
+});
+
+test('an untouched log verifies even though JSONB reorders the keys of stored values', async () => {
+  await appendSome();
+  assert.deepEqual(Object.keys(rows[0].before), ['name', 'status']);
+
+  assert.deepEqual(await verifyAuditChain(), { valid: true, checked: 3, broken_at: null });
+});
+
+test('an empty log is valid', async () => {
+  assert.deepEqual(await verifyAuditChain(), { valid: true, checked: 0, broken_at: null });
+});
+
+test('an edited entry breaks the chain at that entry', async () => {
+  await appendSome();
+  rows[1].after.amount = '25000';
+
+  assert.deepEqual(await verifyAuditChain(), { valid: false, checked: 1, broken_at: 2 });
+});
+
+test('a deleted entry breaks the chain at the entry that followed it', async () => {
+  await appendSome();
+  rows.splice(1, 1);
+
+  assert.deepEqual(await verifyAuditChain(), { valid: false, checked: 1, broken_at: 3 });
+});
+
+test('a moved timestamp breaks the chain', async () => {
+  await appendSome();
+  rows[2].created_at = new Date(rows[2].created_at.getTime() - 1000);
+
+  assert.deepEqual(await verifyAuditChain(), { valid: false, checked: 2, broken_at: 3 });
+});
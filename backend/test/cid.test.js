@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCid } = require('../src/services/cid');
+
+// Expected CIDs come from ipfs-unixfs-importer with Kubo's defaults (`ipfs add --cid-version=1`)
+const pattern = (length) => {
+  const buffer = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) buffer[i] = i % 251;
+  return buffer;
+};
+
+test('computeCid of empty input is the raw CID of no bytes', () => {
+  assert.equal(computeCid(Buffer.alloc(0)), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+});
+
+test('computeCid of one chunk is a raw leaf', () => {
+  assert.equal(computeCid(Buffer.from('hello world')), 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+  assert.equal(computeCid(pattern(262144)), 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy');
+});
+
+test('computeCid links chunks with a dag-pb node past 256 KiB', () => {
+  assert.equal(computeCid(pattern(262145)), 'bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi');
+});
+
+test('computeCid adds a tree level past 174 chunks', () => {
+  assert.equal(computeCid(pattern(175 * 262144)), 'bafybeie73j3heycdgkdsehpoe6cxh2y3iywtf6djpi3dzqrywevvjmazny');
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRpcServer } = require('./helpers');
+const recorded = require('./fixtures/investmentReceipt.json');
+
+// The fixture is a receipt in the JSON-RPC form a node returns: a payment token Transfer, then ProjectLifecycle's
+// InvestmentMade for on-chain project 3, 2500 payment tokens (6 decimals) and 25 project tokens
+const LIFECYCLE_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const INVESTOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+let rpc;
+let receipt;
+let calls = 0;
+let verifyInvestmentTx;
+
+before(async () => {
+  rpc = await startRpcServer(async (method, params) => {
+    switch (method) {
+      case 'eth_chainId': return '0x7a69';
+      case 'eth_blockNumber': return '0x2c';
+      case 'eth_getTransactionReceipt': return receipt && params[0] === receipt.transactionHash ? receipt : null;
+      case 'eth_getTransactionByHash': return null;
+      default: throw new Error(`Unexpected RPC method ${method}`);
+    }
+  });
+  process.env.RPC_URL = rpc.url;
+  process.env.CHAIN_ID = '31337';
+  process.env.PROJECT_LIFECYCLE_ADDRESS = LIFECYCLE_ADDRESS;
+  process.env.PAYMENT_TOKEN_DECIMALS = '6';
+  ({ verifyInvestmentTx } = require('../src/services/investmentVerifier'));
+});
+
+after(() => rpc.close());
+
+// Each call uses its own transaction hash, since ethers briefly caches identical requests
+const verify = (expected, overrides = {}) => {
+  calls += 1;
+  const txHash = '0x' + calls.toString(16).padStart(64, '0');
+  const logs = (overrides.logs || recorded.logs).map(log => ({ ...log, transactionHash: txHash }));
+  receipt = { ...recorded, ...overrides, logs, transactionHash: txHash };
+  return verifyInvestmentTx(txHash, { wallet: INVESTOR, projectId: '3', amount: '2500', ...expected });
+};
+
+test('verifyInvestmentTx finds InvestmentMade in a recorded receipt', async () => {
+  assert.deepEqual(await verify({}), { state: 'mined', blockNumber: 42, logIndex: 1, confirmations: 3 });
+});
+
+test('verifyInvestmentTx compares the on-chain project id, not the database id', async () => {
+  assert.deepEqual(await verify({ projectId: '1' }), { state: 'invalid', reason: 'Project ID does not match' });
+});
+
+test('verifyInvestmentTx rejects a different amount or sender', async () => {
+  assert.deepEqual(await verify({ amount: '2500.01' }), { state: 'invalid', reason: 'Amount does not match' });
+  assert.deepEqual(
+    await verify({ wallet: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC' }),
+    { state: 'invalid', reason: 'Transaction was not sent by this wallet' }
+  );
+});
+
+test('verifyInvestmentTx ignores InvestmentMade logs from other contracts', async () => {
+  const logs = recorded.logs.map(log => ({ ...log, address: '0x0000000000000000000000000000000000000bad' }));
+  assert.deepEqual(await verify({}, { logs }), { state: 'invalid', reason: 'No InvestmentMade event found in transaction' });
+});
+
+test('verifyInvestmentTx rejects reverted transactions', async () => {
+  assert.deepEqual(await verify({}, { status: '0x0' }), { state: 'invalid', reason: 'Transaction reverted' });
+});
+
+test('verifyInvestmentTx reports unknown transactions', async () => {
+  const result = await verifyInvestmentTx('0x' + 'f'.repeat(64), { wallet: INVESTOR, projectId: '3', amount: '2500' });
+  assert.deepEqual(result, { state: 'not_found' });
+});
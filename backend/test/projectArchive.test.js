@@ -0,0 +1,56 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakePool } = require('./helpers');
+const { archiveProject } = require('../src/services/projectArchive');
+
+let project;
+let investments;
+
+// Answers the project lock, the investment count and the archive update for one project
+beforeEach(() => {
+  project = { id: 4, name: 'Loft', status: 'approved', chain_project_id: null, deleted_at: null };
+  investments = [];
+  fakePool.handler = async (sql) => {
+    if (sql.includes('FROM projects') && sql.includes('FOR UPDATE')) {
+      return { rows: project.deleted_at ? [] : [project] };
+    }
+    if (sql.includes('FROM investments')) {
+      const counted = sql.includes("status <> 'failed'") ? investments.filter(status => status !== 'failed') : investments;
+      return { rows: [{ count: String(counted.length) }] };
+    }
+    if (sql.startsWith('UPDATE projects')) {
+      project = { ...project, deleted_at: new Date() };
+      return { rows: [project] };
+    }
+    return { rows: [] };
+  };
+});
+
+test('archives a project whose only investments failed', async () => {
+  investments = ['failed', 'failed'];
+  const result = await archiveProject(4, { actor: '0xaa' });
+
+  assert.equal(result.error, undefined);
+  assert.ok(result.project.deleted_at);
+  assert.equal(result.previous.deleted_at, null);
+});
+
+test('refuses projects with confirmed or pending investments', async () => {
+  for (const status of ['confirmed', 'pending']) {
+    investments = ['failed', status];
+    assert.deepEqual(await archiveProject(4, { actor: '0xaa' }), {
+      status: 409,
+      error: 'Projects with investments cannot be deleted; cancel them instead'
+    });
+  }
+});
+
+test('refuses projects linked on chain', async () => {
+  project.chain_project_id = '3';
+  assert.equal((await archiveProject(4, { actor: '0xaa' })).status, 409);
+});
+
+test('reports archived projects as not found', async () => {
+  project.deleted_at = new Date();
+  assert.deepEqual(await archiveProject(4, { actor: '0xaa' }), { status: 404, error: 'Project not found' });
+});
@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startRpcServer } = require('./helpers');
+
+// First anvil account; only ever signs for the fake node below
+const OPERATOR = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const TOKEN_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const LIFECYCLE_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const BLOCK = 12;
+
+const tokenInterface = new ethers.Interface([
+  'function setURI(uint256 tokenId, string newUri)',
+  'function uri(uint256 tokenId) view returns (string)'
+]);
+
+const lifecycleInterface = new ethers.Interface([
+  'event ProjectCreated(uint256 indexed projectId, uint256 indexed tokenId, address contractor, uint256 hardCap, uint256 softCap)',
+  'function createProject(uint256 hardCap, uint256 softCap, uint256 tokenPrice, address contractor, uint256 mintingDeadline, uint256 projectDeadline, uint256 contingencyPercent, uint256 platformFeePercent, string metadataUri) returns (uint256 projectId)'
+]);
+
+let rpc;
+let sent = [];
+let setTokenUri;
+let getTokenUri;
+let createChainProject;
+
+// createProject transactions emit ProjectCreated for chain project 7
+const logsFor = (tx) => {
+  if (tx.to !== LIFECYCLE_ADDRESS) return [];
+  const { topics, data } = lifecycleInterface.encodeEventLog('ProjectCreated', [7, 7, OPERATOR.address, 0, 0]);
+  return [{ address: LIFECYCLE_ADDRESS, topics, data, blockHash: ethers.ZeroHash, blockNumber: ethers.toQuantity(BLOCK), transactionHash: tx.hash, transactionIndex: '0x0', logIndex: '0x0', removed: false }];
+};
+
+// Answers what ethers needs to send one transaction and wait for its receipt
+const handle = async (method, params) => {
+  switch (method) {
+    case 'eth_chainId': return '0x7a69';
+    case 'eth_blockNumber': return ethers.toQuantity(BLOCK);
+    case 'eth_getTransactionCount': return '0x0';
+    case 'eth_estimateGas': return '0x186a0';
+    case 'eth_gasPrice': return '0x3b9aca00';
+    case 'eth_maxPriorityFeePerGas': return '0x3b9aca00';
+    case 'eth_getBlockByNumber':
+      return { number: ethers.toQuantity(BLOCK), hash: ethers.ZeroHash, parentHash: ethers.ZeroHash, timestamp: '0x0', baseFeePerGas: '0x3b9aca00', gasLimit: '0x1c9c380', gasUsed: '0x0', miner: ethers.ZeroAddress, extraData: '0x', difficulty: '0x0', nonce: '0x0000000000000000', transactions: [] };
+    case 'eth_call':
+      return tokenInterface.encodeFunctionResult('uri', ['ipfs://bafkreiold']);
+    case 'eth_sendRawTransaction': {
+      const tx = ethers.Transaction.from(params[0]);
+      sent.push(tx);
+      return tx.hash;
+    }
+    case 'eth_getTransactionReceipt': {
+      const tx = sent.find(candidate => candidate.hash === params[0]);
+      if (!tx) return null;
+      return { transactionHash: tx.hash, transactionIndex: '0x0', blockHash: ethers.ZeroHash, blockNumber: ethers.toQuantity(BLOCK), from: tx.from, to: tx.to, contractAddress: null, cumulativeGasUsed: '0x5208', gasUsed: '0x5208', effectiveGasPrice: '0x3b9aca00', logs: logsFor(tx), logsBloom: '0x' + '0'.repeat(512), status: '0x1', type: '0x2' };
+    }
+    default:
+      throw new Error(`Unexpected RPC method ${method}`);
+  }
+};
+
+before(async () => {
+  rpc = await startRpcServer(handle);
+  process.env.RPC_URL = rpc.url;
+  process.env.CHAIN_ID = '31337';
+  process.env.OPERATOR_PRIVATE_KEY = OPERATOR.privateKey;
+  process.env.PROPERTY_BUILD_TOKEN_ADDRESS = TOKEN_ADDRESS;
+  process.env.PROJECT_LIFECYCLE_ADDRESS = LIFECYCLE_ADDRESS;
+  ({ setTokenUri, getTokenUri, createChainProject } = require('../src/services/projectChain'));
+});
+
+after(() => rpc.close());
+
+test('setTokenUri sends setURI to the token contract from the operator', async () => {
+  sent = [];
+  const { txHash } = await setTokenUri('5', 'ipfs://bafkreinew');
+
+  assert.equal(sent.length, 1);
+  const [tx] = sent;
+  assert.equal(txHash, tx.hash);
+  assert.equal(tx.to, TOKEN_ADDRESS);
+  assert.equal(tx.from, OPERATOR.address);
+  assert.equal(tx.chainId, 31337n);
+
+  const call = tokenInterface.parseTransaction({ data: tx.data });
+  assert.equal(call.name, 'setURI');
+  assert.equal(call.args.tokenId, 5n);
+  assert.equal(call.args.newUri, 'ipfs://bafkreinew');
+});
+
+test('getTokenUri reads the current URI of the token', async () => {
+  assert.equal(await getTokenUri('5'), 'ipfs://bafkreiold');
+});
+
+const chainProject = {
+  hardCap: '100000',
+  softCap: '50000',
+  tokenPrice: '100',
+  contractor: OPERATOR.address,
+  mintingDeadline: '2027-01-01',
+  projectDeadline: '2028-01-01',
+  metadataUri: 'ipfs://bafkreiproject'
+};
+
+test('createChainProject passes contingency and platform fee to the contract in basis points', async () => {
+  sent = [];
+  const created = await createChainProject({ ...chainProject, contingencyBps: 1500, platformFeeBps: 750 });
+
+  assert.deepEqual(created, { chainProjectId: '7', txHash: sent[0].hash });
+  const call = lifecycleInterface.parseTransaction({ data: sent[0].data });
+  assert.equal(call.name, 'createProject');
+  assert.equal(call.args.contingencyPercent, 1500n);
+  assert.equal(call.args.platformFeePercent, 750n);
+  assert.equal(call.args.hardCap, 100000000000n);
+  assert.equal(call.args.metadataUri, 'ipfs://bafkreiproject');
+});
+
+test('createChainProject defaults to a 10% contingency and a 2% platform fee', async () => {
+  sent = [];
+  await createChainProject(chainProject);
+
+  const call = lifecycleInterface.parseTransaction({ data: sent[0].data });
+  assert.equal(call.args.contingencyPercent, 1000n);
+  assert.equal(call.args.platformFeePercent, 200n);
+});
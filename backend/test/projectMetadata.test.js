@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakePool } = require('./helpers');
+const { buildProjectMetadata } = require('../src/services/projectMetadata');
+
+const project = {
+  id: 7,
+  chain_project_id: '3',
+  name: 'Harbour Lofts',
+  description: null,
+  location: 'Rotterdam',
+  property_type: 'residential',
+  status: 'minting',
+  price: '1200000.00',
+  token_price: '100.00',
+  hard_cap: '1000000.00',
+  soft_cap: '400000.00',
+  minting_deadline: new Date('2026-03-01T00:00:00Z'),
+  project_deadline: null,
+  contractor_wallet: '0x' + 'c'.repeat(40),
+  images: [
+    'http://localhost:3001/uploads/project-1.jpg',
+    'http://localhost:3001/uploads/project-old.jpg',
+    'https://example.com/render.png'
+  ]
+};
+
+fakePool.handler = async (sql) => {
+  if (sql.includes('FROM uploads')) {
+    return { rows: [{ filename: 'project-1.jpg', cid: 'bafkreiimage' }] };
+  }
+  if (sql.includes('FROM project_documents')) {
+    return {
+      rows: [
+        { title: 'Permit', category: 'permit', content_type: 'application/pdf', cid: 'bafkreipermit', sha256: 'ab'.repeat(32) },
+        { title: 'Uploaded before CIDs', category: 'other', content_type: 'application/pdf', cid: null, sha256: 'cd'.repeat(32) }
+      ]
+    };
+  }
+  if (sql.includes('FROM milestones')) {
+    return { rows: [{ milestone_index: 0, description: 'Foundation', budget_percent: '25.00', status: 'pending' }] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+test('buildProjectMetadata follows the ERC-1155 metadata layout', async () => {
+  const metadata = await buildProjectMetadata(project);
+
+  assert.deepEqual(Object.keys(metadata), ['name', 'description', 'image', 'decimals', 'properties']);
+  assert.equal(metadata.name, 'Harbour Lofts');
+  assert.equal(metadata.description, '');
+  assert.equal(metadata.image, 'ipfs://bafkreiimage');
+  assert.equal(metadata.decimals, 0);
+});
+
+test('buildProjectMetadata lists content by CID and leaves out uploads without one', async () => {
+  const { properties } = await buildProjectMetadata(project);
+
+  assert.deepEqual(properties.images, ['ipfs://bafkreiimage', 'https://example.com/render.png']);
+  assert.deepEqual(properties.documents, [
+    { title: 'Permit', category: 'permit', content_type: 'application/pdf', uri: 'ipfs://bafkreipermit', sha256: 'ab'.repeat(32) }
+  ]);
+  assert.deepEqual(properties.milestones, [{ index: 0, description: 'Foundation', budget_percent: '25.00', status: 'pending' }]);
+  assert.equal(properties.chain_project_id, '3');
+  assert.equal(properties.minting_deadline, '2026-03-01T00:00:00.000Z');
+  assert.equal(properties.project_deadline, null);
+});
+
+test('buildProjectMetadata has no image when the project has none', async () => {
+  const metadata = await buildProjectMetadata({ ...project, images: [] });
+
+  assert.equal('image' in metadata, false);
+  assert.deepEqual(metadata.properties.images, []);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakePool } = require('./helpers');
+const { parseSearchParams, searchProjects } = require('../src/services/projectSearch');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Serves one page of projects with ids 1..count, plus the status counts query
+const servePage = (count, queries = []) => {
+  fakePool.handler = async (sql, params) => {
+    queries.push({ sql, params });
+    if (sql.includes('GROUP BY p.status')) return { rows: [{ status: 'minting', count }] };
+    return {
+      rows: Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        status: 'minting',
+        sort_key: `2026-01-0${index + 1} 00:00:00`
+      }))
+    };
+  };
+  return queries;
+};
+
+test('the next cursor points after the last project of the page', async () => {
+  servePage(3);
+  const page = await searchProjects(parseSearchParams({ limit: 2 }));
+
+  assert.deepEqual(page.projects.map(project => project.id), [1, 2]);
+  assert.ok(page.projects.every(project => !('sort_key' in project)));
+  assert.deepEqual(parseSearchParams({ cursor: page.next_cursor, limit: 2 }).cursor, { value: '2026-01-02 00:00:00', id: 2 });
+});
+
+test('the last page has no next cursor', async () => {
+  servePage(2);
+  const page = await searchProjects(parseSearchParams({ limit: 2 }));
+  assert.equal(page.next_cursor, null);
+});
+
+test('a decoded cursor continues the keyset in the direction of the sort', async () => {
+  const newest = servePage(1);
+  await searchProjects(parseSearchParams({ limit: 20, cursor: encode(['newest', '2026-01-02 00:00:00', 2]) }));
+  assert.match(newest[1].sql, /\(p\.created_at, p\.id\) < \(\$1::timestamp, \$2::int\)/);
+  assert.deepEqual(newest[1].params, ['2026-01-02 00:00:00', 2, 21]);
+
+  const cheapest = servePage(1);
+  await searchProjects(parseSearchParams({ sort: 'price_asc', limit: 20, cursor: encode(['price_asc', '10.5', 7]) }));
+  assert.match(cheapest[1].sql, /\(COALESCE\(p\.price, 0\), p\.id\) > \(\$1::numeric, \$2::int\)/);
+});
+
+test('rejects cursors issued for another sort', () => {
+  const cursor = encode(['newest', '2026-01-02 00:00:00', 2]);
+  assert.deepEqual(parseSearchParams({ sort: 'oldest', cursor }).errors, [{ field: 'cursor', message: 'Invalid cursor' }]);
+  assert.deepEqual(parseSearchParams({ q: 'loft', cursor }).errors, [{ field: 'cursor', message: 'Invalid cursor' }]);
+});
+
+test('rejects cursors that are not well formed', () => {
+  for (const cursor of ['not-base64-json', encode({ sort: 'newest' }), encode(['newest', 5, 2]), encode(['newest', '5', '2']), encode(['newest', '5', 2.5])]) {
+    assert.deepEqual(parseSearchParams({ cursor }).errors, [{ field: 'cursor', message: 'Invalid cursor' }], cursor);
+  }
+});
+
+test('sorts by relevance when searching, and only then', () => {
+  assert.equal(parseSearchParams({ q: 'loft' }).sort, 'relevance');
+  assert.equal(parseSearchParams({}).sort, 'newest');
+  assert.deepEqual(parseSearchParams({ sort: 'relevance' }).errors, [{ field: 'sort', message: 'Sorting by relevance requires a search query' }]);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { PROJECT_STATUSES, PROJECT_TRANSITIONS, checkTransition } = require('../src/services/projectStatus');
+
+// Answers the milestone and chain event counts the transition rules look up
+const fakeDb = ({ milestones = 1, openMilestones = 0, distributions = 0 } = {}) => ({
+  query: async (sql) => {
+    if (sql.includes('chain_events')) return { rows: Array.from({ length: distributions }, () => ({})) };
+    if (sql.includes('status <> ALL')) return { rows: [{ count: String(openMilestones) }] };
+    if (sql.includes('FROM milestones')) return { rows: [{ count: String(milestones) }] };
+    throw new Error(`Unexpected query ${sql}`);
+  }
+});
+
+const project = (fields) => ({
+  id: 1,
+  chain_project_id: 3,
+  hard_cap: '1000',
+  soft_cap: '500',
+  current_funding: '0',
+  ...fields
+});
+
+test('every transition leads to a known status and terminal statuses lead nowhere', () => {
+  for (const [from, targets] of Object.entries(PROJECT_TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(PROJECT_STATUSES.includes(to), `${from} -> ${to}`);
+    }
+  }
+  assert.deepEqual(PROJECT_TRANSITIONS.completed, []);
+  assert.deepEqual(PROJECT_TRANSITIONS.cancelled, []);
+});
+
+test('every status except completed can still be cancelled or sent back for review', () => {
+  for (const status of PROJECT_STATUSES.filter(status => !['completed', 'cancelled'].includes(status))) {
+    const targets = PROJECT_TRANSITIONS[status];
+    assert.ok(targets.includes('cancelled') || targets.includes('pending'), status);
+  }
+});
+
+test('refuses unknown statuses and transitions missing from the table', async () => {
+  assert.match(await checkTransition(project({ status: 'pending' }), 'archived', fakeDb()), /^Status must be one of: pending, /);
+  assert.equal(await checkTransition(project({ status: 'pending' }), 'building', fakeDb()), 'Cannot change status from pending to building');
+  assert.equal(await checkTransition(project({ status: 'completed' }), 'cancelled', fakeDb()), 'Cannot change status from completed to cancelled');
+  assert.equal(await checkTransition(project({ status: 'trading' }), 'building', fakeDb()), 'Cannot change status from trading to building');
+});
+
+test('allows transitions without a rule', async () => {
+  assert.equal(await checkTransition(project({ status: 'rejected' }), 'pending', fakeDb()), null);
+  assert.equal(await checkTransition(project({ status: 'building' }), 'cancelled', fakeDb()), null);
+  assert.equal(await checkTransition(project({ status: 'trading' }), 'final_sale', fakeDb()), null);
+});
+
+test('only projects linked on chain can be approved', async () => {
+  assert.match(await checkTransition(project({ status: 'pending', chain_project_id: null }), 'approved', fakeDb()), /approve endpoint/);
+  assert.equal(await checkTransition(project({ status: 'pending' }), 'approved', fakeDb()), null);
+});
+
+test('funded requires the hard cap, falling back to the goal', async () => {
+  assert.equal(await checkTransition(project({ status: 'minting', current_funding: '999.99' }), 'funded', fakeDb()), 'Hard cap has not been reached');
+  assert.equal(await checkTransition(project({ status: 'minting', current_funding: '1000' }), 'funded', fakeDb()), null);
+  assert.equal(await checkTransition(project({ status: 'minting', hard_cap: null, goal: '200', current_funding: '250' }), 'funded', fakeDb()), null);
+  assert.equal(await checkTransition(project({ status: 'minting', hard_cap: null, current_funding: '250' }), 'funded', fakeDb()), 'Hard cap has not been reached');
+});
+
+test('building requires the soft cap and at least one milestone', async () => {
+  const funded = { status: 'funded', current_funding: '500' };
+  assert.equal(await checkTransition(project({ ...funded, soft_cap: null }), 'building', fakeDb()), 'Project has no soft cap');
+  assert.equal(await checkTransition(project({ ...funded, current_funding: '499' }), 'building', fakeDb()), 'Soft cap has not been met');
+  assert.equal(await checkTransition(project(funded), 'building', fakeDb({ milestones: 0 })), 'Project has no milestones');
+  assert.equal(await checkTransition(project(funded), 'building', fakeDb({ milestones: 2 })), null);
+});
+
+test('trading requires every milestone to be completed', async () => {
+  assert.equal(await checkTransition(project({ status: 'building' }), 'trading', fakeDb({ openMilestones: 1 })), 'All milestones must be completed');
+  assert.equal(await checkTransition(project({ status: 'building' }), 'trading', fakeDb({ openMilestones: 0 })), null);
+});
+
+test('completed requires a profit distribution on chain', async () => {
+  assert.equal(await checkTransition(project({ status: 'final_sale' }), 'completed', fakeDb()), 'Profit distribution has not been initiated');
+  assert.equal(await checkTransition(project({ status: 'final_sale' }), 'completed', fakeDb({ distributions: 1 })), null);
+});
@@ -0,0 +1,84 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { fakePool } = require('./helpers');
+const { checkRefreshToken, rotateSession, endSession } = require('../src/services/sessions');
+
+const WALLET = '0x' + '1'.repeat(40);
+const SESSION_ID = '6f1c2a4e-8d3b-4c7a-9e5f-1a2b3c4d5e6f';
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+let session;
+
+// Enough of the sessions and users tables for rotateSession and endSession
+beforeEach(() => {
+  session = {
+    id: SESSION_ID,
+    wallet: WALLET,
+    refresh_token_hash: hash('first'),
+    revoked_at: null,
+    revoked_reason: null,
+    expires_at: new Date(Date.now() + 60000)
+  };
+  fakePool.handler = async (sql, params) => {
+    if (sql.startsWith('SELECT * FROM sessions')) {
+      return { rows: params[0] === session.id ? [{ ...session }] : [] };
+    }
+    if (sql.includes('SET refresh_token_hash')) {
+      if (session.refresh_token_hash !== params[2] || session.revoked_at) return { rows: [] };
+      session.refresh_token_hash = params[0];
+      return { rows: [{ id: session.id }] };
+    }
+    if (sql.includes('SET revoked_at')) {
+      if (!session.revoked_at) {
+        session.revoked_at = new Date();
+        session.revoked_reason = params[0];
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('FROM users')) {
+      return { rows: [{ wallet: WALLET, role: 'INVESTOR' }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+});
+
+test('checkRefreshToken accepts only the current secret of a live session', () => {
+  assert.equal(checkRefreshToken(session, 'first'), 'current');
+  assert.equal(checkRefreshToken(session, 'older'), 'reused');
+  assert.equal(checkRefreshToken(null, 'first'), null);
+  assert.equal(checkRefreshToken({ ...session, revoked_at: new Date() }, 'first'), null);
+  assert.equal(checkRefreshToken(session, 'first', new Date(Date.now() + 120000)), null);
+});
+
+test('rotateSession replaces the secret and keeps the session', async () => {
+  const rotated = await rotateSession(`${SESSION_ID}.first`);
+
+  assert.ok(rotated.token);
+  const [sessionId, secret] = rotated.refreshToken.split('.');
+  assert.equal(sessionId, SESSION_ID);
+  assert.equal(session.refresh_token_hash, hash(secret));
+  assert.equal(session.revoked_at, null);
+});
+
+test('rotateSession revokes the session when a rotated token is used again', async () => {
+  const rotated = await rotateSession(`${SESSION_ID}.first`);
+
+  assert.equal(await rotateSession(`${SESSION_ID}.first`), null);
+  assert.equal(session.revoked_reason, 'refresh_token_reuse');
+  assert.equal(await rotateSession(rotated.refreshToken), null);
+});
+
+test('rotateSession rejects malformed and unknown tokens without revoking', async () => {
+  assert.equal(await rotateSession('not-a-token'), null);
+  assert.equal(await rotateSession(`${crypto.randomUUID()}.first`), null);
+  assert.equal(session.revoked_at, null);
+});
+
+test('endSession needs the current secret', async () => {
+  assert.equal(await endSession(`${SESSION_ID}.guessed`), false);
+  assert.equal(session.revoked_at, null);
+
+  assert.equal(await endSession(`${SESSION_ID}.first`), true);
+  assert.equal(session.revoked_reason, 'logout');
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startRpcServer } = require('./helpers');
+
+const MESSAGE = 'propertyblock.example wants you to sign in with your Ethereum account';
+const OWNER = ethers.Wallet.createRandom();
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC6492_MAGIC_SUFFIX = '6492'.repeat(16);
+
+const walletInterface = new ethers.Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+
+let rpc;
+let calls = [];
+let answer = () => { throw new Error('No RPC answer set'); };
+let verifyWalletSignature;
+
+before(async () => {
+  rpc = await startRpcServer(async (method, params) => {
+    if (method === 'eth_chainId') return '0x7a69';
+    calls.push({ method, params });
+    return answer(method, params);
+  });
+  process.env.RPC_URL = rpc.url;
+  process.env.CHAIN_ID = '31337';
+  ({ verifyWalletSignature } = require('../src/services/signatures'));
+});
+
+after(() => rpc.close());
+
+// Each test checks its own address, so ethers never answers from a cached request
+const setup = (handler) => {
+  calls = [];
+  answer = handler;
+  return ethers.Wallet.createRandom().address;
+};
+
+const contractWallet = (isValidSignatureResult) => (method, params) => {
+  if (method === 'eth_getCode') return '0x6080';
+  if (method === 'eth_call') return isValidSignatureResult(params[0]);
+  throw new Error(`Unexpected RPC method ${method}`);
+};
+
+test('accepts a signature from the EOA itself without asking the node', async () => {
+  setup(() => { throw new Error('The node should not be called'); });
+  const signature = await OWNER.signMessage(MESSAGE);
+
+  assert.equal(await verifyWalletSignature(OWNER.address, MESSAGE, signature), true);
+  assert.equal(calls.length, 0);
+});
+
+test('rejects a signature that is not hex', async () => {
+  const address = setup(() => { throw new Error('The node should not be called'); });
+  assert.equal(await verifyWalletSignature(address, MESSAGE, 'not a signature'), false);
+});
+
+test('rejects another signer when the address has no code', async () => {
+  const address = setup((method) => {
+    if (method === 'eth_getCode') return '0x';
+    throw new Error(`Unexpected RPC method ${method}`);
+  });
+  const signature = await OWNER.signMessage(MESSAGE);
+
+  assert.equal(await verifyWalletSignature(address, MESSAGE, signature), false);
+  assert.deepEqual(calls.map(call => call.method), ['eth_getCode']);
+});
+
+test('accepts a contract wallet that returns the EIP-1271 magic value for the message hash', async () => {
+  const address = setup(contractWallet(() => walletInterface.encodeFunctionResult('isValidSignature', [ERC1271_MAGIC_VALUE])));
+  const signature = await OWNER.signMessage(MESSAGE);
+
+  assert.equal(await verifyWalletSignature(address, MESSAGE, signature), true);
+
+  const call = calls.find(candidate => candidate.method === 'eth_call').params[0];
+  assert.equal(call.to.toLowerCase(), address.toLowerCase());
+  const { args } = walletInterface.parseTransaction({ data: call.data });
+  assert.equal(args.hash, ethers.hashMessage(MESSAGE));
+  assert.equal(args.signature, signature);
+});
+
+test('rejects a contract wallet that returns anything but the magic value', async () => {
+  const address = setup(contractWallet(() => walletInterface.encodeFunctionResult('isValidSignature', ['0xffffffff'])));
+  const signature = await OWNER.signMessage(MESSAGE);
+
+  assert.equal(await verifyWalletSignature(address, MESSAGE, signature), false);
+});
+
+test('rejects a contract wallet whose isValidSignature returns no data', async () => {
+  const address = setup(contractWallet(() => '0x'));
+  const signature = await OWNER.signMessage(MESSAGE);
+
+  assert.equal(await verifyWalletSignature(address, MESSAGE, signature), false);
+});
+
+test('surfaces node errors instead of rejecting the signature', async () => {
+  const address = setup(() => { throw new Error('node unavailable'); });
+  const signature = await OWNER.signMessage(MESSAGE);
+
+  await assert.rejects(verifyWalletSignature(address, MESSAGE, signature));
+});
+
+test('checks EIP-6492 signatures with a deployless call to the universal validator', async () => {
+  const address = setup((method) => {
+    if (method === 'eth_call') return ethers.toBeHex(1, 32);
+    throw new Error(`Unexpected RPC method ${method}`);
+  });
+  const signature = '0x' + 'ab'.repeat(96) + ERC6492_MAGIC_SUFFIX;
+
+  assert.equal(await verifyWalletSignature(address, MESSAGE, signature), true);
+  assert.deepEqual(calls.map(call => call.method), ['eth_call']);
+
+  const call = calls[0].params[0];
+  assert.equal(call.to, undefined);
+  const args = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'bytes32', 'bytes'],
+    [address, ethers.hashMessage(MESSAGE), signature]
+  );
+  assert.ok(call.data.endsWith(args.slice(2)));
+});
+
+test('rejects EIP-6492 signatures the validator does not confirm', async () => {
+  const address = setup((method) => {
+    if (method === 'eth_call') return ethers.toBeHex(0, 32);
+    throw new Error(`Unexpected RPC method ${method}`);
+  });
+  const signature = '0x' + 'ab'.repeat(96) + ERC6492_MAGIC_SUFFIX;
+
+  assert.equal(await verifyWalletSignature(address, MESSAGE, signature), false);
+});
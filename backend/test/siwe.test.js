@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { parseSiweMessage, validateSiweMessage } = require('../src/services/siwe');
+
+const ADDRESS = '0x8ba1f109551bD432803012645Ac136ddd64DBA72';
+const NOW = Date.parse('2026-01-01T12:00:00.000Z');
+
+const buildMessage = (overrides = {}) => {
+  const fields = {
+    domain: 'app.example.com',
+    uri: 'https://app.example.com',
+    chainId: 31337,
+    nonce: 'abcdef0123456789',
+    issuedAt: '2026-01-01T11:59:00.000Z',
+    expirationTime: '2026-01-01T12:09:00.000Z',
+    ...overrides
+  };
+  return [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    ADDRESS,
+    '',
+    'Sign in to BlockByBlock.',
+    '',
+    `URI: ${fields.uri}`,
+    'Version: 1',
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`,
+    ...(fields.expirationTime ? [`Expiration Time: ${fields.expirationTime}`] : [])
+  ].join('\n');
+};
+
+const expected = { domain: 'app.example.com', chainId: 31337, nonce: 'abcdef0123456789', now: NOW };
+
+const validate = (overrides, options = {}) =>
+  validateSiweMessage(parseSiweMessage(buildMessage(overrides)), { ...expected, ...options });
+
+test('parseSiweMessage reads the fields of a message', () => {
+  const fields = parseSiweMessage(buildMessage());
+
+  assert.equal(fields.domain, 'app.example.com');
+  assert.equal(fields.address, ADDRESS);
+  assert.equal(fields.statement, 'Sign in to BlockByBlock.');
+  assert.equal(fields.chainId, 31337);
+  assert.equal(fields.nonce, 'abcdef0123456789');
+});
+
+test('parseSiweMessage rejects malformed messages', () => {
+  assert.throws(() => parseSiweMessage('hello'), /Not a Sign-In with Ethereum message/);
+  assert.throws(() => parseSiweMessage(buildMessage().replace(ADDRESS, ADDRESS.toLowerCase())), /checksummed/);
+  assert.throws(() => parseSiweMessage(buildMessage({ nonce: 'short' })), /Nonce/);
+  assert.throws(() => parseSiweMessage(buildMessage().replace(/\nVersion: 1/, '')), /Missing field: version/);
+});
+
+test('validateSiweMessage accepts a message matching the domain, chain and nonce', () => {
+  assert.equal(validate({}), null);
+});
+
+test('validateSiweMessage rejects messages for another domain or URI', () => {
+  assert.equal(validate({ domain: 'evil.example.com' }), 'Message was signed for a different domain');
+  assert.equal(validate({ uri: 'https://evil.example.com' }), 'URI does not match the signing domain');
+});
+
+test('validateSiweMessage rejects messages for another chain', () => {
+  assert.equal(validate({ chainId: 1 }), 'Message was signed for a different chain');
+  assert.equal(validate({}, { chainId: undefined }), 'Message was signed for a different chain');
+});
+
+test('validateSiweMessage rejects a stale nonce', () => {
+  assert.equal(validate({}, { nonce: 'fedcba9876543210' }), 'Nonce does not match');
+});
+
+test('validateSiweMessage checks issued-at and expiration times', () => {
+  assert.equal(validate({ issuedAt: '2026-01-01T12:00:30.000Z' }), null);
+  assert.equal(validate({ issuedAt: '2026-01-01T12:05:00.000Z' }), 'Message is issued in the future');
+  assert.equal(validate({ expirationTime: '2026-01-01T12:00:00.000Z' }), 'Message has expired');
+  assert.equal(validate({ issuedAt: 'yesterday' }), 'Invalid issued-at time');
+});
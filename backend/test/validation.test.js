@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, errorsByField, createProjectSchema, createInvestmentSchema, updateProjectSchema } = require('propertyblock-shared');
+
+const TX_HASH = '0x' + 'AB'.repeat(32);
+
+test('reports required fields and drops fields missing from the schema', () => {
+  const { value, errors } = validate(createProjectSchema, { name: '  ', status: 'approved' });
+
+  assert.deepEqual(errors, [{ field: 'name', message: 'name is required' }]);
+  assert.equal('status' in value, false);
+});
+
+test('treats input that is not an object as empty', () => {
+  assert.deepEqual(validate(createInvestmentSchema, null).errors.map(error => error.field), ['project_id', 'amount', 'tx_hash']);
+});
+
+test('parses numbers and booleans sent as strings', () => {
+  const schema = {
+    amount: { type: 'number' },
+    count: { type: 'integer' },
+    public: { type: 'boolean' },
+    exponent: { type: 'number' }
+  };
+  assert.deepEqual(validate(schema, { amount: ' 12.5 ', count: '3', public: 'false', exponent: '1e3' }), {
+    value: { amount: 12.5, count: 3, public: false, exponent: 1000 },
+    errors: []
+  });
+});
+
+test('rejects text that only starts like a number', () => {
+  const { errors } = validate({ amount: { type: 'number' }, count: { type: 'integer' } }, { amount: '12abc', count: '1.5' });
+  assert.deepEqual(errors, [
+    { field: 'amount', message: 'amount must be a number' },
+    { field: 'count', message: 'count must be an integer' }
+  ]);
+});
+
+test('checks amounts against their decimals, sign and upper bound', () => {
+  const check = (amount) => validate(createInvestmentSchema, { project_id: 1, amount, tx_hash: TX_HASH }).errors;
+
+  assert.deepEqual(check('100.25'), []);
+  assert.deepEqual(check('0.001'), [{ field: 'amount', message: 'amount must have at most 2 decimal places' }]);
+  assert.deepEqual(check('0'), [{ field: 'amount', message: 'amount must be greater than 0' }]);
+  assert.deepEqual(check('-5'), [{ field: 'amount', message: 'amount must be greater than 0' }]);
+  assert.deepEqual(check('10000000000000'), [{ field: 'amount', message: 'amount must be at most 9999999999999.99' }]);
+});
+
+test('lowercases transaction hashes and rejects malformed ones', () => {
+  assert.equal(validate(createInvestmentSchema, { project_id: '1', amount: 5, tx_hash: TX_HASH }).value.tx_hash, TX_HASH.toLowerCase());
+  assert.deepEqual(
+    validate(createInvestmentSchema, { project_id: '1', amount: 5, tx_hash: '0x1234' }).errors,
+    [{ field: 'tx_hash', message: 'tx_hash must be a transaction hash' }]
+  );
+});
+
+test('keeps null only for nullable fields', () => {
+  const { value, errors } = validate(updateProjectSchema, { description: null, name: null });
+
+  assert.deepEqual(value, { description: null });
+  assert.deepEqual(errors, []);
+});
+
+test('fills in defaults for omitted fields', () => {
+  const schema = { limit: { type: 'integer', min: 1, max: 100, default: 20 } };
+
+  assert.deepEqual(validate(schema, {}).value, { limit: 20 });
+  assert.deepEqual(validate(schema, { limit: '101' }).errors, [{ field: 'limit', message: 'limit must be at most 100' }]);
+});
+
+test('trims strings unless told not to and checks their length after trimming', () => {
+  const schema = { name: { type: 'string', maxLength: 3 }, message: { type: 'string', trim: false } };
+
+  assert.deepEqual(validate(schema, { name: ' abc ', message: ' signed\n' }).value, { name: 'abc', message: ' signed\n' });
+  assert.deepEqual(validate(schema, { name: 'abcd' }).errors, [{ field: 'name', message: 'name must be at most 3 characters' }]);
+});
+
+test('checks oneOf after lowercasing', () => {
+  const schema = { type: { type: 'string', lowercase: true, oneOf: ['residential', 'commercial'] } };
+
+  assert.deepEqual(validate(schema, { type: 'Residential' }).value, { type: 'residential' });
+  assert.deepEqual(validate(schema, { type: 'farm' }).errors, [{ field: 'type', message: 'type must be one of: residential, commercial' }]);
+});
+
+test('checks each array item and reports the first one that fails', () => {
+  const images = ['https://example.com/a.png', '/uploads/b.webp'];
+
+  assert.deepEqual(validate(createProjectSchema, { name: 'Loft', images }).value.images, images);
+  assert.deepEqual(
+    validate(createProjectSchema, { name: 'Loft', images: [images[0], 'ftp://example.com/c.png'] }).errors,
+    [{ field: 'images', message: 'images must be http(s) URLs or uploaded files' }]
+  );
+  assert.deepEqual(
+    validate(createProjectSchema, { name: 'Loft', images: Array(21).fill(images[0]) }).errors,
+    [{ field: 'images', message: 'images must have at most 20 items' }]
+  );
+});
+
+test('reads query string lists from repeated or comma-separated values', () => {
+  const schema = { status: { type: 'list', items: { type: 'string', oneOf: ['minting', 'building', 'trading'] } } };
+
+  assert.deepEqual(validate(schema, { status: 'minting, building,' }).value, { status: ['minting', 'building'] });
+  assert.deepEqual(validate(schema, { status: ['minting', 'trading,building'] }).value, { status: ['minting', 'trading', 'building'] });
+  assert.deepEqual(validate(schema, { status: 'minting,sold' }).errors, [{ field: 'status', message: 'status[1] must be one of: minting, building, trading' }]);
+});
+
+test('checks wallet addresses and dates', () => {
+  const schema = { wallet: { type: 'address' }, from: { type: 'date' } };
+
+  assert.deepEqual(validate(schema, { wallet: '0x' + 'a'.repeat(40), from: '2026-01-02' }).errors, []);
+  assert.deepEqual(validate(schema, { wallet: '0x' + 'a'.repeat(39), from: 'yesterday' }).errors, [
+    { field: 'wallet', message: 'wallet must be a wallet address' },
+    { field: 'from', message: 'from must be a date' }
+  ]);
+});
+
+test('errorsByField keys messages by field name', () => {
+  assert.deepEqual(
+    errorsByField([{ field: 'name', message: 'name is required' }, { field: 'amount', message: 'amount must be a number' }]),
+    { name: 'name is required', amount: 'amount must be a number' }
+  );
+});
@@ -1,16 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { projectsAPI } from '../services/api';
+import { projectsAPI, reviewsAPI, usersAPI, metadataAPI } from '../services/api';
 import './client_market.css';
 import './AdminDashboard.css';
+import AuditLog from './AuditLog';
+
+const formatRevisionValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return Array.isArray(value) ? `${value.length} image(s)` : String(value);
+};
 
 const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPortfolio, onSubmitProject }) => {
   const { user, isAuthenticated, isAdmin, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
   const [pendingProjects, setPendingProjects] = useState([]);
   const [allProjects, setAllProjects] = useState([]);
+  const [archivedProjects, setArchivedProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('pending');
   const [actionLoading, setActionLoading] = useState(null);
+  const [historyProjectId, setHistoryProjectId] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [revisions, setRevisions] = useState([]);
 
   useEffect(() => {
     loadProjects();
@@ -19,12 +30,14 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
   const loadProjects = async () => {
     setLoading(true);
     try {
-      const [pending, all] = await Promise.all([
-        projectsAPI.getAll('pending'),
-        projectsAPI.getAll()
+      const [pending, all, archived] = await Promise.all([
+        projectsAPI.getAllPages({ status: 'pending' }),
+        projectsAPI.getAllPages(),
+        projectsAPI.getArchived()
       ]);
       setPendingProjects(pending.projects || []);
       setAllProjects(all.projects || []);
+      setArchivedProjects(archived.projects || []);
     } catch (error) {
       console.error('Failed to load projects:', error);
     } finally {
@@ -33,13 +46,98 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
   };
 
   const handleApprove = async (projectId) => {
+    const chainProjectId = window.prompt('Existing on-chain project ID (leave empty to create it on chain):');
+    if (chainProjectId === null) {
+      return;
+    }
+
+    let chainData;
+    if (chainProjectId.trim()) {
+      chainData = { chain_project_id: chainProjectId.trim() };
+    } else {
+      const contractorWallet = window.prompt('Contractor wallet address:');
+      if (!contractorWallet) return;
+      const mintingDeadline = window.prompt('Minting deadline (YYYY-MM-DD):');
+      if (!mintingDeadline) return;
+      const projectDeadline = window.prompt('Project completion deadline (YYYY-MM-DD):');
+      if (!projectDeadline) return;
+      chainData = {
+        contractor_wallet: contractorWallet.trim(),
+        minting_deadline: mintingDeadline.trim(),
+        project_deadline: projectDeadline.trim()
+      };
+    }
+
     setActionLoading(projectId);
     try {
-      await projectsAPI.approve(projectId);
+      await projectsAPI.approve(projectId, chainData);
       await loadProjects();
     } catch (error) {
       console.error('Failed to approve:', error);
-      alert('Failed to approve project');
+      alert(error.message || 'Failed to approve project');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleReconcile = async (projectId) => {
+    setActionLoading(projectId);
+    try {
+      const { reconciliation } = await projectsAPI.reconcile(projectId);
+      if (reconciliation.in_sync) {
+        alert('Project is in sync with the chain');
+      } else {
+        alert('Drift detected:\n' + reconciliation.drift
+          .map(d => `${d.field}: db=${d.db} chain=${d.chain}`)
+          .join('\n'));
+      }
+    } catch (error) {
+      console.error('Failed to reconcile:', error);
+      alert('Failed to reconcile project');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handlePublishMetadata = async (project) => {
+    setActionLoading(project.id);
+    try {
+      const { publication } = await metadataAPI.publish(project.id);
+      if (!publication.pinned_at) {
+        alert(`Metadata recorded as ${publication.uri}, but not pinned: set STORAGE_BACKEND=ipfs to publish it`);
+        return;
+      }
+      if (publication.pushed_at) {
+        alert(`Metadata is unchanged; token #${project.token_id} already points at ${publication.uri}`);
+        return;
+      }
+      if (!window.confirm(`Metadata published as ${publication.uri}.\n\nPoint token #${project.token_id} at it on chain?`)) {
+        return;
+      }
+
+      const { publication: pushed } = await metadataAPI.push(project.id);
+      alert(`Token URI updated (tx ${pushed.push_tx_hash})`);
+    } catch (error) {
+      console.error('Failed to publish metadata:', error);
+      alert(error.message || 'Failed to publish metadata');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleAssignRole = async (projectId) => {
+    const role = window.prompt('Role to assign for this project (VERIFIER, CONTRACTOR, PROJECT_ADMIN):');
+    if (!role) return;
+    const wallet = window.prompt('Wallet address:');
+    if (!wallet) return;
+
+    setActionLoading(projectId);
+    try {
+      await usersAPI.grantRole(wallet.trim(), role.trim().toUpperCase(), projectId);
+      alert(`${role.trim().toUpperCase()} role granted`);
+    } catch (error) {
+      console.error('Failed to assign role:', error);
+      alert(error.message || 'Failed to assign role');
     } finally {
       setActionLoading(null);
     }
@@ -60,24 +158,68 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
   };
 
   const handleChangeStatus = async (projectId, newStatus) => {
-    if (!window.confirm(`Change project status to "${newStatus}"?`)) {
+    const reason = window.prompt(`Change project status to "${newStatus}". Reason (optional):`);
+    if (reason === null) {
       return;
     }
     
     setActionLoading(projectId);
     try {
-      await projectsAPI.changeStatus(projectId, newStatus);
+      await projectsAPI.changeStatus(projectId, newStatus, reason.trim() || undefined);
       await loadProjects();
+      if (historyProjectId === projectId) {
+        const data = await projectsAPI.getHistory(projectId);
+        setHistory(data.history || []);
+      }
     } catch (error) {
       console.error('Failed to change status:', error);
-      alert('Failed to change project status');
+      alert(error.message || 'Failed to change project status');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleToggleHistory = async (projectId) => {
+    if (historyProjectId === projectId) {
+      setHistoryProjectId(null);
+      return;
+    }
+
+    setActionLoading(projectId);
+    try {
+      const [historyData, reviewData, revisionData] = await Promise.all([
+        projectsAPI.getHistory(projectId),
+        reviewsAPI.getAll(projectId),
+        projectsAPI.getRevisions(projectId)
+      ]);
+      setHistory(historyData.history || []);
+      setReviews(reviewData.reviews || []);
+      setRevisions(revisionData.revisions || []);
+      setHistoryProjectId(projectId);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      alert('Failed to load project history');
     } finally {
       setActionLoading(null);
     }
   };
 
+  const handleComment = async (projectId) => {
+    const comment = window.prompt('Message to the submitter:');
+    if (!comment || !comment.trim()) return;
+
+    try {
+      await reviewsAPI.addComment(projectId, comment.trim());
+      const data = await reviewsAPI.getAll(projectId);
+      setReviews(data.reviews || []);
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      alert(error.message || 'Failed to add comment');
+    }
+  };
+
   const handleDelete = async (projectId) => {
-    if (!window.confirm('Are you sure you want to delete this project? This action cannot be undone.')) {
+    if (!window.confirm('Archive this project? It can be restored from the Archived tab, but its images are removed after the retention period.')) {
       return;
     }
     
@@ -87,7 +229,23 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
       await loadProjects();
     } catch (error) {
       console.error('Failed to delete:', error);
-      alert('Failed to delete project');
+      alert(error.message || 'Failed to delete project');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleRestore = async (projectId) => {
+    setActionLoading(projectId);
+    try {
+      const { images_purged } = await projectsAPI.restore(projectId);
+      if (images_purged) {
+        alert('Project restored. Its images were removed after the retention period and need to be uploaded again.');
+      }
+      await loadProjects();
+    } catch (error) {
+      console.error('Failed to restore:', error);
+      alert(error.message || 'Failed to restore project');
     } finally {
       setActionLoading(null);
     }
@@ -104,8 +262,12 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
       approved: 'badge-green',
       rejected: 'badge-red',
       minting: 'badge-blue',
+      funded: 'badge-green',
       building: 'badge-orange',
-      trading: 'badge-purple'
+      trading: 'badge-purple',
+      final_sale: 'badge-purple',
+      completed: 'badge-green',
+      cancelled: 'badge-red'
     };
     return colors[status] || 'badge-gray';
   };
@@ -208,9 +370,72 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
           >
             All Projects ({allProjects.length})
           </button>
+          <button 
+            className={`tab-btn ${activeTab === 'archived' ? 'active' : ''}`}
+            onClick={() => setActiveTab('archived')}
+          >
+            Archived ({archivedProjects.length})
+          </button>
+          <button 
+            className={`tab-btn ${activeTab === 'audit' ? 'active' : ''}`}
+            onClick={() => setActiveTab('audit')}
+          >
+            Audit Log
+          </button>
         </div>
 
-        {loading ? (
+        {activeTab === 'audit' ? (
+          <AuditLog />
+        ) : activeTab === 'archived' && !loading ? (
+          archivedProjects.length === 0 ? (
+            <div className="empty-state">No archived projects</div>
+          ) : (
+            <div className="projects-table-container">
+              <table className="projects-table">
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Name</th>
+                    <th>Owner</th>
+                    <th>Status</th>
+                    <th>Archived</th>
+                    <th>Images</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {archivedProjects.map(project => (
+                    <tr key={project.id}>
+                      <td>#{project.id}</td>
+                      <td className="project-name">{project.name}</td>
+                      <td className="wallet-cell">
+                        {project.owner_wallet?.slice(0, 6)}...{project.owner_wallet?.slice(-4)}
+                      </td>
+                      <td>
+                        <span className={`badge ${getStatusBadge(project.status)}`}>{project.status}</span>
+                      </td>
+                      <td>{new Date(project.deleted_at).toLocaleDateString()}</td>
+                      <td>
+                        {project.images_purged_at
+                          ? `Removed ${new Date(project.images_purged_at).toLocaleDateString()}`
+                          : `Kept until ${new Date(project.images_purge_at).toLocaleDateString()}`}
+                      </td>
+                      <td className="actions-cell">
+                        <button
+                          className="approve-btn"
+                          onClick={() => handleRestore(project.id)}
+                          disabled={actionLoading === project.id}
+                        >
+                          {actionLoading === project.id ? '...' : '↩ Restore'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        ) : loading ? (
           <div className="loading-state">Loading projects...</div>
         ) : displayProjects.length === 0 ? (
           <div className="empty-state">
@@ -236,7 +461,8 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
               </thead>
               <tbody>
                 {displayProjects.map(project => (
-                  <tr key={project.id}>
+                  <React.Fragment key={project.id}>
+                  <tr>
                     <td>#{project.id}</td>
                     <td className="project-name">{project.name}</td>
                     <td>{project.location || '-'}</td>
@@ -259,8 +485,12 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
                           <option value="pending">Pending</option>
                           <option value="approved">Approved</option>
                           <option value="minting">Minting</option>
+                          <option value="funded">Funded</option>
                           <option value="building">Building</option>
                           <option value="trading">Trading</option>
+                          <option value="final_sale">Final Sale</option>
+                          <option value="completed">Completed</option>
+                          <option value="cancelled">Cancelled</option>
                           <option value="rejected">Rejected</option>
                         </select>
                       </div>
@@ -285,6 +515,42 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
                           </button>
                         </>
                       )}
+                      {project.chain_project_id && (
+                        <button 
+                          className="approve-btn"
+                          onClick={() => handleReconcile(project.id)}
+                          disabled={actionLoading === project.id}
+                          title={`On-chain project #${project.chain_project_id}`}
+                        >
+                          {actionLoading === project.id ? '...' : '⛓ Reconcile'}
+                        </button>
+                      )}
+                      {project.token_id && (
+                        <button 
+                          className="approve-btn"
+                          onClick={() => handlePublishMetadata(project)}
+                          disabled={actionLoading === project.id}
+                          title="Publish the ERC-1155 metadata to IPFS and set the token URI"
+                        >
+                          {actionLoading === project.id ? '...' : '🧾 Metadata'}
+                        </button>
+                      )}
+                      <button 
+                        className="approve-btn"
+                        onClick={() => handleAssignRole(project.id)}
+                        disabled={actionLoading === project.id}
+                        title="Assign a verifier, contractor or project admin"
+                      >
+                        {actionLoading === project.id ? '...' : '👤 Roles'}
+                      </button>
+                      <button 
+                        className="approve-btn"
+                        onClick={() => handleToggleHistory(project.id)}
+                        disabled={actionLoading === project.id}
+                        title="Status history"
+                      >
+                        {actionLoading === project.id ? '...' : '🕘 History'}
+                      </button>
                       <button 
                         className="delete-btn"
                         onClick={() => handleDelete(project.id)}
@@ -295,6 +561,82 @@ const AdminDashboard = ({ onBack, onMarketplace, onMintTokens, onTrading, onPort
                       </button>
                     </td>
                   </tr>
+                  {historyProjectId === project.id && (
+                    <tr className="history-row">
+                      <td colSpan="9">
+                        <h4 className="history-title">Status history</h4>
+                        {history.length === 0 ? (
+                          <span>No status changes recorded</span>
+                        ) : (
+                          <ul className="status-history">
+                            {history.map(entry => (
+                              <li key={entry.id}>
+                                <span className="history-date">{new Date(entry.created_at).toLocaleString()}</span>
+                                <span className="history-change">
+                                  {entry.from_status ? `${entry.from_status} → ${entry.to_status}` : entry.to_status}
+                                </span>
+                                <span className="wallet-cell">
+                                  {entry.actor_wallet
+                                    ? `${entry.actor_wallet.slice(0, 6)}...${entry.actor_wallet.slice(-4)}`
+                                    : 'system'}
+                                </span>
+                                {entry.reason && <span className="history-reason">{entry.reason}</span>}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        <h4 className="history-title">
+                          Review thread
+                          <button className="approve-btn" onClick={() => handleComment(project.id)}>
+                            💬 Comment
+                          </button>
+                        </h4>
+                        {reviews.length === 0 ? (
+                          <span>No review messages</span>
+                        ) : (
+                          <ul className="status-history">
+                            {reviews.map(review => (
+                              <li key={review.id}>
+                                <span className="history-date">{new Date(review.created_at).toLocaleString()}</span>
+                                <span className="history-change">{review.kind}</span>
+                                <span className="wallet-cell">
+                                  {review.author_wallet.slice(0, 6)}...{review.author_wallet.slice(-4)}
+                                </span>
+                                {review.comment && <span className="history-reason">{review.comment}</span>}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        <h4 className="history-title">Revisions</h4>
+                        {revisions.length === 0 ? (
+                          <span>No revisions recorded</span>
+                        ) : (
+                          <ul className="status-history">
+                            {revisions.map(revision => (
+                              <li key={revision.id}>
+                                <span className="history-date">{new Date(revision.created_at).toLocaleString()}</span>
+                                <span className="history-change">v{revision.version}</span>
+                                <span className="wallet-cell">
+                                  {revision.editor_wallet
+                                    ? `${revision.editor_wallet.slice(0, 6)}...${revision.editor_wallet.slice(-4)}`
+                                    : 'system'}
+                                </span>
+                                {revision.reason && <span className="history-reason">{revision.reason}</span>}
+                                <ul className="revision-changes">
+                                  {Object.entries(revision.changes).map(([field, change]) => (
+                                    <li key={field}>
+                                      <strong>{field}</strong>: {formatRevisionValue(change.from)} → {formatRevisionValue(change.to)}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../services/api';
+
+const EMPTY_FILTERS = { action: '', actor: '', target_type: '', target_id: '' };
+
+const shortWallet = (wallet) => (wallet ? `${wallet.slice(0, 6)}...${wallet.slice(-4)}` : 'system');
+
+const AuditLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [verification, setVerification] = useState(null);
+
+  const loadEntries = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await adminAPI.getAudit({ ...filters, cursor });
+      setEntries(prev => (cursor ? [...prev, ...data.entries] : data.entries));
+      setNextCursor(data.next_cursor);
+    } catch (err) {
+      console.error('Failed to load audit log:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    setFilters(Object.fromEntries(Object.keys(EMPTY_FILTERS).map(key => [key, form.get(key).trim()])));
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerification(await adminAPI.verifyAudit());
+    } catch (err) {
+      console.error('Failed to verify audit log:', err);
+      alert(err.message);
+    }
+  };
+
+  return (
+    <div className="audit-log">
+      <form className="audit-filters" onSubmit={handleSearch}>
+        <input name="action" placeholder="Action (e.g. project.approve)" defaultValue={filters.action} />
+        <input name="actor" placeholder="Actor wallet" defaultValue={filters.actor} />
+        <input name="target_type" placeholder="Target type" defaultValue={filters.target_type} />
+        <input name="target_id" placeholder="Target ID" defaultValue={filters.target_id} />
+        <button type="submit" className="tab-btn">Search</button>
+        <button type="button" className="tab-btn" onClick={handleVerify}>Verify chain</button>
+      </form>
+
+      {verification && (
+        <div className={`audit-verification ${verification.valid ? 'valid' : 'broken'}`}>
+          {verification.valid
+            ? `Hash chain intact (${verification.checked} entries)`
+            : `Hash chain broken at entry #${verification.broken_at}`}
+        </div>
+      )}
+
+      {error ? (
+        <div className="empty-state">{error}</div>
+      ) : entries.length === 0 && !loading ? (
+        <div className="empty-state">No audit entries found</div>
+      ) : (
+        <div className="projects-table-container">
+          <table className="projects-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>IP</th>
+                <th>Request</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    className="audit-entry"
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                  >
+                    <td>{entry.id}</td>
+                    <td>{new Date(entry.created_at).toLocaleString()}</td>
+                    <td className="wallet-cell">
+                      {shortWallet(entry.actor_wallet)} {entry.actor_role && `(${entry.actor_role})`}
+                    </td>
+                    <td>{entry.action}</td>
+                    <td>{entry.target_type ? `${entry.target_type} ${entry.target_id || ''}` : '-'}</td>
+                    <td>{entry.ip || '-'}</td>
+                    <td className="wallet-cell">{entry.request_id?.slice(0, 8) || '-'}</td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr className="history-row">
+                      <td colSpan="7">
+                        <div className="audit-diff">
+                          <div>
+                            <h4 className="history-title">Before</h4>
+                            <pre>{entry.before ? JSON.stringify(entry.before, null, 2) : '—'}</pre>
+                          </div>
+                          <div>
+                            <h4 className="history-title">After</h4>
+                            <pre>{entry.after ? JSON.stringify(entry.after, null, 2) : '—'}</pre>
+                          </div>
+                        </div>
+                        <span className="wallet-cell">hash {entry.hash}</span>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {loading && <div className="loading-state">Loading audit log...</div>}
+      {!loading && nextCursor && (
+        <button className="tab-btn" onClick={() => loadEntries(nextCursor)}>Load more</button>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
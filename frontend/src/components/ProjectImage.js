@@ -0,0 +1,61 @@
+import React, { useMemo, useState } from 'react';
+import { decode } from 'blurhash';
+
+const PLACEHOLDER_SIZE = 32;
+
+// Paints a blurhash onto a tiny canvas, shown behind the image until it has loaded
+const blurhashToDataUrl = (blurhash) => {
+  try {
+    const pixels = decode(blurhash, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+    const canvas = document.createElement('canvas');
+    canvas.width = PLACEHOLDER_SIZE;
+    canvas.height = PLACEHOLDER_SIZE;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+    return canvas.toDataURL();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Renders a project image from its image_details (srcset per format, size and blurhash) when the
+// API has them, so browsers download the smallest rendition that fits; plain URLs render as is.
+// sizes describes the rendered width, e.g. "(max-width: 768px) 100vw, 33vw".
+const ProjectImage = ({ src, details, sizes = '100vw', alt, loading = 'lazy' }) => {
+  const [loaded, setLoaded] = useState(false);
+  const placeholder = useMemo(
+    () => (details?.blurhash ? blurhashToDataUrl(details.blurhash) : null),
+    [details?.blurhash]
+  );
+
+  if (!details) {
+    return <img src={src} alt={alt} loading={loading} />;
+  }
+
+  const style = placeholder && !loaded
+    ? { backgroundImage: `url(${placeholder})`, backgroundSize: 'cover' }
+    : undefined;
+
+  return (
+    <picture>
+      {Object.entries(details.srcset)
+        .filter(([, srcSet]) => srcSet)
+        .map(([format, srcSet]) => (
+          <source key={format} type={`image/${format}`} srcSet={srcSet} sizes={sizes} />
+        ))}
+      <img
+        src={details.url}
+        alt={alt}
+        width={details.width || undefined}
+        height={details.height || undefined}
+        loading={loading}
+        style={style}
+        onLoad={() => setLoaded(true)}
+      />
+    </picture>
+  );
+};
+
+export default ProjectImage;
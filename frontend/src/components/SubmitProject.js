@@ -1,28 +1,114 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { projectsAPI, uploadAPI } from '../services/api';
+import { validate, errorsByField, createProjectSchema, resubmitProjectSchema } from 'propertyblock-shared';
+import { API_URL, projectsAPI, reviewsAPI, uploadAPI } from '../services/api';
 import './client_market.css';
 import './SubmitProject.css';
 
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  location: '',
+  price: '',
+  goal: '',
+  token_price: '',
+  min_investment: '',
+  property_type: '',
+  images: []
+};
+
 const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTrading, onPortfolio, onAdmin }) => {
   const { user, isAuthenticated, isAdmin, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
   const [loading, setLoading] = useState(false);
   const [uploadingImage, setUploadingImage] = useState(false);
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    location: '',
-    price: '',
-    goal: '',
-    token_price: '',
-    min_investment: '',
-    images: []
-  });
+  // Small renditions of uploaded images, keyed by image URL, so previews don't load full-size files
+  const [thumbnails, setThumbnails] = useState({});
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [imageUrl, setImageUrl] = useState('');
+  const submission = useRef(null);
+  const [myProjects, setMyProjects] = useState([]);
+  const [editingProjectId, setEditingProjectId] = useState(null);
+  const [resubmitComment, setResubmitComment] = useState('');
+  const [threadProjectId, setThreadProjectId] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [replyText, setReplyText] = useState('');
+
+  const loadMyProjects = async () => {
+    try {
+      const data = await projectsAPI.getMyProjects();
+      setMyProjects(data.projects || []);
+    } catch (error) {
+      console.error('Failed to load my projects:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadMyProjects();
+    }
+  }, [isAuthenticated]);
+
+  const handleEdit = (project) => {
+    setEditingProjectId(project.id);
+    setResubmitComment('');
+    setFieldErrors({});
+    setFormData({
+      name: project.name || '',
+      description: project.description || '',
+      location: project.location || '',
+      price: project.price ?? '',
+      goal: project.goal ?? '',
+      token_price: project.token_price ?? '',
+      min_investment: project.min_investment ?? '',
+      property_type: project.property_type || '',
+      images: project.images || []
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingProjectId(null);
+    setResubmitComment('');
+    setFieldErrors({});
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleToggleThread = async (projectId) => {
+    if (threadProjectId === projectId) {
+      setThreadProjectId(null);
+      return;
+    }
+
+    try {
+      const data = await reviewsAPI.getAll(projectId);
+      setReviews(data.reviews || []);
+      setReplyText('');
+      setThreadProjectId(projectId);
+    } catch (error) {
+      console.error('Failed to load reviews:', error);
+      alert('Failed to load review thread');
+    }
+  };
+
+  const handleReply = async () => {
+    if (!replyText.trim()) return;
+
+    try {
+      await reviewsAPI.addComment(threadProjectId, replyText.trim());
+      const data = await reviewsAPI.getAll(threadProjectId);
+      setReviews(data.reviews || []);
+      setReplyText('');
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      alert(error.message || 'Failed to add comment');
+    }
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
   const handleAddImage = () => {
@@ -48,17 +134,21 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
 
     setUploadingImage(true);
     try {
-      const uploadPromises = files.map(file => uploadAPI.uploadImage(file));
+      const uploadPromises = files.map(file => uploadAPI.uploadImage(file, editingProjectId || undefined));
       const results = await Promise.all(uploadPromises);
       
-      const newImageUrls = results.map(result => `http://localhost:3001${result.url}`);
+      const newImageUrls = results.map(result => `${API_URL}${result.url}`);
+      setThumbnails(prev => ({
+        ...prev,
+        ...Object.fromEntries(results.map((result, index) => [newImageUrls[index], `${API_URL}${result.thumbnail}`]))
+      }));
       setFormData(prev => ({
         ...prev,
         images: [...prev.images, ...newImageUrls]
       }));
     } catch (error) {
       console.error('Upload error:', error);
-      alert('Failed to upload images. Please try again.');
+      alert(error.message || 'Failed to upload images. Please try again.');
     } finally {
       setUploadingImage(false);
     }
@@ -67,27 +157,45 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!formData.name) {
-      alert('Project name is required');
+    // Same schema the API validates against, so the form rejects what the server would
+    const { value: projectData, errors } = editingProjectId
+      ? validate(resubmitProjectSchema, { ...formData, comment: resubmitComment })
+      : validate(createProjectSchema, formData);
+    setFieldErrors(errorsByField(errors));
+    if (errors.length > 0) {
       return;
     }
 
     setLoading(true);
     try {
-      const projectData = {
-        ...formData,
-        price: formData.price ? parseFloat(formData.price) : null,
-        goal: formData.goal ? parseFloat(formData.goal) : null,
-        token_price: formData.token_price ? parseFloat(formData.token_price) : null,
-        min_investment: formData.min_investment ? parseFloat(formData.min_investment) : null
-      };
-
-      await projectsAPI.create(projectData);
+      if (editingProjectId) {
+        const { comment, ...changes } = projectData;
+        await projectsAPI.resubmit(editingProjectId, changes, comment);
+        alert('Project resubmitted for approval!');
+        handleCancelEdit();
+        await loadMyProjects();
+        return;
+      }
+
+      // Resubmitting an unchanged form reuses its key, so a retry after a lost response creates no duplicate
+      const body = JSON.stringify(projectData);
+      if (!submission.current || submission.current.body !== body) {
+        submission.current = { body, key: crypto.randomUUID() };
+      }
+
+      await projectsAPI.create(projectData, submission.current.key);
+      submission.current = null;
       alert('Project submitted for approval!');
       onSuccess && onSuccess();
     } catch (error) {
       console.error('Submit error:', error);
-      alert('Failed to submit project. Make sure you are logged in.');
+      // Field errors from the API use the same names as the form inputs
+      if (error.fields) {
+        setFieldErrors(errorsByField(error.fields));
+      }
+      alert(editingProjectId
+        ? error.message || 'Failed to resubmit project'
+        : error.message || 'Failed to submit project. Make sure you are logged in.');
     } finally {
       setLoading(false);
     }
@@ -150,7 +258,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
       <div className="submit-content">
         <div className="container">
           <div className="page-header">
-            <h1>Submit New Property</h1>
+            <h1>{editingProjectId ? 'Edit & Resubmit Property' : 'Submit New Property'}</h1>
           </div>
           
           <div className="submit-layout">
@@ -169,6 +277,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                 placeholder="e.g., Zagreb Tower A – Phase I"
                 required
               />
+              {fieldErrors.name && <span className="field-error">{fieldErrors.name}</span>}
             </div>
 
             <div className="form-group">
@@ -181,6 +290,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                 placeholder="Describe the property, construction plans, and investment opportunity..."
                 rows={5}
               />
+              {fieldErrors.description && <span className="field-error">{fieldErrors.description}</span>}
             </div>
 
             <div className="form-group">
@@ -193,6 +303,23 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                 onChange={handleChange}
                 placeholder="e.g., Zagreb, Croatia"
               />
+              {fieldErrors.location && <span className="field-error">{fieldErrors.location}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="property_type">Property Type</label>
+              <select
+                id="property_type"
+                name="property_type"
+                value={formData.property_type}
+                onChange={handleChange}
+              >
+                <option value="">Select type</option>
+                <option value="residential">Residential</option>
+                <option value="commercial">Commercial</option>
+                <option value="mixed_use">Mixed Use</option>
+              </select>
+              {fieldErrors.property_type && <span className="field-error">{fieldErrors.property_type}</span>}
             </div>
           </div>
 
@@ -211,6 +338,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                   placeholder="e.g., 750000"
                   min="0"
                 />
+                {fieldErrors.price && <span className="field-error">{fieldErrors.price}</span>}
               </div>
 
               <div className="form-group">
@@ -224,6 +352,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                   placeholder="e.g., 500000"
                   min="0"
                 />
+                {fieldErrors.goal && <span className="field-error">{fieldErrors.goal}</span>}
               </div>
             </div>
 
@@ -239,6 +368,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                   placeholder="e.g., 125"
                   min="0"
                 />
+                {fieldErrors.token_price && <span className="field-error">{fieldErrors.token_price}</span>}
               </div>
 
               <div className="form-group">
@@ -252,6 +382,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                   placeholder="e.g., 1000"
                   min="0"
                 />
+                {fieldErrors.min_investment && <span className="field-error">{fieldErrors.min_investment}</span>}
               </div>
             </div>
           </div>
@@ -312,7 +443,7 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
               <div className="image-preview-grid">
                 {formData.images.map((url, index) => (
                   <div key={index} className="image-preview">
-                    <img src={url} alt={`Preview ${index + 1}`} />
+                    <img src={thumbnails[url] || url} alt={`Preview ${index + 1}`} />
                     <button 
                       type="button" 
                       onClick={() => handleRemoveImage(index)}
@@ -324,18 +455,35 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                 ))}
               </div>
             )}
+            {fieldErrors.images && <span className="field-error">{fieldErrors.images}</span>}
           </div>
 
+          {editingProjectId && (
+            <div className="form-section">
+              <h3>Note for Reviewers</h3>
+              <div className="form-group">
+                <textarea
+                  value={resubmitComment}
+                  onChange={(e) => setResubmitComment(e.target.value)}
+                  placeholder="Explain what you changed since the last review..."
+                  rows={3}
+                />
+                {fieldErrors.comment && <span className="field-error">{fieldErrors.comment}</span>}
+              </div>
+            </div>
+          )}
+
           <div className="form-actions">
-            <button type="button" onClick={onBack} className="cancel-btn">
+            <button type="button" onClick={editingProjectId ? handleCancelEdit : onBack} className="cancel-btn">
               Cancel
             </button>
             <button type="submit" className="submit-btn" disabled={loading}>
-              {loading ? 'Submitting...' : 'Submit for Approval'}
+              {loading ? 'Submitting...' : editingProjectId ? 'Resubmit for Approval' : 'Submit for Approval'}
             </button>
           </div>
             </form>
 
+            <div className="side-panels">
             <div className="info-panel">
               <h4>📋 Submission Guidelines</h4>
               <ul>
@@ -346,6 +494,59 @@ const SubmitProject = ({ onBack, onSuccess, onMarketplace, onMintTokens, onTradi
                 <li>You will be notified once reviewed</li>
               </ul>
             </div>
+
+            {myProjects.length > 0 && (
+              <div className="info-panel my-submissions">
+                <h4>🗂 My Submissions</h4>
+                {myProjects.map(project => (
+                  <div key={project.id} className="submission-item">
+                    <div className="submission-header">
+                      <span className="submission-name">{project.name}</span>
+                      <span className={`status-badge ${project.status}`}>{project.status}</span>
+                    </div>
+                    {project.status === 'rejected' && project.latest_decision?.kind === 'rejection' && (
+                      <p className="submission-reason">
+                        Rejected: {project.latest_decision.comment || 'No reason given'}
+                      </p>
+                    )}
+                    <div className="submission-actions">
+                      {project.status === 'rejected' && (
+                        <button type="button" className="add-image-btn" onClick={() => handleEdit(project)}>
+                          Edit & Resubmit
+                        </button>
+                      )}
+                      <button type="button" className="add-image-btn" onClick={() => handleToggleThread(project.id)}>
+                        {threadProjectId === project.id ? 'Hide Discussion' : 'Discussion'}
+                      </button>
+                    </div>
+                    {threadProjectId === project.id && (
+                      <div className="review-thread">
+                        {reviews.length === 0 ? (
+                          <p className="review-empty">No messages yet</p>
+                        ) : reviews.map(review => (
+                          <div key={review.id} className={`review-entry review-${review.kind}`}>
+                            <span className="review-meta">
+                              {review.author_wallet === user?.wallet ? 'You' : 'Reviewer'} · {review.kind} · {new Date(review.created_at).toLocaleString()}
+                            </span>
+                            {review.comment && <p>{review.comment}</p>}
+                          </div>
+                        ))}
+                        <textarea
+                          value={replyText}
+                          onChange={(e) => setReplyText(e.target.value)}
+                          placeholder="Write a message to the reviewers..."
+                          rows={2}
+                        />
+                        <button type="button" className="add-image-btn" onClick={handleReply}>
+                          Send
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            </div>
           </div>
         </div>
       </div>
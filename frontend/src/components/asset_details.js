@@ -1,10 +1,166 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { DOCUMENT_CATEGORIES, DOCUMENT_VISIBILITIES } from 'propertyblock-shared';
 import { useAuth } from '../context/AuthContext';
+import { documentsAPI, investmentsAPI, milestonesAPI } from '../services/api';
+import ProjectImage from './ProjectImage';
 import './asset_details.css';
 
+const DOCUMENT_CATEGORY_LABELS = {
+  whitepaper: 'Whitepaper',
+  legal: 'Legal',
+  financial: 'Financial',
+  property_deed: 'Property Deed',
+  permit: 'Permit',
+  plan: 'Plan',
+  report: 'Report',
+  other: 'Other'
+};
+
+const DOCUMENT_VISIBILITY_LABELS = {
+  public: 'Public',
+  investors: 'Investors only',
+  admin: 'Admins and project team'
+};
+
+const formatFileSize = (bytes) => {
+  const size = Number(bytes);
+  if (size >= 1024 * 1024) return `${(size / 1024 / 1024).toFixed(1)} MB`;
+  if (size >= 1024) return `${Math.round(size / 1024)} KB`;
+  return `${size} B`;
+};
+
 const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onPortfolio, onAdmin, onSubmitProject }) => {
-  const { user, isAuthenticated, isAdmin, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
+  const { user, isAuthenticated, isAdmin, hasRole, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
   const [activeTab, setActiveTab] = useState('overview');
+  const [milestones, setMilestones] = useState([]);
+  const [milestoneAction, setMilestoneAction] = useState(null);
+  const [investorSummary, setInvestorSummary] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [canManageDocuments, setCanManageDocuments] = useState(false);
+  const [documentForm, setDocumentForm] = useState({ file: null, category: 'whitepaper', title: '', visibility: 'investors' });
+  const [uploadingDocument, setUploadingDocument] = useState(false);
+
+  const loadMilestones = useCallback(() => {
+    if (!project?.id) return;
+    milestonesAPI.getAll(project.id)
+      .then(data => setMilestones(data.milestones || []))
+      .catch(err => console.error('Failed to load milestones:', err));
+  }, [project?.id]);
+
+  useEffect(() => {
+    loadMilestones();
+  }, [loadMilestones]);
+
+  useEffect(() => {
+    if (!project?.id) return;
+    investmentsAPI.getProjectSummary(project.id)
+      .then(data => setInvestorSummary(data.summary))
+      .catch(err => console.error('Failed to load investor summary:', err));
+  }, [project?.id]);
+
+  const loadDocuments = useCallback(() => {
+    if (!project?.id) return;
+    documentsAPI.getAll(project.id)
+      .then(data => {
+        setDocuments(data.documents || []);
+        setCanManageDocuments(!!data.can_manage);
+      })
+      .catch(err => console.error('Failed to load documents:', err));
+  }, [project?.id]);
+
+  // Signing in can reveal investors and admin documents
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments, isAuthenticated]);
+
+  const handleDownloadDocument = async (doc) => {
+    try {
+      const blob = await documentsAPI.download(project.id, doc);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = doc.original_name || doc.title;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Document download failed:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleUploadDocument = async (e) => {
+    e.preventDefault();
+    if (!documentForm.file) return;
+
+    setUploadingDocument(true);
+    try {
+      await documentsAPI.upload(project.id, documentForm.file, {
+        category: documentForm.category,
+        title: documentForm.title.trim() || undefined,
+        visibility: documentForm.visibility
+      });
+      setDocumentForm(prev => ({ ...prev, file: null, title: '' }));
+      e.target.reset();
+      loadDocuments();
+    } catch (err) {
+      console.error('Document upload failed:', err);
+      alert(err.message);
+    } finally {
+      setUploadingDocument(false);
+    }
+  };
+
+  const handleDeleteDocument = async (doc) => {
+    if (!window.confirm(`Delete "${doc.title}"?`)) return;
+    try {
+      await documentsAPI.remove(project.id, doc.id);
+      loadDocuments();
+    } catch (err) {
+      console.error('Document delete failed:', err);
+      alert(err.message);
+    }
+  };
+
+  const canSubmitMilestones = !!project?.id && project.status === 'building' && (
+    hasRole('CONTRACTOR', project.id) ||
+    (!!user && project.contractor_wallet === user.wallet)
+  );
+  const canVerifyMilestones = !!project?.id && hasRole('VERIFIER', project.id);
+
+  const runMilestoneAction = async (milestoneId, action) => {
+    setMilestoneAction(milestoneId);
+    try {
+      await action();
+      loadMilestones();
+    } catch (err) {
+      console.error('Milestone action failed:', err);
+      alert(err.message);
+    } finally {
+      setMilestoneAction(null);
+    }
+  };
+
+  const handleSubmitMilestone = (milestone) => {
+    const documentationUri = window.prompt('Link to progress documentation (photos, reports):');
+    if (documentationUri === null) return;
+    runMilestoneAction(milestone.id, () =>
+      milestonesAPI.submit(project.id, milestone.id, documentationUri.trim() || null)
+    );
+  };
+
+  const handleVerifyMilestone = (milestone) => {
+    runMilestoneAction(milestone.id, () => milestonesAPI.verify(project.id, milestone.id));
+  };
+
+  const handleDisputeMilestone = (milestone) => {
+    const reason = window.prompt('Why is this milestone disputed?');
+    if (!reason) return;
+    runMilestoneAction(milestone.id, () => milestonesAPI.dispute(project.id, milestone.id, reason));
+  };
+
+  const handleResolveDispute = (milestone, approved) => {
+    runMilestoneAction(milestone.id, () => milestonesAPI.resolve(project.id, milestone.id, approved));
+  };
 
   const formatNumber = (num) => {
     if (num === null || num === undefined) {
@@ -51,6 +207,11 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
     'https://images.unsplash.com/photo-1484154218962-a197022b5858?w=800'
   ];
 
+  // The project's own images with their renditions, or the sample gallery for projects without any
+  const galleryImages = project?.images?.length > 0
+    ? project.images.map((url, index) => ({ url, details: project.image_details?.[index] }))
+    : gallery.map(url => ({ url, details: null }));
+
   const features = [
     { icon: '✓', text: '24/7 security & surveillance', checked: true },
     { icon: '✓', text: 'Underground parking', checked: true },
@@ -61,37 +222,48 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
   ];
 
 
-  const timeline = [
-    {
-      phase: 'Foundation & Structure',
-      status: 'Completed',
-      description: 'Foundation work and main structure construction completed',
-      amount: '€180,000',
-      info: 'Verified on-chain',
-      percentage: 100
-    },
-    {
-      phase: 'Interior Construction',
-      status: 'In Progress',
-      amount: '€320,000',
-      percentage: 65
-    },
-    {
-      phase: 'Finishing & Amenities',
-      status: 'Pending',
-      description: 'Final touches, amenities installation, and landscaping',
-      amount: '€250,000',
-      info: 'Scheduled Q2 2025',
-      percentage: 0
+  const getMilestoneStatus = (status) => {
+    switch (status) {
+      case 'verified':
+      case 'paid':
+        return 'Completed';
+      case 'submitted':
+        return 'In Progress';
+      case 'disputed':
+        return 'Disputed';
+      default:
+        return 'Pending';
     }
-  ];
+  };
 
-  const documents = [
-    { name: 'Project Whitepaper', icon: 'file', size: '2.5 MB' },
-    { name: 'Legal Documents', icon: 'file', size: '1.8 MB' },
-    { name: 'Financial Summary', icon: 'file', size: '890 KB' },
-    { name: 'Property Deed', icon: 'file', size: '1.2 MB' }
-  ];
+  const getMilestoneInfo = (milestone) => {
+    switch (milestone.status) {
+      case 'paid':
+        return 'Paid out';
+      case 'verified':
+        return 'Verified';
+      case 'submitted':
+        return `Awaiting verification (${milestone.approvals}/${milestone.verification_threshold})`;
+      case 'disputed':
+        return milestone.dispute_reason ? `Disputed: ${milestone.dispute_reason}` : 'Disputed';
+      default:
+        return `${parseFloat(milestone.budget_percent)}% of budget`;
+    }
+  };
+
+  const goal = parseFloat(String(projectData.goal).replace(/[^\d.]/g, '')) || 0;
+
+  const timeline = milestones.map(milestone => ({
+    milestone,
+    phase: `Milestone ${milestone.milestone_index + 1}`,
+    status: getMilestoneStatus(milestone.status),
+    description: milestone.description,
+    amount: `€${formatNumber(Math.round(goal * parseFloat(milestone.budget_percent) / 100))}`,
+    info: getMilestoneInfo(milestone),
+    percentage: milestone.verification_threshold > 0
+      ? Math.round(milestone.approvals / milestone.verification_threshold * 100)
+      : 0
+  }));
 
   return (
     <div className="asset-details">
@@ -149,7 +321,13 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
 
       <div className="hero-section">
         <div className="hero-image">
-          <img src={gallery[0]} alt={projectData.name} />
+          <ProjectImage
+            src={galleryImages[0].url}
+            details={galleryImages[0].details}
+            sizes="100vw"
+            alt={projectData.name}
+            loading="eager"
+          />
           <div className="hero-overlay">
             <div className="container">
               <div className="hero-badge-row">
@@ -195,9 +373,14 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
               <section className="section">
                 <h2 className="section-title">Project Gallery</h2>
                 <div className="gallery-grid">
-                  {gallery.map((img, index) => (
+                  {galleryImages.map((image, index) => (
                     <div key={index} className="gallery-item">
-                      <img src={img} alt={`Gallery ${index + 1}`} />
+                      <ProjectImage
+                        src={image.url}
+                        details={image.details}
+                        sizes="(max-width: 768px) 50vw, 300px"
+                        alt={`Gallery ${index + 1}`}
+                      />
                     </div>
                   ))}
                 </div>
@@ -273,6 +456,9 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
               <section className="section">
                 <h2 className="section-title">Construction Timeline</h2>
                 <div className="timeline">
+                  {timeline.length === 0 && (
+                    <p className="timeline-description">No milestones have been defined for this project yet.</p>
+                  )}
                   {timeline.map((phase, index) => (
                     <div key={index} className="timeline-item">
                       <div className={`timeline-icon-container ${phase.status.toLowerCase().replace(' ', '-')}`}>
@@ -303,6 +489,55 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
                         <div className="timeline-footer">
                           <span className="timeline-amount">{phase.amount} • {phase.info}</span>
                         </div>
+                        {phase.milestone && (
+                          <div className="timeline-actions">
+                            {canSubmitMilestones && phase.milestone.status === 'pending' && (
+                              <button
+                                className="timeline-action-btn"
+                                onClick={() => handleSubmitMilestone(phase.milestone)}
+                                disabled={milestoneAction === phase.milestone.id}
+                              >
+                                Submit for verification
+                              </button>
+                            )}
+                            {canVerifyMilestones && phase.milestone.status === 'submitted' && (
+                              <>
+                                <button
+                                  className="timeline-action-btn"
+                                  onClick={() => handleVerifyMilestone(phase.milestone)}
+                                  disabled={milestoneAction === phase.milestone.id}
+                                >
+                                  Verify
+                                </button>
+                                <button
+                                  className="timeline-action-btn secondary"
+                                  onClick={() => handleDisputeMilestone(phase.milestone)}
+                                  disabled={milestoneAction === phase.milestone.id}
+                                >
+                                  Dispute
+                                </button>
+                              </>
+                            )}
+                            {isAdmin && phase.milestone.status === 'disputed' && (
+                              <>
+                                <button
+                                  className="timeline-action-btn"
+                                  onClick={() => handleResolveDispute(phase.milestone, true)}
+                                  disabled={milestoneAction === phase.milestone.id}
+                                >
+                                  Approve milestone
+                                </button>
+                                <button
+                                  className="timeline-action-btn secondary"
+                                  onClick={() => handleResolveDispute(phase.milestone, false)}
+                                  disabled={milestoneAction === phase.milestone.id}
+                                >
+                                  Send back to contractor
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
                         {phase.status === 'In Progress' && phase.percentage > 0 && (
                           <div className="timeline-progress">
                             <div 
@@ -503,11 +738,50 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
                 </div>
               </div>
 
+              {investorSummary && (
+                <div className="info-card">
+                  <h3 className="info-card-title">Investors</h3>
+                  <div className="info-list">
+                    <div className="info-row">
+                      <span className="info-label">Investors</span>
+                      <span className="info-value">{formatNumber(investorSummary.investor_count)}</span>
+                    </div>
+                    {investorSummary.distribution.map(bucket => (
+                      <div className="info-row" key={bucket.label}>
+                        <span className="info-label">{bucket.label}</span>
+                        <span className="info-value">{formatNumber(bucket.investors)}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {investorSummary.top_holders.length > 0 && (
+                    <div className="info-list top-holders">
+                      <div className="top-holders-title">Top holders</div>
+                      {investorSummary.top_holders.map((holder, index) => (
+                        <div className="info-row" key={index}>
+                          <span className="info-label top-holder-wallet">{holder.wallet}</span>
+                          <span className="info-value">{holder.share_percent}%</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="info-card">
                 <h3 className="info-card-title">Project Documents</h3>
                 <div className="documents-sidebar-list">
-                  {documents.map((doc, index) => (
-                    <div key={index} className="document-sidebar-item">
+                  {documents.length === 0 && (
+                    <div className="document-sidebar-size">
+                      {isAuthenticated ? 'No documents available' : 'No public documents. Connect your wallet to see documents for investors.'}
+                    </div>
+                  )}
+                  {documents.map(doc => (
+                    <div
+                      key={doc.id}
+                      className="document-sidebar-item"
+                      onClick={() => handleDownloadDocument(doc)}
+                      title={`SHA-256: ${doc.sha256}`}
+                    >
                       <span className="document-sidebar-icon">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                           <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
@@ -515,9 +789,24 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
                         </svg>
                       </span>
                       <div className="document-sidebar-info">
-                        <div className="document-sidebar-name">{doc.name}</div>
-                        <div className="document-sidebar-size">{doc.size}</div>
+                        <div className="document-sidebar-name">{doc.title}</div>
+                        <div className="document-sidebar-size">
+                          {DOCUMENT_CATEGORY_LABELS[doc.category]} · {formatFileSize(doc.size_bytes)}
+                          {doc.visibility !== 'public' && ` · ${DOCUMENT_VISIBILITY_LABELS[doc.visibility]}`}
+                        </div>
                       </div>
+                      {canManageDocuments && (
+                        <button
+                          type="button"
+                          className="document-delete"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDeleteDocument(doc);
+                          }}
+                        >
+                          ✕
+                        </button>
+                      )}
                       <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
                         <polyline points="7 10 12 15 17 10"></polyline>
@@ -526,6 +815,41 @@ const AssetDetails = ({ project, onBack, onMintTokens, onTrading, onMarket2, onP
                     </div>
                   ))}
                 </div>
+
+                {canManageDocuments && (
+                  <form className="document-upload-form" onSubmit={handleUploadDocument}>
+                    <input
+                      type="file"
+                      accept=".pdf,.dwg,.xlsx"
+                      onChange={(e) => setDocumentForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                    />
+                    <input
+                      type="text"
+                      placeholder="Title (defaults to the file name)"
+                      value={documentForm.title}
+                      onChange={(e) => setDocumentForm(prev => ({ ...prev, title: e.target.value }))}
+                    />
+                    <select
+                      value={documentForm.category}
+                      onChange={(e) => setDocumentForm(prev => ({ ...prev, category: e.target.value }))}
+                    >
+                      {DOCUMENT_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{DOCUMENT_CATEGORY_LABELS[category]}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={documentForm.visibility}
+                      onChange={(e) => setDocumentForm(prev => ({ ...prev, visibility: e.target.value }))}
+                    >
+                      {DOCUMENT_VISIBILITIES.map(visibility => (
+                        <option key={visibility} value={visibility}>{DOCUMENT_VISIBILITY_LABELS[visibility]}</option>
+                      ))}
+                    </select>
+                    <button type="submit" disabled={!documentForm.file || uploadingDocument}>
+                      {uploadingDocument ? 'Uploading...' : 'Upload document'}
+                    </button>
+                  </form>
+                )}
               </div>
             </aside>
           </div>
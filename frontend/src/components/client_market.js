@@ -1,8 +1,29 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { projectsAPI } from '../services/api';
+import ProjectImage from './ProjectImage';
 import './client_market.css';
 
+// Sidebar checkboxes and the project statuses they cover
+const STATUS_FILTERS = {
+  approved: ['approved'],
+  minting: ['minting', 'funded'],
+  building: ['building'],
+  trading: ['trading', 'final_sale'],
+  finished: ['completed'],
+  pending: ['pending']
+};
+
+const SORT_PARAMS = {
+  newest: 'newest',
+  relevance: 'relevance',
+  progress: 'progress',
+  'price-low': 'price_asc',
+  'price-high': 'price_desc'
+};
+
+const PAGE_SIZE = 12;
+
 const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onAdmin, onSubmitProject }) => {
   const { user, isAuthenticated, isAdmin, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
   
@@ -13,6 +34,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
     trading: true,
     finished: true,
     pending: false,
+    search: '',
     location: 'All Cities',
     propertyType: 'all',
     minInvestment: '',
@@ -21,62 +43,92 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
 
   const [sortBy, setSortBy] = useState('newest');
   const [projects, setProjects] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const latestRequest = useRef(0);
 
-  useEffect(() => {
-    const fetchProjects = async () => {
-      setLoading(true);
-      try {
-        const data = await projectsAPI.getAll();
-        console.log('API Response:', data);
-        console.log('Projects:', data.projects);
-        setProjects(data.projects || []);
-      } catch (error) {
-        console.error('Failed to fetch projects:', error);
-        setProjects([
-          {
-            id: 1,
-            name: 'Zagreb Tower A – Phase I',
-            location: 'Zagreb, Croatia',
-            status: 'approved',
-            goal: 750000,
-            token_price: 125,
-            min_investment: 1000,
-            images: ['https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=400']
-          },
-          {
-            id: 2,
-            name: 'Split Business Center',
-            location: 'Split, Croatia',
-            status: 'approved',
-            goal: 1200000,
-            token_price: 200,
-            min_investment: 2000,
-            images: ['https://images.unsplash.com/photo-1486406146926-c627a92ad1ab?w=400']
-          }
-        ]);
-      } finally {
+  const fetchProjects = useCallback(async (cursor = null) => {
+    const statuses = Object.entries(STATUS_FILTERS)
+      .filter(([key]) => filters[key] && (key !== 'pending' || isAdmin))
+      .flatMap(([, values]) => values);
+    const amount = (value) => value.replace(/[^0-9.]+/g, '');
+
+    const params = {
+      status: statuses,
+      q: filters.search.trim(),
+      location: filters.location === 'All Cities' ? undefined : filters.location,
+      property_type: filters.propertyType === 'all' ? undefined : filters.propertyType,
+      min_ticket: amount(filters.minInvestment),
+      max_ticket: amount(filters.maxInvestment),
+      sort: sortBy === 'relevance' && !filters.search.trim() ? 'newest' : SORT_PARAMS[sortBy],
+      limit: PAGE_SIZE
+    };
+    const requestId = ++latestRequest.current;
+
+    if (params.status.length === 0) {
+      setProjects([]);
+      setTotal(0);
+      setNextCursor(null);
+      setLoading(false);
+      return;
+    }
+
+    cursor ? setLoadingMore(true) : setLoading(true);
+    try {
+      const data = await projectsAPI.getAll({ ...params, cursor });
+      // A newer filter change has already been requested
+      if (requestId !== latestRequest.current) return;
+
+      setProjects(prev => cursor ? [...prev, ...data.projects] : data.projects);
+      setTotal(data.total);
+      setStatusCounts(data.status_counts || {});
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Failed to fetch projects:', error);
+      if (cursor) return;
+      setProjects([
+        {
+          id: 1,
+          name: 'Zagreb Tower A – Phase I',
+          location: 'Zagreb, Croatia',
+          status: 'approved',
+          goal: 750000,
+          token_price: 125,
+          min_investment: 1000,
+          images: ['https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=400']
+        },
+        {
+          id: 2,
+          name: 'Split Business Center',
+          location: 'Split, Croatia',
+          status: 'approved',
+          goal: 1200000,
+          token_price: 200,
+          min_investment: 2000,
+          images: ['https://images.unsplash.com/photo-1486406146926-c627a92ad1ab?w=400']
+        }
+      ]);
+      setTotal(2);
+      setNextCursor(null);
+    } finally {
+      if (requestId === latestRequest.current) {
         setLoading(false);
+        setLoadingMore(false);
       }
-    };
-    fetchProjects();
-  }, [isAdmin, filters.pending]);
+    }
+  }, [filters, sortBy, isAdmin]);
 
-  console.log('All projects:', projects);
-  console.log('Filters:', filters);
-  
-  const filteredProjects = projects.filter(project => {
-    console.log('Checking project:', project.name, 'status:', project.status);
-    if (filters.approved && project.status === 'approved') return true;
-    if (filters.minting && project.status === 'minting') return true;
-    if (filters.building && project.status === 'building') return true;
-    if (filters.trading && project.status === 'trading') return true;
-    if (filters.finished && project.status === 'finished') return true;
-    if (filters.pending && project.status === 'pending' && isAdmin) return true;
-    return false;
-  });
-  
-  console.log('Filtered projects:', filteredProjects);
+  // Typing in the search and amount fields refetches once the user pauses
+  useEffect(() => {
+    const timer = setTimeout(() => fetchProjects(), 300);
+    return () => clearTimeout(timer);
+  }, [fetchProjects]);
+
+  const statusCount = (key) =>
+    STATUS_FILTERS[key].reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
 
   const formatPrice = (price) => {
     if (!price) return 'N/A';
@@ -169,7 +221,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                       onChange={(e) => setFilters({...filters, approved: e.target.checked})}
                     />
                     <span>Approved</span>
-                    <span className="filter-count filter-count-green">{projects.filter(p => p.status === 'approved').length}</span>
+                    <span className="filter-count filter-count-green">{statusCount('approved')}</span>
                   </label>
                   <label className="checkbox-label">
                     <input
@@ -178,7 +230,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                       onChange={(e) => setFilters({...filters, minting: e.target.checked})}
                     />
                     <span>Minting</span>
-                    <span className="filter-count filter-count-blue">{projects.filter(p => p.status === 'minting').length}</span>
+                    <span className="filter-count filter-count-blue">{statusCount('minting')}</span>
                   </label>
                   <label className="checkbox-label">
                     <input
@@ -187,7 +239,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                       onChange={(e) => setFilters({...filters, building: e.target.checked})}
                     />
                     <span>Building</span>
-                    <span className="filter-count filter-count-orange">{projects.filter(p => p.status === 'building').length}</span>
+                    <span className="filter-count filter-count-orange">{statusCount('building')}</span>
                   </label>
                   <label className="checkbox-label">
                     <input
@@ -196,7 +248,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                       onChange={(e) => setFilters({...filters, trading: e.target.checked})}
                     />
                     <span>Trading</span>
-                    <span className="filter-count filter-count-purple">{projects.filter(p => p.status === 'trading').length}</span>
+                    <span className="filter-count filter-count-purple">{statusCount('trading')}</span>
                   </label>
                   <label className="checkbox-label">
                     <input
@@ -205,7 +257,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                       onChange={(e) => setFilters({...filters, finished: e.target.checked})}
                     />
                     <span>Finished</span>
-                    <span className="filter-count filter-count-gray">{projects.filter(p => p.status === 'finished').length}</span>
+                    <span className="filter-count filter-count-gray">{statusCount('finished')}</span>
                   </label>
                   {isAdmin && (
                     <label className="checkbox-label">
@@ -215,11 +267,22 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                         onChange={(e) => setFilters({...filters, pending: e.target.checked})}
                       />
                       <span>Pending</span>
-                      <span className="filter-count filter-count-yellow">{projects.filter(p => p.status === 'pending').length}</span>
+                      <span className="filter-count filter-count-yellow">{statusCount('pending')}</span>
                     </label>
                   )}
                 </div>
 
+                <div className="filter-group">
+                  <h4 className="filter-group-title">Search</h4>
+                  <input
+                    type="text"
+                    className="range-input"
+                    placeholder="Name or description"
+                    value={filters.search}
+                    onChange={(e) => setFilters({...filters, search: e.target.value})}
+                  />
+                </div>
+
                 <div className="filter-group">
                   <h4 className="filter-group-title">Location</h4>
                   <select 
@@ -286,14 +349,14 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                   </div>
                 </div>
 
-                <button className="apply-filters-btn">Apply Filters</button>
+                <button className="apply-filters-btn" onClick={() => fetchProjects()}>Apply Filters</button>
               </div>
             </aside>
 
             <main className="projects-section">
               <div className="projects-header">
                 <p className="projects-count">
-                  <span className="count-number">{filteredProjects.length}</span> projects found
+                  <span className="count-number">{total}</span> projects found
                 </p>
                 <div className="sort-controls">
                   <div className="sort-wrapper">
@@ -304,6 +367,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                       onChange={(e) => setSortBy(e.target.value)}
                     >
                       <option value="newest">Newest</option>
+                      {filters.search.trim() && <option value="relevance">Relevance</option>}
                       <option value="progress">Progress</option>
                       <option value="price-low">Price: Low to High</option>
                       <option value="price-high">Price: High to Low</option>
@@ -315,17 +379,22 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
               <div className="projects-grid">
                 {loading ? (
                   <div className="loading-message">Loading projects...</div>
-                ) : filteredProjects.length === 0 ? (
+                ) : projects.length === 0 ? (
                   <div className="empty-message">No projects found. {!isAuthenticated && 'Connect wallet to submit a property.'}</div>
                 ) : (
-                  filteredProjects.map((project, index) => {
-                    console.table(project);
-                    const progressPercentage = project.status === 'finished' ? 100 : (index === 0 ? 43 : 60);
-                    const progressColor = project.status === 'finished' ? '#10b981' : '#3b82f6';
+                  projects.map(project => {
+                    const finished = project.status === 'completed';
+                    const progressPercentage = finished ? 100 : Math.min(100, Math.round(parseFloat(project.funding_percent) || 0));
+                    const progressColor = finished ? '#10b981' : '#3b82f6';
                     return (
                       <div key={project.id} className="project-card1">
                         <div className="project-image">
-                          <img src={getProjectImage(project)} alt={project.name} />
+                          <ProjectImage
+                            src={getProjectImage(project)}
+                            details={project.image_details?.[0]}
+                            sizes="(max-width: 768px) 100vw, 400px"
+                            alt={project.name}
+                          />
                           <span className={`status-badge ${project.status}`}>
                             {project.status}
                           </span>
@@ -354,7 +423,7 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                           <div style={{marginTop: '16px', marginBottom: '16px'}}>
                             <div style={{display: 'flex', justifyContent: 'space-between', marginBottom: '8px'}}>
                               <span style={{fontSize: '13px', color: '#64748b'}}>Progress</span>
-                              <span style={{fontSize: '14px', fontWeight: '600', color: project.status === 'finished' ? '#10b981' : '#1e293b'}}>{progressPercentage}%</span>
+                              <span style={{fontSize: '14px', fontWeight: '600', color: finished ? '#10b981' : '#1e293b'}}>{progressPercentage}%</span>
                             </div>
                             <div style={{
                               width: '100%',
@@ -384,6 +453,16 @@ const ClientMarket = ({ onViewDetails, onMintTokens, onTrading, onPortfolio, onA
                   })
                 )}
               </div>
+
+              {!loading && nextCursor && (
+                <button
+                  className="apply-filters-btn"
+                  onClick={() => fetchProjects(nextCursor)}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? 'Loading...' : 'Load More'}
+                </button>
+              )}
             </main>
           </div>
         </div>
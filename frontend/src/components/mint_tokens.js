@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
+import { validate, createInvestmentSchema } from 'propertyblock-shared';
 import { useAuth } from '../context/AuthContext';
 import { projectsAPI, investmentsAPI } from '../services/api';
+import { investOnChain } from '../services/contracts';
+import ProjectImage from './ProjectImage';
 import './mint_tokens.css';
 
 const MintTokens = ({ project, onBack, onMarket2, onPortfolio, onTrading, onAdmin, onSubmitProject }) => {
@@ -14,22 +17,26 @@ const MintTokens = ({ project, onBack, onMarket2, onPortfolio, onTrading, onAdmi
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
+  const loadMintingProjects = async () => {
+    const data = await projectsAPI.getAllPages({ status: ['approved', 'minting'] });
+    const mintingProjects = (data.projects || [])
+      .map(p => ({
+        ...p,
+        goal: parseFloat(p.goal) || 0,
+        current_funding: parseFloat(p.current_funding) || 0,
+        token_price: parseFloat(p.token_price) || 0,
+        min_investment: parseFloat(p.min_investment) || 0,
+        price: parseFloat(p.price) || 0
+      }));
+    setProjects(mintingProjects);
+    return mintingProjects;
+  };
+
   useEffect(() => {
     const fetchProjects = async () => {
       setLoading(true);
       try {
-        const data = await projectsAPI.getAll();
-        const mintingProjects = (data.projects || [])
-          .filter(p => p.status === 'approved' || p.status === 'minting')
-          .map(p => ({
-            ...p,
-            goal: parseFloat(p.goal) || 0,
-            current_funding: parseFloat(p.current_funding) || 0,
-            token_price: parseFloat(p.token_price) || 0,
-            min_investment: parseFloat(p.min_investment) || 0,
-            price: parseFloat(p.price) || 0
-          }));
-        setProjects(mintingProjects);
+        const mintingProjects = await loadMintingProjects();
         
         if (!selectedProjectId && mintingProjects.length > 0) {
           setSelectedProjectId(mintingProjects[0].id);
@@ -69,13 +76,19 @@ const MintTokens = ({ project, onBack, onMarket2, onPortfolio, onTrading, onAdmi
       return;
     }
 
-    const numAmount = parseFloat(investmentAmount.replace(/[^0-9.-]+/g, ''));
-    
-    if (isNaN(numAmount) || numAmount <= 0) {
-      setError('Please enter a valid investment amount');
+    // The transaction hash is checked by the API once the transfer is sent
+    const { value, errors } = validate(
+      { project_id: createInvestmentSchema.project_id, amount: createInvestmentSchema.amount },
+      { project_id: selectedProject.id, amount: investmentAmount.replace(/[^0-9.-]+/g, '') }
+    );
+
+    if (errors.length > 0) {
+      setError(errors[0].message);
       return;
     }
 
+    const numAmount = value.amount;
+
     if (selectedProject.min_investment && numAmount < selectedProject.min_investment) {
       setError(`Minimum investment is €${selectedProject.min_investment}`);
       return;
@@ -86,17 +99,25 @@ const MintTokens = ({ project, onBack, onMarket2, onPortfolio, onTrading, onAdmi
     setSuccess('');
 
     try {
+      if (!selectedProject.chain_project_id) {
+        throw new Error('This project is not yet available on chain');
+      }
+
+      const txHash = await investOnChain(selectedProject.chain_project_id, numAmount);
+
       const result = await investmentsAPI.create({
         project_id: selectedProject.id,
         amount: numAmount,
-        tx_hash: '0x' + Math.random().toString(16).substr(2, 64)
+        tx_hash: txHash
       });
 
-      setSuccess(`Successfully invested €${numAmount.toLocaleString()}! You received ${tokensToReceive} tokens.`);
-      
-      setTimeout(() => {
-        window.location.reload();
-      }, 2000);
+      if (result.investment?.status === 'confirmed') {
+        setSuccess(`Successfully invested €${numAmount.toLocaleString()}! You received ${tokensToReceive} tokens.`);
+      } else {
+        setSuccess(`Investment of €${numAmount.toLocaleString()} submitted. It will appear in your portfolio once the transaction is confirmed.`);
+      }
+
+      await loadMintingProjects().catch(error => console.error('Failed to refresh projects:', error));
     } catch (error) {
       console.error('Investment error:', error);
       setError(error.message || 'Failed to process investment');
@@ -179,7 +200,12 @@ const MintTokens = ({ project, onBack, onMarket2, onPortfolio, onTrading, onAdmi
                   onClick={() => setSelectedProjectId(proj.id)}
                 >
                   <div className="project-option-image">
-                    <img src={proj.images?.[0] || 'https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=400'} alt={proj.name} />
+                    <ProjectImage
+                      src={proj.images?.[0] || 'https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=400'}
+                      details={proj.image_details?.[0]}
+                      sizes="160px"
+                      alt={proj.name}
+                    />
                   </div>
                   <div className="project-option-info">
                     <h3>{proj.name}</h3>
@@ -203,7 +229,12 @@ const MintTokens = ({ project, onBack, onMarket2, onPortfolio, onTrading, onAdmi
               <div className="left-column">
                 <div className="project-preview-card">
                   <div className="project-preview-image">
-                    <img src={selectedProject.images?.[0] || 'https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=800'} alt={selectedProject.name} />
+                    <ProjectImage
+                      src={selectedProject.images?.[0] || 'https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=800'}
+                      details={selectedProject.image_details?.[0]}
+                      sizes="(max-width: 768px) 100vw, 800px"
+                      alt={selectedProject.name}
+                    />
                     <span className="status-badge-preview">{selectedProject.status}</span>
                   </div>
                   <div className="location-info">
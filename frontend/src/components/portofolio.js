@@ -1,78 +1,100 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { authAPI, eventsAPI, usersAPI } from '../services/api';
 import './client_market.css';
 import './portofolio.css';
 
 const Portfolio = ({ onMarketplace, onMintTokens, onTrading, onAdmin, onSubmitProject }) => {
   const { user, isAuthenticated, isAdmin, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
 
-  // Mock data za korisnička ulaganja (u budućnosti dohvatiti iz API-ja)
-  const userInvestments = [
-    {
-      id: 1,
-      projectName: 'Zagreb Tower A – Phase I',
-      location: 'Zagreb, Croatia',
-      tokensOwned: 40,
-      tokenPrice: 125,
-      totalValue: 5000,
-      initialInvestment: 4500,
-      profitLoss: 500,
-      profitLossPercent: 11.11,
-      image: 'https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=400'
-    },
-    {
-      id: 2,
-      projectName: 'Split Waterfront Residences',
-      location: 'Split, Croatia',
-      tokensOwned: 25,
-      tokenPrice: 150,
-      totalValue: 3750,
-      initialInvestment: 3500,
-      profitLoss: 250,
-      profitLossPercent: 7.14,
-      image: 'https://images.unsplash.com/photo-1486406146926-c627a92ad1ab?w=400'
-    },
-    {
-      id: 3,
-      projectName: 'Dubrovnik Heritage Plaza',
-      location: 'Dubrovnik, Croatia',
-      tokensOwned: 15,
-      tokenPrice: 200,
-      totalValue: 3000,
-      initialInvestment: 3200,
-      profitLoss: -200,
-      profitLossPercent: -6.25,
-      image: 'https://images.unsplash.com/photo-1560448204-e02f11c3d0e2?w=400'
+  const [userInvestments, setUserInvestments] = useState([]);
+  const [investmentsPublic, setInvestmentsPublic] = useState(false);
+  const [savingPrivacy, setSavingPrivacy] = useState(false);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    authAPI.getMe()
+      .then(({ user: me }) => setInvestmentsPublic(!!me.investments_public))
+      .catch(error => console.error('Failed to load privacy settings:', error));
+  }, [isAuthenticated]);
+
+  const handleTogglePublic = async (e) => {
+    const next = e.target.checked;
+    setSavingPrivacy(true);
+    try {
+      const { user: updated } = await usersAPI.setInvestmentsPublic(next);
+      setInvestmentsPublic(updated.investments_public);
+    } catch (error) {
+      console.error('Failed to update privacy settings:', error);
+      alert(error.message || 'Failed to update privacy settings');
+    } finally {
+      setSavingPrivacy(false);
     }
-  ];
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUserInvestments([]);
+      return;
+    }
+    const fetchHoldings = async () => {
+      try {
+        const data = await eventsAPI.getMyHoldings();
+        setUserInvestments((data.holdings || []).map(holding => {
+          const tokensOwned = parseFloat(holding.tokens) || 0;
+          const tokenPrice = parseFloat(holding.project?.token_price) || 0;
+          const totalValue = tokensOwned * tokenPrice;
+          const initialInvestment = (parseFloat(holding.invested) || 0) - (parseFloat(holding.returned) || 0);
+          const profitLoss = totalValue - initialInvestment;
+          return {
+            id: holding.project_id,
+            projectName: holding.project?.name || `Project #${holding.project_id}`,
+            location: holding.project?.location || '',
+            tokensOwned,
+            tokenPrice,
+            totalValue,
+            initialInvestment,
+            profitLoss,
+            profitLossPercent: initialInvestment > 0 ? ((profitLoss / initialInvestment) * 100).toFixed(2) : '0.00',
+            image: holding.project?.images?.[0] || 'https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=400'
+          };
+        }).filter(investment => investment.tokensOwned > 0));
+      } catch (error) {
+        console.error('Failed to fetch holdings:', error);
+        setUserInvestments([]);
+      }
+    };
+    fetchHoldings();
+  }, [isAuthenticated]);
 
   const totalPortfolioValue = userInvestments.reduce((sum, inv) => sum + inv.totalValue, 0);
   const totalInvestment = userInvestments.reduce((sum, inv) => sum + inv.initialInvestment, 0);
   const totalProfitLoss = totalPortfolioValue - totalInvestment;
-  const totalProfitLossPercent = ((totalProfitLoss / totalInvestment) * 100).toFixed(2);
+  const totalProfitLossPercent = totalInvestment > 0 ? ((totalProfitLoss / totalInvestment) * 100).toFixed(2) : '0.00';
+  const totalTokens = userInvestments.reduce((sum, inv) => sum + inv.tokensOwned, 0);
 
   const portfolioStats = [
     {
       icon: '💼',
       color: '#3B82F6',
       label: 'Total Portfolio Value',
-      value: '€2,847,500',
-      change: '+12.5%',
-      changePositive: true
+      value: `€${totalPortfolioValue.toLocaleString()}`,
+      change: `${totalProfitLoss >= 0 ? '+' : ''}${totalProfitLossPercent}%`,
+      changePositive: totalProfitLoss >= 0
     },
     {
       icon: '💰',
       color: '#F59E0B',
       label: 'Total Returns',
-      value: '€347,500',
-      change: '+8.7%',
-      changePositive: true
+      value: `€${totalProfitLoss.toLocaleString()}`,
+      change: '',
+      changePositive: null
     },
     {
       icon: '🏢',
       color: '#8B5CF6',
       label: 'Total Tokens Owned',
-      value: '47,850',
+      value: totalTokens.toLocaleString(),
       change: '',
       changePositive: null
     },
@@ -80,7 +102,7 @@ const Portfolio = ({ onMarketplace, onMintTokens, onTrading, onAdmin, onSubmitPr
       icon: '📊',
       color: '#EF4444',
       label: 'Active Projects',
-      value: '12',
+      value: String(userInvestments.length),
       change: '',
       changePositive: null
     }
@@ -147,7 +169,17 @@ const Portfolio = ({ onMarketplace, onMintTokens, onTrading, onAdmin, onSubmitPr
             <p className="portfolio-subtitle">Track your real estate investments and performance</p>
           </div>
           <div className="title-actions">
-
+            {isAuthenticated && (
+              <label className="privacy-toggle" title="Projects only show a masked wallet for investors who have not opted in">
+                <input
+                  type="checkbox"
+                  checked={investmentsPublic}
+                  onChange={handleTogglePublic}
+                  disabled={savingPrivacy}
+                />
+                Show my wallet in public investor lists
+              </label>
+            )}
           </div>
         </div>
 
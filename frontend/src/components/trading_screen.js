@@ -1,9 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { projectsAPI } from '../services/api';
+import { projectsAPI, eventsAPI } from '../services/api';
 import './client_market.css';
 import './trading_screen.css';
 
+const formatTimeAgo = (timestamp) => {
+  if (!timestamp) return '';
+  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
 const TradingScreen = ({ project, onMarketplace, onPortfolio, onMintTokens, onAdmin, onSubmitProject }) => {
   const { user, isAuthenticated, isAdmin, loading: authLoading, connectWallet, disconnect, hasMetaMask, error: authError } = useAuth();
   const [activeTab, setActiveTab] = useState('buy');
@@ -12,6 +24,7 @@ const TradingScreen = ({ project, onMarketplace, onPortfolio, onMintTokens, onAd
   const [projects, setProjects] = useState([]);
   const [selectedProjectId, setSelectedProjectId] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [transactions, setTransactions] = useState([]);
 
   useEffect(() => {
     const fetchProjects = async () => {
@@ -62,6 +75,20 @@ const TradingScreen = ({ project, onMarketplace, onPortfolio, onMintTokens, onAd
     fetchProjects();
   }, []);
 
+  useEffect(() => {
+    if (!selectedProjectId) return;
+    const fetchTrades = async () => {
+      try {
+        const data = await eventsAPI.getTrades(selectedProjectId);
+        setTransactions(data.trades || []);
+      } catch (error) {
+        console.error('Error fetching trades:', error);
+        setTransactions([]);
+      }
+    };
+    fetchTrades();
+  }, [selectedProjectId]);
+
   const selectedProject = projects.find(p => p.id === selectedProjectId) || projects[0];
 
   const projectData = selectedProject ? {
@@ -80,21 +107,6 @@ const TradingScreen = ({ project, onMarketplace, onPortfolio, onMintTokens, onAd
     priceChangePositive: true
   };
 
-  const transactions = [
-    {
-      type: 'buy',
-      amount: '+15.2 ZTA1',
-      price: '€372.40',
-      time: '2 minutes ago'
-    },
-    {
-      type: 'sell',
-      amount: '-8.5 ZTA1',
-      price: '€208.25',
-      time: '1 hour ago'
-    }
-  ];
-
   return (
     <div className="trading-screen">
       <header className="header">
@@ -259,8 +271,15 @@ const TradingScreen = ({ project, onMarketplace, onPortfolio, onMintTokens, onAd
               <div className="recent-transactions">
                 <h3 className="section-title">Recent Transactions</h3>
                 <div className="transactions-list">
-                  {transactions.map((tx, index) => (
-                    <div key={index} className="transaction-item">
+                  {transactions.length === 0 && (
+                    <div className="transaction-item">
+                      <div className="transaction-details">
+                        <div className="transaction-time">No trades yet</div>
+                      </div>
+                    </div>
+                  )}
+                  {transactions.map((tx) => (
+                    <div key={`${tx.tx_hash}-${tx.log_index}`} className="transaction-item">
                       <div className="transaction-icon-wrapper">
                         <div className={`transaction-icon ${tx.type}`}>
                           {tx.type === 'buy' ? '↑' : '↓'}
@@ -268,13 +287,15 @@ const TradingScreen = ({ project, onMarketplace, onPortfolio, onMintTokens, onAd
                       </div>
                       <div className="transaction-details">
                         <div className="transaction-type">
-                          {tx.type === 'buy' ? 'Buy' : 'Sell'} ZTA1
+                          {tx.type === 'buy' ? 'Buy' : 'Sell'} {projectData.symbol}
                         </div>
-                        <div className="transaction-time">{tx.time}</div>
+                        <div className="transaction-time">{formatTimeAgo(tx.timestamp)}</div>
                       </div>
                       <div className="transaction-amounts">
-                        <div className={`transaction-amount ${tx.type}`}>{tx.amount}</div>
-                        <div className="transaction-price">{tx.price}</div>
+                        <div className={`transaction-amount ${tx.type}`}>
+                          {tx.type === 'buy' ? '+' : '-'}{parseFloat(tx.token_amount).toLocaleString()} {projectData.symbol}
+                        </div>
+                        <div className="transaction-price">€{parseFloat(tx.stable_amount).toFixed(2)}</div>
                       </div>
                     </div>
                   ))}
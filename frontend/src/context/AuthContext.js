@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { BrowserProvider } from 'ethers';
-import { authAPI } from '../services/api';
+import { authAPI, setSession, clearSession } from '../services/api';
+import { buildSiweMessage } from '../services/siwe';
 
 const AuthContext = createContext(null);
 
@@ -28,7 +29,7 @@ export const AuthProvider = ({ children }) => {
           setUser(user);
         } catch (err) {
           console.error('Failed to load user:', err);
-          localStorage.removeItem('token');
+          clearSession();
         }
       }
       setLoading(false);
@@ -51,13 +52,16 @@ export const AuthProvider = ({ children }) => {
       const wallet = accounts[0];
       const signer = await provider.getSigner();
 
+      const { chainId } = await provider.getNetwork();
+
       const { nonce } = await authAPI.getNonce(wallet);
 
-      const signature = await signer.signMessage(nonce);
+      const message = buildSiweMessage({ address: wallet, chainId: Number(chainId), nonce });
+      const signature = await signer.signMessage(message);
 
-      const { token, user } = await authAPI.verify(wallet, signature);
+      const { token, refreshToken, user } = await authAPI.verify(message, signature);
 
-      localStorage.setItem('token', token);
+      setSession({ token, refreshToken });
       setUser(user);
 
     } catch (err) {
@@ -73,10 +77,18 @@ export const AuthProvider = ({ children }) => {
   }, [hasMetaMask]);
 
   const disconnect = useCallback(() => {
-    localStorage.removeItem('token');
+    authAPI.logout().catch(err => console.error('Logout error:', err));
+    clearSession();
     setUser(null);
   }, []);
 
+  // api.js gives up on the session when the refresh token is rejected
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null);
+    window.addEventListener('auth:logout', handleSessionEnded);
+    return () => window.removeEventListener('auth:logout', handleSessionEnded);
+  }, []);
+
   useEffect(() => {
     if (hasMetaMask) {
       const handleAccountsChanged = (accounts) => {
@@ -94,12 +106,27 @@ export const AuthProvider = ({ children }) => {
     }
   }, [hasMetaMask, user, disconnect]);
 
+  // Mirrors hasRole in the backend: admins hold every role and unscoped grants cover all projects
+  const hasRole = useCallback((role, projectId = null) => {
+    if (!user) return false;
+    if (user.role === 'ADMIN') return true;
+    return (user.roles || []).some(r =>
+      r.role === role &&
+      (r.project_id === null || (projectId !== null && String(r.project_id) === String(projectId)))
+    );
+  }, [user]);
+
+  const hasAnyGrant = (role) => (user?.roles || []).some(r => r.role === role);
+
   const value = {
     user,
     loading,
     error,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'ADMIN',
+    isVerifier: hasAnyGrant('VERIFIER'),
+    isContractor: hasAnyGrant('CONTRACTOR'),
+    hasRole,
     hasMetaMask,
     connectWallet,
     disconnect
@@ -1,209 +1,237 @@
-const API_URL = 'http://localhost:3001';
+import { createApiClient, ApiError } from './generated/apiClient';
+
+// Set at build time, e.g. REACT_APP_API_URL=https://api.example.com npm run build
+export const API_URL = (process.env.REACT_APP_API_URL || 'http://localhost:3001').replace(/\/$/, '');
 
 const getAuthHeaders = () => {
   const token = localStorage.getItem('token');
   return token ? { 'Authorization': `Bearer ${token}` } : {};
 };
 
-export const authAPI = {
-  getNonce: async (wallet) => {
-    const res = await fetch(`${API_URL}/auth/nonce`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ wallet })
-    });
-    if (!res.ok) throw new Error('Failed to get nonce');
-    return res.json();
-  },
+export const setSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
 
-  verify: async (wallet, signature) => {
-    const res = await fetch(`${API_URL}/auth/verify`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ wallet, signature })
-    });
-    if (!res.ok) throw new Error('Failed to verify signature');
-    return res.json();
-  },
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
 
-  getMe: async () => {
-    const res = await fetch(`${API_URL}/auth/me`, {
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      }
-    });
-    if (!res.ok) throw new Error('Failed to get user');
-    return res.json();
+let refreshPromise = null;
+
+// Concurrent 401s share one refresh, since each refresh token can only be used once
+const refreshSession = () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshPromise) {
+    refreshPromise = client.refreshSession({ body: { refreshToken } })
+      .then((session) => {
+        setSession(session);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const fetchWithAuth = async (url, options = {}) => {
+  const res = await fetch(url, options);
+  const authenticated = options.headers && options.headers.Authorization;
+
+  if (!authenticated || res.status !== 401) {
+    return res;
+  }
+
+  if (!(await refreshSession())) {
+    clearSession();
+    window.dispatchEvent(new Event('auth:logout'));
+    return res;
   }
+
+  return fetch(url, { ...options, headers: { ...options.headers, ...getAuthHeaders() } });
+};
+
+// Generated from the backend's OpenAPI document; regenerate with `npm run generate:client` in backend/
+const client = createApiClient({ baseUrl: API_URL, fetch: fetchWithAuth, getAuthHeaders });
+
+export const authAPI = {
+  getNonce: (wallet) => client.getNonce({ body: { wallet } }),
+
+  verify: (message, signature) => client.verifySignature({ body: { message, signature } }),
+
+  logout: () => client.logout({ body: { refreshToken: localStorage.getItem('refreshToken') } }),
+
+  getMe: () => client.getMe()
 };
 
 export const projectsAPI = {
-  getApproved: async () => {
-    const res = await fetch(`${API_URL}/projects/approved`);
-    if (!res.ok) throw new Error('Failed to get projects');
-    return res.json();
+  getApproved: () => client.getApprovedProjects(),
+
+  // Returns one page: { projects, total, status_counts, next_cursor }. Array params are sent comma-separated.
+  getAll: (params = {}) => client.searchProjects({ query: params }),
+
+  // Follows next_cursor until every matching project is loaded, for screens that need the full list
+  getAllPages: async (params = {}) => {
+    const projects = [];
+    let cursor;
+    do {
+      const page = await projectsAPI.getAll({ ...params, limit: 100, cursor });
+      projects.push(...page.projects);
+      cursor = page.next_cursor;
+    } while (cursor);
+    return { projects };
   },
 
-  getAll: async (status = null) => {
-    const url = status ? `${API_URL}/projects?status=${status}` : `${API_URL}/projects`;
-    const res = await fetch(url, {
-      headers: { ...getAuthHeaders() }
-    });
-    if (!res.ok) throw new Error('Failed to get projects');
-    return res.json();
-  },
+  getById: (id) => client.getProject({ params: { id } }),
 
-  getById: async (id) => {
-    const res = await fetch(`${API_URL}/projects/${id}`);
-    if (!res.ok) throw new Error('Failed to get project');
-    return res.json();
-  },
+  create: (projectData, idempotencyKey) => client.createProject({
+    body: projectData,
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+  }),
 
-  create: async (projectData) => {
-    const res = await fetch(`${API_URL}/projects`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      },
-      body: JSON.stringify(projectData)
-    });
-    if (!res.ok) throw new Error('Failed to create project');
-    return res.json();
-  },
+  approve: (id, chainData = {}) => client.approveProject({ params: { id }, body: chainData }),
 
-  approve: async (id) => {
-    const res = await fetch(`${API_URL}/projects/${id}/approve`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      }
-    });
-    if (!res.ok) throw new Error('Failed to approve project');
-    return res.json();
-  },
+  reconcile: (id) => client.reconcileProject({ params: { id } }),
 
-  reject: async (id, reason = '') => {
-    const res = await fetch(`${API_URL}/projects/${id}/reject`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      },
-      body: JSON.stringify({ reason })
-    });
-    if (!res.ok) throw new Error('Failed to reject project');
-    return res.json();
-  },
+  reject: (id, reason = '') => client.rejectProject({ params: { id }, body: { reason } }),
 
-  changeStatus: async (id, status) => {
-    const res = await fetch(`${API_URL}/projects/${id}/change-status`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      },
-      body: JSON.stringify({ status })
-    });
-    if (!res.ok) throw new Error('Failed to change status');
-    return res.json();
-  },
+  changeStatus: (id, status, reason) => client.changeProjectStatus({ params: { id }, body: { status, reason } }),
 
-  delete: async (id) => {
-    const res = await fetch(`${API_URL}/projects/${id}`, {
-      method: 'DELETE',
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      }
-    });
-    if (!res.ok) throw new Error('Failed to delete project');
-    return res.json();
-  },
+  getHistory: (id) => client.getProjectHistory({ params: { id } }),
 
-  getMyProjects: async () => {
-    const res = await fetch(`${API_URL}/projects/user/my-projects`, {
-      headers: { ...getAuthHeaders() }
-    });
-    if (!res.ok) throw new Error('Failed to get projects');
-    return res.json();
-  }
+  getRevisions: (id) => client.getProjectRevisions({ params: { id } }),
+
+  delete: (id) => client.deleteProject({ params: { id } }),
+
+  getArchived: () => client.getArchivedProjects(),
+
+  restore: (id) => client.restoreProject({ params: { id } }),
+
+  getMyProjects: () => client.getMyProjects(),
+
+  resubmit: (id, projectData, comment) => client.resubmitProject({ params: { id }, body: { ...projectData, comment } })
+};
+
+export const reviewsAPI = {
+  getAll: (projectId) => client.getReviews({ params: { projectId } }),
+
+  addComment: (projectId, comment) => client.addReviewComment({ params: { projectId }, body: { comment } })
 };
 
 export const investmentsAPI = {
-  create: async (investmentData) => {
-    const res = await fetch(`${API_URL}/investments`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      },
-      body: JSON.stringify(investmentData)
-    });
-    if (!res.ok) throw new Error('Failed to create investment');
-    return res.json();
+  // The server records each tx_hash once, so a request whose response was lost is safe to retry
+  create: async (investmentData, retries = 2) => {
+    try {
+      return await client.createInvestment({ body: investmentData });
+    } catch (error) {
+      if (error instanceof ApiError || retries <= 0) throw error;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return investmentsAPI.create(investmentData, retries - 1);
+    }
   },
 
-  getMyInvestments: async () => {
-    const res = await fetch(`${API_URL}/investments/my-investments`, {
-      headers: { ...getAuthHeaders() }
-    });
-    if (!res.ok) throw new Error('Failed to get investments');
-    return res.json();
-  },
+  getMyInvestments: () => client.getMyInvestments(),
+
+  // Admins, the project owner and the treasury only
+  getProjectInvestments: (projectId) => client.getProjectInvestments({ params: { projectId } }),
+
+  // Public: { investor_count, total_amount, distribution, top_holders } with masked wallets
+  getProjectSummary: (projectId) => client.getProjectInvestmentSummary({ params: { projectId } })
+};
+
+export const eventsAPI = {
+  getEvents: (filters = {}) => client.getEvents({ query: filters }),
+
+  getTrades: (projectId) => client.getProjectTrades({ params: { projectId } }),
+
+  getMyHoldings: () => client.getMyHoldings()
+};
+
+export const milestonesAPI = {
+  getAll: (projectId) => client.getMilestones({ params: { projectId } }),
+
+  create: (projectId, milestoneData) => client.createMilestone({ params: { projectId }, body: milestoneData }),
+
+  submit: (projectId, milestoneId, documentationUri) => client.submitMilestone({
+    params: { projectId, milestoneId },
+    body: { documentation_uri: documentationUri }
+  }),
+
+  verify: (projectId, milestoneId) => client.verifyMilestone({ params: { projectId, milestoneId } }),
+
+  dispute: (projectId, milestoneId, reason) => client.disputeMilestone({ params: { projectId, milestoneId }, body: { reason } }),
+
+  resolve: (projectId, milestoneId, approved) => client.resolveMilestoneDispute({ params: { projectId, milestoneId }, body: { approved } })
+};
+
+export const usersAPI = {
+  getAll: () => client.getUsers(),
+
+  setInvestmentsPublic: (investmentsPublic) => client.updateMyPrivacy({ body: { investments_public: investmentsPublic } }),
+
+  grantRole: (wallet, role, projectId = null) => client.grantRole({ params: { wallet }, body: { role, project_id: projectId } }),
 
-  getProjectInvestments: async (projectId) => {
-    const res = await fetch(`${API_URL}/investments/project/${projectId}`, {
-      headers: { ...getAuthHeaders() }
+  revokeRole: (wallet, roleId) => client.revokeRole({ params: { wallet, roleId } })
+};
+
+export const adminAPI = {
+  // Returns one page of audit entries, newest first: { entries, next_cursor }
+  getAudit: (params = {}) => client.searchAuditLog({ query: params }),
+
+  verifyAudit: () => client.verifyAuditLog()
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const documentsAPI = {
+  // { documents, can_manage }; signed-in wallets also see the investors and admin documents they may read
+  getAll: (projectId) => client.getProjectDocuments({ params: { projectId } }),
+
+  upload: (projectId, file, { category, title, visibility }) =>
+    client.uploadProjectDocument({ params: { projectId }, body: { document: file, category, title, visibility } }),
+
+  remove: (projectId, documentId) => client.deleteProjectDocument({ params: { projectId, documentId } }),
+
+  // Files are binary, so they are fetched directly rather than through the JSON client. Rejects
+  // when the file does not match the SHA-256 the API lists for the document.
+  download: async (projectId, document) => {
+    const res = await fetchWithAuth(`${API_URL}/projects/${projectId}/documents/${document.id}/download`, {
+      headers: getAuthHeaders()
     });
-    if (!res.ok) throw new Error('Failed to get project investments');
-    return res.json();
+    if (!res.ok) {
+      throw new ApiError(res.status, await res.json().catch(() => ({})));
+    }
+
+    const blob = await res.blob();
+    const digest = toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+    if (digest !== document.sha256) {
+      throw new Error('The downloaded file does not match its SHA-256 checksum');
+    }
+    return blob;
   }
 };
 
+export const metadataAPI = {
+  // { metadata, publication }: the ERC-1155 metadata as it would be published now, and the latest published version
+  get: (projectId) => client.getProjectMetadata({ params: { projectId } }),
+
+  // Admins and project admins; resolves to { publication } with its cid and ipfs:// uri
+  publish: (projectId) => client.publishProjectMetadata({ params: { projectId } }),
+
+  // Admins only; sets the URI of the project's token on chain to the latest pinned publication
+  push: (projectId) => client.pushProjectMetadata({ params: { projectId } })
+};
+
 export const uploadAPI = {
-  uploadImage: async (file) => {
-    const formData = new FormData();
-    formData.append('image', file);
-    
-    const res = await fetch(`${API_URL}/upload/image`, {
-      method: 'POST',
-      headers: {
-        ...getAuthHeaders()
-      },
-      body: formData
-    });
-    if (!res.ok) throw new Error('Failed to upload image');
-    return res.json();
-  },
+  // projectId links the image to an existing project, e.g. when editing one
+  uploadImage: (file, projectId) => client.uploadImage({ body: { image: file, project_id: projectId } }),
 
-  uploadImages: async (files) => {
-    const formData = new FormData();
-    files.forEach(file => {
-      formData.append('images', file);
-    });
-    
-    const res = await fetch(`${API_URL}/upload/images`, {
-      method: 'POST',
-      headers: {
-        ...getAuthHeaders()
-      },
-      body: formData
-    });
-    if (!res.ok) throw new Error('Failed to upload images');
-    return res.json();
-  },
+  uploadImages: (files, projectId) => client.uploadImages({ body: { images: files, project_id: projectId } }),
 
-  deleteImage: async (filename) => {
-    const res = await fetch(`${API_URL}/upload/image/${filename}`, {
-      method: 'DELETE',
-      headers: {
-        ...getAuthHeaders()
-      }
-    });
-    if (!res.ok) throw new Error('Failed to delete image');
-    return res.json();
-  }
+  deleteImage: (filename) => client.deleteImage({ params: { filename } })
 };
@@ -0,0 +1,43 @@
+import { BrowserProvider, Contract, parseUnits } from 'ethers';
+
+const PROJECT_LIFECYCLE_ADDRESS = process.env.REACT_APP_PROJECT_LIFECYCLE_ADDRESS;
+const PAYMENT_TOKEN_ADDRESS = process.env.REACT_APP_PAYMENT_TOKEN_ADDRESS;
+const PAYMENT_TOKEN_DECIMALS = parseInt(process.env.REACT_APP_PAYMENT_TOKEN_DECIMALS || '6', 10);
+
+const PROJECT_LIFECYCLE_ABI = [
+  'function invest(uint256 projectId, uint256 amount)'
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const getSigner = async () => {
+  if (!window.ethereum) {
+    throw new Error('Please install MetaMask to continue');
+  }
+  const provider = new BrowserProvider(window.ethereum);
+  return provider.getSigner();
+};
+
+export const investOnChain = async (projectId, amount) => {
+  if (!PROJECT_LIFECYCLE_ADDRESS || !PAYMENT_TOKEN_ADDRESS) {
+    throw new Error('Contract addresses are not configured');
+  }
+
+  const signer = await getSigner();
+  const owner = await signer.getAddress();
+  const value = parseUnits(String(amount), PAYMENT_TOKEN_DECIMALS);
+
+  const paymentToken = new Contract(PAYMENT_TOKEN_ADDRESS, ERC20_ABI, signer);
+  const allowance = await paymentToken.allowance(owner, PROJECT_LIFECYCLE_ADDRESS);
+  if (allowance < value) {
+    const approveTx = await paymentToken.approve(PROJECT_LIFECYCLE_ADDRESS, value);
+    await approveTx.wait();
+  }
+
+  const lifecycle = new Contract(PROJECT_LIFECYCLE_ADDRESS, PROJECT_LIFECYCLE_ABI, signer);
+  const tx = await lifecycle.invest(projectId, value);
+  return tx.hash;
+};
@@ -0,0 +1,949 @@
+// Generated from the PropertyBuild API 1.0.0 OpenAPI document by backend/src/generateClient.js.
+// Do not edit by hand; run `npm run generate:client` in backend/ instead.
+
+/**
+ * @typedef {Object} GetNonceBody
+ * @property {string} wallet
+ */
+
+/**
+ * @typedef {Object} GetNonceRequest
+ * @property {GetNonceBody} body
+ */
+
+/**
+ * @typedef {Object} VerifySignatureBody
+ * @property {string} message
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} VerifySignatureRequest
+ * @property {VerifySignatureBody} body
+ */
+
+/**
+ * @typedef {Object} RefreshSessionBody
+ * @property {string} refreshToken
+ */
+
+/**
+ * @typedef {Object} RefreshSessionRequest
+ * @property {RefreshSessionBody} body
+ */
+
+/**
+ * @typedef {Object} LogoutBody
+ * @property {string} refreshToken
+ */
+
+/**
+ * @typedef {Object} LogoutRequest
+ * @property {LogoutBody} body
+ */
+
+/**
+ * @typedef {Object} GetMilestonesRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} CreateMilestoneBody
+ * @property {string} description
+ * @property {number} budget_percent
+ * @property {number} [verification_threshold]
+ */
+
+/**
+ * @typedef {Object} CreateMilestoneRequest
+ * @property {{ projectId: number }} params
+ * @property {CreateMilestoneBody} body
+ */
+
+/**
+ * @typedef {Object} UpdateMilestoneBody
+ * @property {string} [description]
+ * @property {number} [budget_percent]
+ * @property {number} [verification_threshold]
+ */
+
+/**
+ * @typedef {Object} UpdateMilestoneRequest
+ * @property {{ projectId: number, milestoneId: number }} params
+ * @property {UpdateMilestoneBody} [body]
+ */
+
+/**
+ * @typedef {Object} DeleteMilestoneRequest
+ * @property {{ projectId: number, milestoneId: number }} params
+ */
+
+/**
+ * @typedef {Object} SubmitMilestoneBody
+ * @property {string} [documentation_uri]
+ */
+
+/**
+ * @typedef {Object} SubmitMilestoneRequest
+ * @property {{ projectId: number, milestoneId: number }} params
+ * @property {SubmitMilestoneBody} [body]
+ */
+
+/**
+ * @typedef {Object} VerifyMilestoneRequest
+ * @property {{ projectId: number, milestoneId: number }} params
+ */
+
+/**
+ * @typedef {Object} DisputeMilestoneBody
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} DisputeMilestoneRequest
+ * @property {{ projectId: number, milestoneId: number }} params
+ * @property {DisputeMilestoneBody} body
+ */
+
+/**
+ * @typedef {Object} ResolveMilestoneDisputeBody
+ * @property {boolean} approved
+ */
+
+/**
+ * @typedef {Object} ResolveMilestoneDisputeRequest
+ * @property {{ projectId: number, milestoneId: number }} params
+ * @property {ResolveMilestoneDisputeBody} body
+ */
+
+/**
+ * @typedef {Object} GetReviewsRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} AddReviewCommentBody
+ * @property {string} comment
+ */
+
+/**
+ * @typedef {Object} AddReviewCommentRequest
+ * @property {{ projectId: number }} params
+ * @property {AddReviewCommentBody} body
+ */
+
+/**
+ * @typedef {Object} GetProjectDocumentsRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} UploadProjectDocumentBody
+ * @property {Blob} document
+ * @property {'whitepaper'|'legal'|'financial'|'property_deed'|'permit'|'plan'|'report'|'other'} category
+ * @property {string} [title]
+ * @property {'public'|'investors'|'admin'} [visibility]
+ */
+
+/**
+ * @typedef {Object} UploadProjectDocumentRequest
+ * @property {{ projectId: number }} params
+ * @property {UploadProjectDocumentBody} body
+ */
+
+/**
+ * @typedef {Object} DownloadProjectDocumentRequest
+ * @property {{ projectId: number, documentId: number }} params
+ */
+
+/**
+ * @typedef {Object} DeleteProjectDocumentRequest
+ * @property {{ projectId: number, documentId: number }} params
+ */
+
+/**
+ * @typedef {Object} GetProjectMetadataRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} PublishProjectMetadataRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} PushProjectMetadataRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} SearchProjectsQuery
+ * @property {Array<'pending'|'rejected'|'approved'|'minting'|'funded'|'building'|'trading'|'final_sale'|'completed'|'cancelled'>} [status]
+ * @property {string} [q]
+ * @property {string} [location]
+ * @property {'residential'|'commercial'|'mixed_use'} [property_type]
+ * @property {number} [min_ticket]
+ * @property {number} [max_ticket]
+ * @property {number} [min_funded]
+ * @property {number} [max_funded]
+ * @property {'newest'|'oldest'|'progress'|'price_asc'|'price_desc'|'relevance'} [sort]
+ * @property {number} [limit]
+ * @property {string} [cursor]
+ */
+
+/**
+ * @typedef {Object} SearchProjectsRequest
+ * @property {SearchProjectsQuery} [query]
+ */
+
+/**
+ * @typedef {Object} CreateProjectBody
+ * @property {string} name
+ * @property {(string|null)} [description]
+ * @property {(string|null)} [location]
+ * @property {(Array<string>|null)} [images]
+ * @property {(number|null)} [price]
+ * @property {(number|null)} [goal]
+ * @property {(number|null)} [token_price]
+ * @property {(number|null)} [min_investment]
+ * @property {('residential'|'commercial'|'mixed_use'|null)} [property_type]
+ */
+
+/**
+ * @typedef {Object} CreateProjectRequest
+ * @property {CreateProjectBody} body
+ * @property {{ 'Idempotency-Key'?: string }} [headers]
+ */
+
+/**
+ * @typedef {Object} GetProjectRequest
+ * @property {{ id: number }} params
+ */
+
+/**
+ * @typedef {Object} UpdateProjectBody
+ * @property {string} [name]
+ * @property {(string|null)} [description]
+ * @property {(string|null)} [location]
+ * @property {(Array<string>|null)} [images]
+ * @property {(number|null)} [price]
+ * @property {(number|null)} [goal]
+ * @property {(number|null)} [token_price]
+ * @property {(number|null)} [min_investment]
+ * @property {('residential'|'commercial'|'mixed_use'|null)} [property_type]
+ * @property {string} [override_reason]
+ */
+
+/**
+ * @typedef {Object} UpdateProjectRequest
+ * @property {{ id: number }} params
+ * @property {UpdateProjectBody} [body]
+ */
+
+/**
+ * @typedef {Object} DeleteProjectRequest
+ * @property {{ id: number }} params
+ */
+
+/**
+ * @typedef {Object} ApproveProjectBody
+ * @property {string} [chain_project_id]
+ * @property {string} [contractor_wallet]
+ * @property {string} [minting_deadline]
+ * @property {string} [project_deadline]
+ * @property {number} [hard_cap]
+ * @property {number} [soft_cap]
+ * @property {number} [contingency_bps]
+ * @property {number} [platform_fee_bps]
+ * @property {string} [metadata_uri]
+ * @property {string} [comment]
+ */
+
+/**
+ * @typedef {Object} ApproveProjectRequest
+ * @property {{ id: number }} params
+ * @property {ApproveProjectBody} [body]
+ */
+
+/**
+ * @typedef {Object} ResubmitProjectBody
+ * @property {string} [name]
+ * @property {(string|null)} [description]
+ * @property {(string|null)} [location]
+ * @property {(Array<string>|null)} [images]
+ * @property {(number|null)} [price]
+ * @property {(number|null)} [goal]
+ * @property {(number|null)} [token_price]
+ * @property {(number|null)} [min_investment]
+ * @property {('residential'|'commercial'|'mixed_use'|null)} [property_type]
+ * @property {string} [comment]
+ */
+
+/**
+ * @typedef {Object} ResubmitProjectRequest
+ * @property {{ id: number }} params
+ * @property {ResubmitProjectBody} [body]
+ */
+
+/**
+ * @typedef {Object} ReconcileProjectRequest
+ * @property {{ id: number }} params
+ */
+
+/**
+ * @typedef {Object} RejectProjectBody
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} RejectProjectRequest
+ * @property {{ id: number }} params
+ * @property {RejectProjectBody} [body]
+ */
+
+/**
+ * @typedef {Object} ChangeProjectStatusBody
+ * @property {'pending'|'rejected'|'approved'|'minting'|'funded'|'building'|'trading'|'final_sale'|'completed'|'cancelled'} status
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} ChangeProjectStatusRequest
+ * @property {{ id: number }} params
+ * @property {ChangeProjectStatusBody} body
+ */
+
+/**
+ * @typedef {Object} GetProjectHistoryRequest
+ * @property {{ id: number }} params
+ */
+
+/**
+ * @typedef {Object} GetProjectRevisionsRequest
+ * @property {{ id: number }} params
+ */
+
+/**
+ * @typedef {Object} RestoreProjectRequest
+ * @property {{ id: number }} params
+ */
+
+/**
+ * @typedef {Object} CreateInvestmentBody
+ * @property {number} project_id
+ * @property {number} amount
+ * @property {string} tx_hash
+ */
+
+/**
+ * @typedef {Object} CreateInvestmentRequest
+ * @property {CreateInvestmentBody} body
+ * @property {{ 'Idempotency-Key'?: string }} [headers]
+ */
+
+/**
+ * @typedef {Object} RecomputeFundingBody
+ * @property {number} [project_id]
+ */
+
+/**
+ * @typedef {Object} RecomputeFundingRequest
+ * @property {RecomputeFundingBody} [body]
+ */
+
+/**
+ * @typedef {Object} MarkOverflowRefundedBody
+ * @property {string} refund_tx_hash
+ */
+
+/**
+ * @typedef {Object} MarkOverflowRefundedRequest
+ * @property {{ id: number }} params
+ * @property {MarkOverflowRefundedBody} body
+ */
+
+/**
+ * @typedef {Object} GetProjectInvestmentsRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} GetProjectInvestmentSummaryRequest
+ * @property {{ projectId: number }} params
+ */
+
+/**
+ * @typedef {Object} UploadImageBody
+ * @property {Blob} image
+ * @property {number} [project_id]
+ */
+
+/**
+ * @typedef {Object} UploadImageRequest
+ * @property {UploadImageBody} body
+ */
+
+/**
+ * @typedef {Object} UploadImagesBody
+ * @property {Array<Blob>} images
+ * @property {number} [project_id]
+ */
+
+/**
+ * @typedef {Object} UploadImagesRequest
+ * @property {UploadImagesBody} body
+ */
+
+/**
+ * @typedef {Object} DeleteImageRequest
+ * @property {{ filename: string }} params
+ */
+
+/**
+ * @typedef {Object} GetEventsQuery
+ * @property {string} [project_id]
+ * @property {string} [event]
+ * @property {string} [contract]
+ * @property {string} [wallet]
+ * @property {number} [limit]
+ * @property {number} [offset]
+ */
+
+/**
+ * @typedef {Object} GetEventsRequest
+ * @property {GetEventsQuery} [query]
+ */
+
+/**
+ * @typedef {Object} GetProjectTradesQuery
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetProjectTradesRequest
+ * @property {{ projectId: number }} params
+ * @property {GetProjectTradesQuery} [query]
+ */
+
+/**
+ * @typedef {Object} UpdateMyPrivacyBody
+ * @property {boolean} investments_public
+ */
+
+/**
+ * @typedef {Object} UpdateMyPrivacyRequest
+ * @property {UpdateMyPrivacyBody} body
+ */
+
+/**
+ * @typedef {Object} GetUserRolesRequest
+ * @property {{ wallet: string }} params
+ */
+
+/**
+ * @typedef {Object} GrantRoleBody
+ * @property {'VERIFIER'|'CONTRACTOR'|'PROJECT_ADMIN'|'TREASURY'} role
+ * @property {(number|null)} [project_id]
+ */
+
+/**
+ * @typedef {Object} GrantRoleRequest
+ * @property {{ wallet: string }} params
+ * @property {GrantRoleBody} body
+ */
+
+/**
+ * @typedef {Object} RevokeRoleRequest
+ * @property {{ wallet: string, roleId: number }} params
+ */
+
+/**
+ * @typedef {Object} RevokeSessionsRequest
+ * @property {{ wallet: string }} params
+ */
+
+/**
+ * @typedef {Object} SearchAuditLogQuery
+ * @property {string} [actor]
+ * @property {string} [action]
+ * @property {string} [target_type]
+ * @property {string} [target_id]
+ * @property {string} [request_id]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {number} [limit]
+ * @property {number} [cursor]
+ */
+
+/**
+ * @typedef {Object} SearchAuditLogRequest
+ * @property {SearchAuditLogQuery} [query]
+ */
+
+export class ApiError extends Error {
+  constructor(status, data) {
+    super(data.error || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fields = data.fields || [];
+  }
+}
+
+// Lists are sent comma-separated; empty values are left out
+const toQueryString = (query = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    search.set(key, Array.isArray(value) ? value.join(',') : value);
+  });
+  const qs = search.toString();
+  return qs ? `?${qs}` : '';
+};
+
+const toFormData = (body = {}) => {
+  const form = new FormData();
+  Object.entries(body).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    [].concat(value).forEach(item => form.append(key, item));
+  });
+  return form;
+};
+
+/**
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] API origin, e.g. http://localhost:3001
+ * @param {typeof fetch} [config.fetch] fetch implementation, e.g. one that refreshes expired sessions
+ * @param {() => Object} [config.getAuthHeaders] headers added to operations that require a signed-in wallet
+ */
+export const createApiClient = ({ baseUrl = '', fetch: fetchImpl = (...args) => fetch(...args), getAuthHeaders = () => ({}) } = {}) => {
+  const send = async (method, path, { auth, multipart = false }, { params = {}, query, body, headers = {} } = {}) => {
+    const url = baseUrl + path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name])) + toQueryString(query);
+    const options = { method, headers: { ...headers, ...(auth ? getAuthHeaders() : {}) } };
+
+    if (multipart) {
+      options.body = toFormData(body);
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const res = await fetchImpl(url, options);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new ApiError(res.status, data);
+    }
+    return data;
+  };
+
+  return {
+    /**
+     * Start a Sign-In with Ethereum login
+     * @param {GetNonceRequest} request
+     * @returns {Promise<Object>}
+     */
+    getNonce: (request) => send('POST', '/auth/nonce', { auth: false }, request),
+
+    /**
+     * Sign in with a signed SIWE message
+     * @param {VerifySignatureRequest} request
+     * @returns {Promise<Object>}
+     */
+    verifySignature: (request) => send('POST', '/auth/verify', { auth: false }, request),
+
+    /**
+     * Exchange a refresh token for new tokens
+     * @param {RefreshSessionRequest} request
+     * @returns {Promise<Object>}
+     */
+    refreshSession: (request) => send('POST', '/auth/refresh', { auth: false }, request),
+
+    /**
+     * End the session of a refresh token
+     * @param {LogoutRequest} request
+     * @returns {Promise<Object>}
+     */
+    logout: (request) => send('POST', '/auth/logout', { auth: false }, request),
+
+    /**
+     * Get the signed-in user
+     * @returns {Promise<Object>}
+     */
+    getMe: () => send('GET', '/auth/me', { auth: true }),
+
+    /**
+     * List the milestones of a project
+     * @param {GetMilestonesRequest} request
+     * @returns {Promise<Object>}
+     */
+    getMilestones: (request) => send('GET', '/projects/{projectId}/milestones', { auth: false }, request),
+
+    /**
+     * Add a milestone to a project
+     * @param {CreateMilestoneRequest} request
+     * @returns {Promise<Object>}
+     */
+    createMilestone: (request) => send('POST', '/projects/{projectId}/milestones', { auth: true }, request),
+
+    /**
+     * Edit a milestone
+     * @param {UpdateMilestoneRequest} request
+     * @returns {Promise<Object>}
+     */
+    updateMilestone: (request) => send('PUT', '/projects/{projectId}/milestones/{milestoneId}', { auth: true }, request),
+
+    /**
+     * Delete a milestone
+     * @param {DeleteMilestoneRequest} request
+     * @returns {Promise<Object>}
+     */
+    deleteMilestone: (request) => send('DELETE', '/projects/{projectId}/milestones/{milestoneId}', { auth: true }, request),
+
+    /**
+     * Submit a milestone for verification
+     * @param {SubmitMilestoneRequest} request
+     * @returns {Promise<Object>}
+     */
+    submitMilestone: (request) => send('POST', '/projects/{projectId}/milestones/{milestoneId}/submit', { auth: true }, request),
+
+    /**
+     * Verify a submitted milestone
+     * @param {VerifyMilestoneRequest} request
+     * @returns {Promise<Object>}
+     */
+    verifyMilestone: (request) => send('POST', '/projects/{projectId}/milestones/{milestoneId}/verify', { auth: true }, request),
+
+    /**
+     * Dispute a milestone
+     * @param {DisputeMilestoneRequest} request
+     * @returns {Promise<Object>}
+     */
+    disputeMilestone: (request) => send('POST', '/projects/{projectId}/milestones/{milestoneId}/dispute', { auth: true }, request),
+
+    /**
+     * Resolve a disputed milestone
+     * @param {ResolveMilestoneDisputeRequest} request
+     * @returns {Promise<Object>}
+     */
+    resolveMilestoneDispute: (request) => send('POST', '/projects/{projectId}/milestones/{milestoneId}/resolve', { auth: true }, request),
+
+    /**
+     * Read the review thread of a project
+     * @param {GetReviewsRequest} request
+     * @returns {Promise<Object>}
+     */
+    getReviews: (request) => send('GET', '/projects/{projectId}/reviews', { auth: true }, request),
+
+    /**
+     * Reply in the review thread of a project
+     * @param {AddReviewCommentRequest} request
+     * @returns {Promise<Object>}
+     */
+    addReviewComment: (request) => send('POST', '/projects/{projectId}/reviews', { auth: true }, request),
+
+    /**
+     * List the documents of a project
+     * @param {GetProjectDocumentsRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectDocuments: (request) => send('GET', '/projects/{projectId}/documents', { auth: true }, request),
+
+    /**
+     * Attach a PDF, DWG or XLSX document to a project
+     * @param {UploadProjectDocumentRequest} request
+     * @returns {Promise<Object>}
+     */
+    uploadProjectDocument: (request) => send('POST', '/projects/{projectId}/documents', { auth: true, multipart: true }, request),
+
+    /**
+     * Download a project document
+     * @param {DownloadProjectDocumentRequest} request
+     * @returns {Promise<Object>}
+     */
+    downloadProjectDocument: (request) => send('GET', '/projects/{projectId}/documents/{documentId}/download', { auth: true }, request),
+
+    /**
+     * Delete a project document
+     * @param {DeleteProjectDocumentRequest} request
+     * @returns {Promise<Object>}
+     */
+    deleteProjectDocument: (request) => send('DELETE', '/projects/{projectId}/documents/{documentId}', { auth: true }, request),
+
+    /**
+     * Get the ERC-1155 metadata of a project
+     * @param {GetProjectMetadataRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectMetadata: (request) => send('GET', '/projects/{projectId}/metadata', { auth: false }, request),
+
+    /**
+     * Publish the ERC-1155 metadata of a project
+     * @param {PublishProjectMetadataRequest} request
+     * @returns {Promise<Object>}
+     */
+    publishProjectMetadata: (request) => send('POST', '/projects/{projectId}/metadata', { auth: true }, request),
+
+    /**
+     * Point the project token at its latest metadata
+     * @param {PushProjectMetadataRequest} request
+     * @returns {Promise<Object>}
+     */
+    pushProjectMetadata: (request) => send('POST', '/projects/{projectId}/metadata/push', { auth: true }, request),
+
+    /**
+     * Search, filter and page through projects
+     * @param {SearchProjectsRequest} [request]
+     * @returns {Promise<Object>}
+     */
+    searchProjects: (request) => send('GET', '/projects', { auth: false }, request),
+
+    /**
+     * Submit a project for approval
+     * @param {CreateProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    createProject: (request) => send('POST', '/projects', { auth: true }, request),
+
+    /**
+     * List projects open to investors
+     * @returns {Promise<Object>}
+     */
+    getApprovedProjects: () => send('GET', '/projects/approved', { auth: false }),
+
+    /**
+     * Compare every on-chain project with the database
+     * @returns {Promise<Object>}
+     */
+    reconcileProjects: () => send('GET', '/projects/reconcile', { auth: true }),
+
+    /**
+     * List deleted projects
+     * @returns {Promise<Object>}
+     */
+    getArchivedProjects: () => send('GET', '/projects/archived', { auth: true }),
+
+    /**
+     * Get a project
+     * @param {GetProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProject: (request) => send('GET', '/projects/{id}', { auth: false }, request),
+
+    /**
+     * Edit a project
+     * @param {UpdateProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    updateProject: (request) => send('PUT', '/projects/{id}', { auth: true }, request),
+
+    /**
+     * Archive a project
+     * @param {DeleteProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    deleteProject: (request) => send('DELETE', '/projects/{id}', { auth: true }, request),
+
+    /**
+     * Approve a project and create it on chain
+     * @param {ApproveProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    approveProject: (request) => send('POST', '/projects/{id}/approve', { auth: true }, request),
+
+    /**
+     * Edit a rejected project and send it back for review
+     * @param {ResubmitProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    resubmitProject: (request) => send('POST', '/projects/{id}/resubmit', { auth: true }, request),
+
+    /**
+     * Compare a project with its on-chain state
+     * @param {ReconcileProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    reconcileProject: (request) => send('GET', '/projects/{id}/reconcile', { auth: true }, request),
+
+    /**
+     * Reject a project
+     * @param {RejectProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    rejectProject: (request) => send('POST', '/projects/{id}/reject', { auth: true }, request),
+
+    /**
+     * Move a project to another status
+     * @param {ChangeProjectStatusRequest} request
+     * @returns {Promise<Object>}
+     */
+    changeProjectStatus: (request) => send('POST', '/projects/{id}/change-status', { auth: true }, request),
+
+    /**
+     * List the status changes of a project
+     * @param {GetProjectHistoryRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectHistory: (request) => send('GET', '/projects/{id}/history', { auth: true }, request),
+
+    /**
+     * List the recorded edits of a project
+     * @param {GetProjectRevisionsRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectRevisions: (request) => send('GET', '/projects/{id}/revisions', { auth: true }, request),
+
+    /**
+     * Restore an archived project
+     * @param {RestoreProjectRequest} request
+     * @returns {Promise<Object>}
+     */
+    restoreProject: (request) => send('POST', '/projects/{id}/restore', { auth: true }, request),
+
+    /**
+     * List projects submitted by the signed-in wallet
+     * @returns {Promise<Object>}
+     */
+    getMyProjects: () => send('GET', '/projects/user/my-projects', { auth: true }),
+
+    /**
+     * Record an on-chain investment
+     * @param {CreateInvestmentRequest} request
+     * @returns {Promise<Object>}
+     */
+    createInvestment: (request) => send('POST', '/investments', { auth: true }, request),
+
+    /**
+     * Rebuild current_funding from confirmed investments
+     * @param {RecomputeFundingRequest} [request]
+     * @returns {Promise<Object>}
+     */
+    recomputeFunding: (request) => send('POST', '/investments/recompute', { auth: true }, request),
+
+    /**
+     * List investments with an amount above the hard cap awaiting refund
+     * @returns {Promise<Object>}
+     */
+    getOverflowingInvestments: () => send('GET', '/investments/overflows', { auth: true }),
+
+    /**
+     * Record the refund of the amount above the hard cap
+     * @param {MarkOverflowRefundedRequest} request
+     * @returns {Promise<Object>}
+     */
+    markOverflowRefunded: (request) => send('POST', '/investments/{id}/overflow-refund', { auth: true }, request),
+
+    /**
+     * List investments of the signed-in wallet
+     * @returns {Promise<Object>}
+     */
+    getMyInvestments: () => send('GET', '/investments/my-investments', { auth: true }),
+
+    /**
+     * List every investment in a project
+     * @param {GetProjectInvestmentsRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectInvestments: (request) => send('GET', '/investments/project/{projectId}', { auth: true }, request),
+
+    /**
+     * Public investor statistics of a project
+     * @param {GetProjectInvestmentSummaryRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectInvestmentSummary: (request) => send('GET', '/investments/project/{projectId}/summary', { auth: false }, request),
+
+    /**
+     * Upload an image
+     * @param {UploadImageRequest} request
+     * @returns {Promise<Object>}
+     */
+    uploadImage: (request) => send('POST', '/upload/image', { auth: true, multipart: true }, request),
+
+    /**
+     * Upload up to 10 images
+     * @param {UploadImagesRequest} request
+     * @returns {Promise<Object>}
+     */
+    uploadImages: (request) => send('POST', '/upload/images', { auth: true, multipart: true }, request),
+
+    /**
+     * Delete an uploaded image
+     * @param {DeleteImageRequest} request
+     * @returns {Promise<Object>}
+     */
+    deleteImage: (request) => send('DELETE', '/upload/image/{filename}', { auth: true }, request),
+
+    /**
+     * List indexed contract events
+     * @param {GetEventsRequest} [request]
+     * @returns {Promise<Object>}
+     */
+    getEvents: (request) => send('GET', '/events', { auth: true }, request),
+
+    /**
+     * List liquidity pool trades of a project
+     * @param {GetProjectTradesRequest} request
+     * @returns {Promise<Object>}
+     */
+    getProjectTrades: (request) => send('GET', '/events/projects/{projectId}/trades', { auth: false }, request),
+
+    /**
+     * Token balances of the signed-in wallet
+     * @returns {Promise<Object>}
+     */
+    getMyHoldings: () => send('GET', '/events/my-holdings', { auth: true }),
+
+    /**
+     * Choose whether your wallet is shown in public investor statistics
+     * @param {UpdateMyPrivacyRequest} request
+     * @returns {Promise<Object>}
+     */
+    updateMyPrivacy: (request) => send('PUT', '/users/me/privacy', { auth: true }, request),
+
+    /**
+     * List users with their roles
+     * @returns {Promise<Object>}
+     */
+    getUsers: () => send('GET', '/users', { auth: true }),
+
+    /**
+     * List the roles of a wallet
+     * @param {GetUserRolesRequest} request
+     * @returns {Promise<Object>}
+     */
+    getUserRoles: (request) => send('GET', '/users/{wallet}/roles', { auth: true }, request),
+
+    /**
+     * Grant a role to a wallet
+     * @param {GrantRoleRequest} request
+     * @returns {Promise<Object>}
+     */
+    grantRole: (request) => send('POST', '/users/{wallet}/roles', { auth: true }, request),
+
+    /**
+     * Revoke a role
+     * @param {RevokeRoleRequest} request
+     * @returns {Promise<Object>}
+     */
+    revokeRole: (request) => send('DELETE', '/users/{wallet}/roles/{roleId}', { auth: true }, request),
+
+    /**
+     * Sign a wallet out everywhere
+     * @param {RevokeSessionsRequest} request
+     * @returns {Promise<Object>}
+     */
+    revokeSessions: (request) => send('DELETE', '/users/{wallet}/sessions', { auth: true }, request),
+
+    /**
+     * Search the audit log
+     * @param {SearchAuditLogRequest} [request]
+     * @returns {Promise<Object>}
+     */
+    searchAuditLog: (request) => send('GET', '/admin/audit', { auth: true }, request),
+
+    /**
+     * Check the hash chain of the audit log
+     * @returns {Promise<Object>}
+     */
+    verifyAuditLog: () => send('GET', '/admin/audit/verify', { auth: true })
+  };
+};
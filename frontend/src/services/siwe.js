@@ -0,0 +1,24 @@
+import { getAddress } from 'ethers';
+
+const STATEMENT = 'Sign in to BlockByBlock.';
+const MESSAGE_TTL_MS = 10 * 60 * 1000;
+
+// Builds an EIP-4361 message; the backend rejects it unless domain, chain and nonce match
+export const buildSiweMessage = ({ address, chainId, nonce, domain = window.location.host }) => {
+  const issuedAt = new Date();
+  const expirationTime = new Date(issuedAt.getTime() + MESSAGE_TTL_MS);
+
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    getAddress(address),
+    '',
+    STATEMENT,
+    '',
+    `URI: ${window.location.origin}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`
+  ].join('\n');
+};
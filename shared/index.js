@@ -0,0 +1,4 @@
+module.exports = {
+  ...require('./validation'),
+  ...require('./schemas')
+};
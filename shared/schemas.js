@@ -0,0 +1,73 @@
+// Request bodies validated both by the API and by the forms that send them
+
+const PROPERTY_TYPES = ['residential', 'commercial', 'mixed_use'];
+
+// Amounts are stored as DECIMAL(15, 2)
+const MAX_AMOUNT = 9999999999999.99;
+
+const amount = { type: 'number', positive: true, maxDecimals: 2, max: MAX_AMOUNT, nullable: true };
+
+const IMAGE_URL = {
+  type: 'string',
+  maxLength: 2048,
+  pattern: /^(https?:\/\/|\/uploads\/)/,
+  patternMessage: 'images must be http(s) URLs or uploaded files'
+};
+
+// Omitted or null fields keep their current value on update
+const projectFields = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  description: { type: 'string', maxLength: 10000, nullable: true },
+  location: { type: 'string', maxLength: 255, nullable: true },
+  images: { type: 'array', items: IMAGE_URL, maxItems: 20, nullable: true },
+  price: amount,
+  goal: amount,
+  token_price: amount,
+  min_investment: amount,
+  property_type: { type: 'string', oneOf: PROPERTY_TYPES, nullable: true }
+};
+
+const createProjectSchema = {
+  ...projectFields,
+  name: { ...projectFields.name, required: true }
+};
+
+const updateProjectSchema = {
+  ...projectFields,
+  override_reason: { type: 'string', maxLength: 1000 }
+};
+
+const resubmitProjectSchema = {
+  ...projectFields,
+  comment: { type: 'string', maxLength: 5000 }
+};
+
+// Project documents: what they are and who may read them. investors means wallets with a
+// confirmed investment in the project; admin means platform admins and the project team.
+const DOCUMENT_CATEGORIES = ['whitepaper', 'legal', 'financial', 'property_deed', 'permit', 'plan', 'report', 'other'];
+const DOCUMENT_VISIBILITIES = ['public', 'investors', 'admin'];
+
+// Form fields sent with the uploaded file
+const uploadDocumentSchema = {
+  category: { type: 'string', oneOf: DOCUMENT_CATEGORIES, required: true },
+  title: { type: 'string', minLength: 1, maxLength: 255 },
+  visibility: { type: 'string', oneOf: DOCUMENT_VISIBILITIES, default: 'investors' }
+};
+
+const createInvestmentSchema = {
+  project_id: { type: 'integer', min: 1, required: true },
+  amount: { ...amount, nullable: false, required: true },
+  tx_hash: { type: 'hash', required: true }
+};
+
+module.exports = {
+  PROPERTY_TYPES,
+  MAX_AMOUNT,
+  DOCUMENT_CATEGORIES,
+  DOCUMENT_VISIBILITIES,
+  createProjectSchema,
+  updateProjectSchema,
+  resubmitProjectSchema,
+  createInvestmentSchema,
+  uploadDocumentSchema
+};
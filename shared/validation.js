@@ -0,0 +1,158 @@
+// Declarative request validation shared by the API and the frontend forms. A schema maps field
+// names to rules; validate() returns the coerced value and a list of { field, message } errors.
+//
+// Rules: type ('string' | 'number' | 'integer' | 'boolean' | 'array' | 'list' | 'address' | 'hash' | 'date'),
+// required, nullable, default, min, max, positive, maxDecimals, minLength, maxLength, pattern, oneOf, lowercase, trim,
+// items (rule for array and list elements) and maxItems. Fields not in the schema are dropped.
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+const isEmpty = (value) => value === undefined || value === '' || (typeof value === 'string' && value.trim() === '');
+
+const checkRange = (field, value, rule) => {
+  if (rule.positive && value <= 0) return `${field} must be greater than 0`;
+  if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+  return null;
+};
+
+// Form inputs, query strings and route params arrive as strings, so numbers and booleans are parsed
+const TYPES = {
+  string: (field, value, rule) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: `${field} must be a string` };
+    // Strings are trimmed unless the exact text matters, like a signed message
+    let text = rule.trim === false ? String(value) : String(value).trim();
+    if (rule.lowercase) text = text.toLowerCase();
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return { error: `${field} must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return { error: `${field} must be at most ${rule.maxLength} characters` };
+    }
+    if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || `${field} is invalid` };
+    return { value: text };
+  },
+
+  number: (field, value, rule) => {
+    if (typeof value !== 'number' && !(typeof value === 'string' && NUMBER_PATTERN.test(value.trim()))) {
+      return { error: `${field} must be a number` };
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) return { error: `${field} must be a number` };
+    if (rule.maxDecimals !== undefined && Math.round(number * 10 ** rule.maxDecimals) / 10 ** rule.maxDecimals !== number) {
+      return { error: `${field} must have at most ${rule.maxDecimals} decimal places` };
+    }
+    const error = checkRange(field, number, rule);
+    return error ? { error } : { value: number };
+  },
+
+  integer: (field, value, rule) => {
+    const parsed = TYPES.number(field, value, {});
+    if (parsed.error) return { error: `${field} must be an integer` };
+    if (!Number.isSafeInteger(parsed.value)) return { error: `${field} must be an integer` };
+    const error = checkRange(field, parsed.value, rule);
+    return error ? { error } : { value: parsed.value };
+  },
+
+  boolean: (field, value) => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: `${field} must be true or false` };
+  },
+
+  address: (field, value) =>
+    typeof value === 'string' && ADDRESS_PATTERN.test(value.trim())
+      ? { value: value.trim() }
+      : { error: `${field} must be a wallet address` },
+
+  hash: (field, value) =>
+    typeof value === 'string' && HASH_PATTERN.test(value.trim())
+      ? { value: value.trim().toLowerCase() }
+      : { error: `${field} must be a transaction hash` },
+
+  date: (field, value) =>
+    (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime())
+      ? { value }
+      : { error: `${field} must be a date` },
+
+  array: (field, value, rule) => {
+    if (!Array.isArray(value)) return { error: `${field} must be a list` };
+    return checkItems(field, value, rule);
+  },
+
+  // Query string lists: repeated parameters or comma-separated values
+  list: (field, value, rule) => {
+    const items = [].concat(value)
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    return checkItems(field, items, rule);
+  }
+};
+
+const checkItems = (field, items, rule) => {
+  if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+    return { error: `${field} must have at most ${rule.maxItems} items` };
+  }
+  if (!rule.items) return { value: items };
+
+  const value = [];
+  for (const [index, item] of items.entries()) {
+    const checked = checkValue(`${field}[${index}]`, item, rule.items);
+    if (checked.error) return checked;
+    value.push(checked.value);
+  }
+  return { value };
+};
+
+const checkValue = (field, value, rule) => {
+  const checked = TYPES[rule.type](field, value, rule);
+  if (checked.error || !rule.oneOf) return checked;
+  return rule.oneOf.includes(checked.value)
+    ? checked
+    : { error: `${field} must be one of: ${rule.oneOf.join(', ')}` };
+};
+
+const validate = (schema, input) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = source[field];
+
+    if (raw === null && rule.nullable) {
+      value[field] = null;
+      continue;
+    }
+
+    if (raw === null || isEmpty(raw)) {
+      if (rule.required) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+
+    const checked = checkValue(field, raw, rule);
+    if (checked.error) {
+      errors.push({ field, message: checked.error });
+    } else {
+      value[field] = checked.value;
+    }
+  }
+
+  return { value, errors };
+};
+
+// Field errors keyed by field name, for showing next to form inputs
+const errorsByField = (errors) =>
+  Object.fromEntries(errors.map(({ field, message }) => [field, message]));
+
+module.exports = {
+  validate,
+  errorsByField
+};